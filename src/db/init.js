@@ -1,5 +1,6 @@
 import mysql from 'mysql2/promise';
 import dotenv from 'dotenv';
+import crypto from 'crypto';
 
 dotenv.config();
 
@@ -114,6 +115,7 @@ export async function initializeDatabase() {
     
     // Create tables
     await createTables(connection);
+    await upgradeTables(connection);
     
     connection.release();
     console.log('Database initialized successfully');
@@ -340,6 +342,328 @@ async function createTables(connection) {
       INDEX idx_status (status)
     ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
   `);
+
+  // Outbound webhooks registered by API users (per API key owner or per API email)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS api_webhooks (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      email_id VARCHAR(36),
+      url VARCHAR(2048) NOT NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_webhook_user (user_id),
+      INDEX idx_webhook_email (email_id)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Per-user signing secrets for outbound webhooks
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS api_webhook_secrets (
+      user_id VARCHAR(36) PRIMARY KEY,
+      secret VARCHAR(128) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Delivery log for outbound webhooks
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS api_webhook_deliveries (
+      id VARCHAR(36) PRIMARY KEY,
+      webhook_id VARCHAR(36) NOT NULL,
+      user_id VARCHAR(36) NOT NULL,
+      email_id VARCHAR(36),
+      message_id VARCHAR(36),
+      event VARCHAR(50) NOT NULL,
+      url VARCHAR(2048) NOT NULL,
+      status ENUM('pending', 'delivered', 'failed') DEFAULT 'pending',
+      attempts INT DEFAULT 0,
+      response_status INT,
+      last_error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      delivered_at TIMESTAMP NULL,
+      INDEX idx_delivery_user (user_id, created_at),
+      INDEX idx_delivery_webhook (webhook_id)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Search copy of received emails (received_emails is partitioned, so no FULLTEXT there)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS received_email_search (
+      email_id VARCHAR(36) PRIMARY KEY,
+      temp_email_id VARCHAR(36) NOT NULL,
+      from_email VARCHAR(255) NOT NULL,
+      from_name VARCHAR(255) NOT NULL,
+      subject TEXT,
+      body MEDIUMTEXT,
+      has_attachment BOOLEAN DEFAULT FALSE,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_search_temp_email (temp_email_id, received_at),
+      FULLTEXT INDEX ft_search (subject, from_email, from_name, body)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Backfill the search table once from existing received emails
+  const [searchCount] = await connection.query('SELECT COUNT(*) as total FROM received_email_search');
+  if (searchCount[0].total === 0) {
+    const [backfill] = await connection.query(`
+      INSERT IGNORE INTO received_email_search
+        (email_id, temp_email_id, from_email, from_name, subject, body, has_attachment, received_at)
+      SELECT re.id, re.temp_email_id, re.from_email, re.from_name, re.subject,
+             LEFT(COALESCE(re.body_text, ''), 60000),
+             EXISTS (SELECT 1 FROM email_attachments ea WHERE ea.email_id = re.id),
+             re.received_at
+      FROM received_emails re
+    `);
+    console.log(`Backfilled search index with ${backfill.affectedRows} received emails`);
+  }
+
+  // Raw MIME source of received emails, capped (see services/rawMessageService.js)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS received_email_raw (
+      email_id VARCHAR(36) PRIMARY KEY,
+      content MEDIUMBLOB NOT NULL,
+      size BIGINT NOT NULL,
+      truncated BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Inbound filtering rules per temp email or API email (see services/inboxRules.js)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS inbox_rules (
+      id VARCHAR(36) PRIMARY KEY,
+      owner_type ENUM('temp_email', 'api_email') NOT NULL,
+      inbox_id VARCHAR(36) NOT NULL,
+      user_id VARCHAR(36) NOT NULL,
+      type ENUM('block_sender', 'allow_domain', 'tag_subject') NOT NULL,
+      value VARCHAR(255) NOT NULL,
+      tag VARCHAR(50),
+      is_active BOOLEAN DEFAULT TRUE,
+      match_count INT DEFAULT 0,
+      last_matched_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_rules_inbox (inbox_id),
+      INDEX idx_rules_user (user_id)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Messages rejected by inbox rules (counted instead of stored)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS inbox_rule_stats (
+      inbox_id VARCHAR(36) PRIMARY KEY,
+      rejected_count INT DEFAULT 0,
+      last_rejected_at TIMESTAMP NULL
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Sender domain reputation for spam scoring (see services/spamScoring.js)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS sender_reputation (
+      sender_domain VARCHAR(255) PRIMARY KEY,
+      message_count INT DEFAULT 0,
+      spam_count INT DEFAULT 0,
+      last_seen_at TIMESTAMP NULL
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // API keys, many per user (see services/apiKeys.js)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      key_hash CHAR(64) NOT NULL,
+      key_prefix VARCHAR(16) NOT NULL,
+      scopes JSON NOT NULL,
+      expires_at TIMESTAMP NULL,
+      last_used_at TIMESTAMP NULL,
+      revoked_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_key_hash (key_hash),
+      INDEX idx_user_keys (user_id, revoked_at),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Emails sent from temp addresses (see services/outboundMail.js)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS outbound_emails (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      temp_email_id VARCHAR(36) NOT NULL,
+      reply_to_email_id VARCHAR(36) NULL,
+      from_email VARCHAR(255) NOT NULL,
+      to_email VARCHAR(255) NOT NULL,
+      subject TEXT,
+      message_id VARCHAR(998) NULL,
+      status ENUM('pending', 'sent', 'failed') NOT NULL,
+      error TEXT NULL,
+      credits_charged INT DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_user_created (user_id, created_at),
+      INDEX idx_temp_email (temp_email_id)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Durable storage for API inboxes (see services/apiEmailStorage.js)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS api_emails (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      data TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      INDEX idx_api_email_user (user_id),
+      INDEX idx_api_email_address (email),
+      INDEX idx_api_email_expires (expires_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS api_email_messages (
+      id VARCHAR(36) PRIMARY KEY,
+      api_email_id VARCHAR(36) NOT NULL,
+      message LONGTEXT NOT NULL,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (api_email_id) REFERENCES api_emails(id) ON DELETE CASCADE,
+      INDEX idx_api_message_email (api_email_id, received_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Attachment and raw content of API messages, kept out of the in-memory messages
+  // Written by the instance receiving the mail before the message row exists, so no foreign key
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS api_email_attachments (
+      id VARCHAR(36) PRIMARY KEY,
+      message_id VARCHAR(36) NOT NULL,
+      filename VARCHAR(255) NOT NULL,
+      content_type VARCHAR(100),
+      size BIGINT,
+      content LONGTEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_api_attachment_message (message_id)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS api_email_raw (
+      message_id VARCHAR(36) PRIMARY KEY,
+      content MEDIUMBLOB NOT NULL,
+      size BIGINT NOT NULL,
+      truncated BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+}
+
+// Add a column to an existing table (CREATE TABLE IF NOT EXISTS won't)
+async function addColumnIfMissing(connection, table, column, definition) {
+  const [columns] = await connection.query(
+    'SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+
+  if (columns.length === 0) {
+    await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added column ${table}.${column}`);
+  }
+}
+
+// Copy plaintext keys from premium_settings.api_key into api_keys (hashed)
+// Migrated keys keep working with every scope and no expiry. Lookups only use api_keys;
+// the legacy column is left untouched so a rollback keeps existing integrations working
+// (it is dropped by a later migration once the rollout is confirmed).
+// Runs on every startup: INSERT IGNORE on key_hash skips keys already copied, revoked ones included.
+async function migrateLegacyApiKeys(connection) {
+  const [tables] = await connection.query(
+    "SELECT TABLE_NAME FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'premium_settings'"
+  );
+  if (tables.length === 0) return;
+
+  const [legacyKeys] = await connection.query(
+    'SELECT user_id, api_key, created_at FROM premium_settings WHERE api_key IS NOT NULL'
+  );
+
+  let migrated = 0;
+  for (const legacy of legacyKeys) {
+    const [result] = await connection.query(`
+      INSERT IGNORE INTO api_keys (id, user_id, name, key_hash, key_prefix, scopes, created_at)
+      VALUES (UUID(), ?, 'Default key', ?, ?, ?, ?)
+    `, [
+      legacy.user_id,
+      crypto.createHash('sha256').update(legacy.api_key).digest('hex'),
+      legacy.api_key.substring(0, 12),
+      JSON.stringify(['emails:create', 'emails:read', 'emails:delete', 'account:read', 'webhooks:manage', 'inbox:configure']),
+      legacy.created_at || new Date()
+    ]);
+    migrated += result.affectedRows;
+  }
+
+  if (migrated > 0) {
+    console.log(`Migrated ${migrated} legacy API keys`);
+  }
+}
+
+// Columns added to existing tables after their creation, and data migrations
+async function upgradeTables(connection) {
+  // Tags set by inbox rules
+  await addColumnIfMissing(connection, 'received_emails', 'tags', 'JSON NULL');
+
+  // Spam scoring results
+  await addColumnIfMissing(connection, 'received_emails', 'is_spam', 'BOOLEAN DEFAULT FALSE');
+  await addColumnIfMissing(connection, 'received_emails', 'spam_score', 'DECIMAL(5,1) NULL');
+  await addColumnIfMissing(connection, 'received_emails', 'spam_verdict', 'VARCHAR(20) NULL');
+  await addColumnIfMissing(connection, 'received_emails', 'spam_reasons', 'JSON NULL');
+
+  // Threading headers for replies
+  await addColumnIfMissing(connection, 'received_emails', 'message_id', 'VARCHAR(998) NULL');
+  await addColumnIfMissing(connection, 'received_emails', 'references_header', 'TEXT NULL');
+
+  // Address the email was sent to, when it differs from the inbox (catch-all, plus-addressing)
+  await addColumnIfMissing(connection, 'received_emails', 'delivered_to', 'VARCHAR(255) NULL');
+
+  // Tag of plus-addressed mail (name+tag@domain), see services/subaddressing.js
+  await addColumnIfMissing(connection, 'received_emails', 'subaddress', 'VARCHAR(64) NULL');
+
+  // Sends hold a pending row while they reserve a slot of the daily quota (see services/outboundMail.js)
+  const [outboundStatus] = await connection.query(
+    "SELECT COLUMN_TYPE FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'outbound_emails' AND COLUMN_NAME = 'status'"
+  );
+  if (outboundStatus.length > 0 && !outboundStatus[0].COLUMN_TYPE.includes("'pending'")) {
+    await connection.query("ALTER TABLE outbound_emails MODIFY COLUMN status ENUM('pending', 'sent', 'failed') NOT NULL");
+    console.log('Added pending status to outbound_emails');
+  }
+
+  // Search bodies hold up to 60000 characters, more than TEXT fits in utf8mb4 (65535 bytes)
+  const [searchBody] = await connection.query(
+    "SELECT DATA_TYPE FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'received_email_search' AND COLUMN_NAME = 'body'"
+  );
+  if (searchBody.length > 0 && searchBody[0].DATA_TYPE === 'text') {
+    await connection.query('ALTER TABLE received_email_search MODIFY COLUMN body MEDIUMTEXT');
+    console.log('Changed received_email_search.body to MEDIUMTEXT');
+  }
+
+  // Catch-all settings and ownership tokens of custom domains
+  const [customDomainsTable] = await connection.query(
+    "SELECT TABLE_NAME FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'custom_domains'"
+  );
+  if (customDomainsTable.length > 0) {
+    await addColumnIfMissing(connection, 'custom_domains', 'catch_all_mode', "ENUM('off', 'auto_create', 'shared') DEFAULT 'off'");
+    await addColumnIfMissing(connection, 'custom_domains', 'catch_all_inbox_id', 'VARCHAR(36) NULL');
+    await addColumnIfMissing(connection, 'custom_domains', 'catch_all_patterns', 'JSON NULL');
+
+    // TXT ownership token (see services/domainVerification.js)
+    await addColumnIfMissing(connection, 'custom_domains', 'verification_token', 'VARCHAR(64) NULL');
+  }
+
+  await migrateLegacyApiKeys(connection);
 }
 
 // Cleanup function with stats logging
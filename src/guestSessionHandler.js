@@ -4,28 +4,41 @@ import { v4 as uuidv4 } from 'uuid';
 import bcrypt from 'bcryptjs';
 import { pool } from './db/init.js';
 import { recentRequests } from './middleware/requestTracker.js'; // Import recentRequests for migration tracking
-
-// In-memory storage for guest sessions
-// Using Map for better performance
-export const guestSessions = new Map();
-
-// Email address to guest session lookup for webhooks
-// This map allows quickly finding which guest session an email belongs to
-// Format: email address → { token, emailId }
-export const emailToGuestMap = new Map();
-
-// In-memory cache for registered users (similar to guest sessions)
+import { toAttachmentMetadata, saveAttachments, withAttachmentMetadata } from './services/attachmentService.js';
+import { saveRawMessage } from './services/rawMessageService.js';
+import { withExtractedData } from './utils/codeExtractor.js';
+import { indexReceivedEmail } from './services/emailSearch.js';
+import { isAddressHeldElsewhere, onInboxEvent } from './services/inboxRouter.js';
+import stateStore from './services/sharedState.js';
+
+// Guest sessions live in the shared state store so every instance can serve them
+// (in process memory with the local store). Every key expires with the guest JWT.
+// - guest-session:<token> → { id, created_at, expires_at, emails: { emailId: tempEmail } }
+// - guest-inbox:<token>:<tempEmailId> → received emails (list, attachment metadata only)
+// - guest-attachments:<receivedEmailId> → attachment records (base64 content)
+// - guest-raw:<receivedEmailId> → raw source record
+// - guest-address:<address> → { token, emailId }, lets the webhook find guest emails quickly
+const SESSION_PREFIX = 'guest-session:';
+const INBOX_PREFIX = 'guest-inbox:';
+const ATTACHMENTS_PREFIX = 'guest-attachments:';
+const RAW_PREFIX = 'guest-raw:';
+const ADDRESS_PREFIX = 'guest-address:';
+
+// In-memory cache for registered users
 // This dramatically reduces database load for frequent dashboard views
 // Format: userId → { emails: Map<emailId, emailData>, inbox: Map<emailId, emails[]>, lastFetched: Date }
 const registeredUserCache = new Map();
 
-// Email address to registered user lookup (similar to emailToGuestMap)
+// Email address to registered user lookup
 // Format: email address → { userId, emailId }
 const emailToRegisteredMap = new Map();
 
 // Cache expiration time (10 minutes)
 const CACHE_EXPIRY = 10 * 60 * 1000;
 
+// Guest sessions live as long as the guest JWT
+const GUEST_SESSION_TTL = 24 * 60 * 60 * 1000;
+
 // Set of reserved/popular local parts that should always be checked in DB
 // These are commonly used email prefixes that are likely to be taken
 const RESERVED_LOCALPARTS = new Set([
@@ -35,34 +48,10 @@ const RESERVED_LOCALPARTS = new Set([
   'postmaster', 'hostmaster', 'security', 'abuse'
 ]);
 
-// Clean up expired sessions every hour
+// Clean up expired registered user caches every hour (guest sessions expire in the state store)
 setInterval(() => {
   const now = new Date();
   
-  // Clean guest sessions
-  for (const [token, session] of guestSessions.entries()) {
-    // Check if the token is expired by decoding it
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
-      if (decoded.exp * 1000 < now.getTime()) {
-        // Remove all email mappings for this session before deleting
-        for (const [emailId, emailData] of session.emails.entries()) {
-          emailToGuestMap.delete(emailData.email);
-        }
-        guestSessions.delete(token);
-      }
-    } catch (err) {
-      // If verification fails, token is invalid or expired
-      // Remove all email mappings for this session before deleting
-      if (session) {
-        for (const [emailId, emailData] of session.emails.entries()) {
-          emailToGuestMap.delete(emailData.email);
-        }
-      }
-      guestSessions.delete(token);
-    }
-  }
-  
   // Clean registered user cache entries that are older than CACHE_EXPIRY
   for (const [userId, userData] of registeredUserCache.entries()) {
     if (now.getTime() - userData.lastFetched.getTime() > CACHE_EXPIRY) {
@@ -119,7 +108,7 @@ export async function cacheUserEmails(userId, emails) {
       );
       
       if (receivedEmails.length > 0) {
-        userCache.inbox.set(email.id, receivedEmails);
+        userCache.inbox.set(email.id, withExtractedData(await withAttachmentMetadata(receivedEmails)));
       }
     } catch (error) {
       console.error(`Failed to cache received emails for ${email.id}:`, error);
@@ -184,6 +173,11 @@ export function cacheReceivedEmail(userId, tempEmailId, emailData) {
   return true;
 }
 
+// Keep this instance's registered user cache in sync with mail stored by other instances
+onInboxEvent('registered-email-received', ({ userId, tempEmailId, emailData }) => {
+  cacheReceivedEmail(userId, tempEmailId, emailData);
+});
+
 /**
  * Find registered user by email address (for webhook handling)
  * @param {string} emailAddress - The email address to look up
@@ -260,11 +254,45 @@ export function clearUserCache(userId) {
   }
 }
 
+/**
+ * Key helpers of the guest session store
+ */
+const sessionKey = (token) => `${SESSION_PREFIX}${token}`;
+const inboxKey = (token, tempEmailId) => `${INBOX_PREFIX}${token}:${tempEmailId}`;
+
+/**
+ * Time left before a session (and everything stored for it) expires
+ */
+const sessionTtl = (session) => Math.max(1, new Date(session.expires_at).getTime() - Date.now());
+
+/**
+ * Get a guest session
+ * @param {string} token - Guest JWT token
+ * @returns {Promise<object|null>} - { id, created_at, expires_at, emails: { emailId: tempEmail } }
+ */
+async function getSession(token) {
+  if (!token) return null;
+  return stateStore.get(sessionKey(token));
+}
+
+/**
+ * Attachments are stored with base64 content so every store can serialize them
+ */
+const serializeAttachment = (attachment) => ({
+  ...attachment,
+  content: Buffer.isBuffer(attachment.content) ? attachment.content.toString('base64') : attachment.content
+});
+
+const deserializeAttachment = (attachment) => ({
+  ...attachment,
+  content: Buffer.from(attachment.content, 'base64')
+});
+
 /**
  * Generates a guest JWT token with 24h expiration
- * @returns {string} JWT token for guest session
+ * @returns {Promise<string>} JWT token for guest session
  */
-export function generateGuestJWT() {
+export async function generateGuestJWT() {
   const id = uuidv4();
   const token = jwt.sign(
     { 
@@ -277,12 +305,13 @@ export function generateGuestJWT() {
   );
 
   // Create a new guest session
-  guestSessions.set(token, {
+  const now = Date.now();
+  await stateStore.set(sessionKey(token), {
     id,
-    emails: new Map(),
-    inbox: new Map(),
-    created_at: new Date()
-  });
+    emails: {},
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + GUEST_SESSION_TTL).toISOString()
+  }, GUEST_SESSION_TTL);
 
   return token;
 }
@@ -290,21 +319,28 @@ export function generateGuestJWT() {
 /**
  * Checks if an email address belongs to a guest user
  * @param {string} emailAddress - The email address to check
- * @returns {object|null} - Guest info {token, emailId} or null if not found
+ * @returns {Promise<object|null>} - Guest info {token, emailId} or null if not found
  */
-export function findGuestByEmail(emailAddress) {
-  return emailToGuestMap.get(emailAddress) || null;
+export async function findGuestByEmail(emailAddress) {
+  if (!emailAddress) return null;
+
+  try {
+    return await stateStore.get(`${ADDRESS_PREFIX}${emailAddress}`);
+  } catch (error) {
+    console.error(`Failed to look up guest address ${emailAddress}:`, error);
+    return null;
+  }
 }
 
 /**
- * Stores temporary email data in memory for a guest session
+ * Stores temporary email data for a guest session
  * @param {string} token - Guest JWT token
  * @param {object} emailData - Email data to store
- * @returns {string|null} - ID of stored email or null if failed
+ * @returns {Promise<string|null>} - ID of stored email or null if failed
  */
-export function storeTempEmail(token, emailData) {
+export async function storeTempEmail(token, emailData) {
   try {
-    const session = guestSessions.get(token);
+    const session = await getSession(token);
     if (!session) return null;
 
     const emailId = emailData.id || uuidv4();
@@ -316,15 +352,14 @@ export function storeTempEmail(token, emailData) {
     }
 
     // Store email data in session
-    session.emails.set(emailId, emailData);
-    
-    // Initialize empty inbox for this email
-    if (!session.inbox.has(emailId)) {
-      session.inbox.set(emailId, []);
-    }
+    const ttl = sessionTtl(session);
+    await stateStore.set(sessionKey(token), {
+      ...session,
+      emails: { ...session.emails, [emailId]: emailData }
+    }, ttl);
     
-    // Add to the email lookup map for webhook to find guest emails quickly
-    emailToGuestMap.set(emailData.email, { token, emailId });
+    // Add to the address lookup for the webhook to find guest emails quickly
+    await stateStore.set(`${ADDRESS_PREFIX}${emailData.email}`, { token, emailId }, ttl);
 
     return emailId;
   } catch (error) {
@@ -336,14 +371,14 @@ export function storeTempEmail(token, emailData) {
 /**
  * Retrieves all temporary emails for a guest session
  * @param {string} token - Guest JWT token
- * @returns {Array} - Array of temp emails or empty array if none found
+ * @returns {Promise<Array>} - Array of temp emails or empty array if none found
  */
-export function getTempEmails(token) {
+export async function getTempEmails(token) {
   try {
-    const session = guestSessions.get(token);
+    const session = await getSession(token);
     if (!session) return [];
     
-    return Array.from(session.emails.values());
+    return Object.values(session.emails);
   } catch (error) {
     console.error('Error retrieving temp emails:', error);
     return [];
@@ -354,14 +389,14 @@ export function getTempEmails(token) {
  * Gets a single temporary email by ID
  * @param {string} token - Guest JWT token
  * @param {string} emailId - ID of the temporary email
- * @returns {object|null} - Temp email data or null if not found
+ * @returns {Promise<object|null>} - Temp email data or null if not found
  */
-export function getTempEmailById(token, emailId) {
+export async function getTempEmailById(token, emailId) {
   try {
-    const session = guestSessions.get(token);
+    const session = await getSession(token);
     if (!session) return null;
 
-    return session.emails.get(emailId) || null;
+    return session.emails[emailId] || null;
   } catch (error) {
     console.error('Error retrieving temp email by ID:', error);
     return null;
@@ -373,19 +408,16 @@ export function getTempEmailById(token, emailId) {
  * @param {string} token - Guest JWT token
  * @param {string} tempEmailId - ID of the temporary email
  * @param {object} emailData - Received email data
- * @returns {boolean} - Success status
+ * @param {Array} attachments - Attachment records with content (optional)
+ * @param {object|null} raw - Raw source record (optional)
+ * @returns {Promise<boolean>} - Success status
  */
-export function storeReceivedEmail(token, tempEmailId, emailData) {
+export async function storeReceivedEmail(token, tempEmailId, emailData, attachments = [], raw = null) {
   try {
-    const session = guestSessions.get(token);
+    const session = await getSession(token);
     if (!session) return false;
 
-    if (!session.emails.has(tempEmailId)) return false;
-
-    // Ensure inbox exists for this email
-    if (!session.inbox.has(tempEmailId)) {
-      session.inbox.set(tempEmailId, []);
-    }
+    if (!session.emails[tempEmailId]) return false;
 
     // Add ID if not provided
     const emailId = emailData.id || uuidv4();
@@ -397,9 +429,18 @@ export function storeReceivedEmail(token, tempEmailId, emailData) {
       emailData.received_at = new Date().toISOString();
     }
 
-    // Add email to inbox
-    const inbox = session.inbox.get(tempEmailId);
-    inbox.push(emailData);
+    // Keep attachment content out of the inbox listing, only metadata is exposed
+    const ttl = sessionTtl(session);
+    emailData.attachments = attachments.map(toAttachmentMetadata);
+    if (attachments.length > 0) {
+      await stateStore.set(`${ATTACHMENTS_PREFIX}${emailId}`, attachments.map(serializeAttachment), ttl);
+    }
+    if (raw) {
+      await stateStore.set(`${RAW_PREFIX}${emailId}`, raw, ttl);
+    }
+
+    // Add email to inbox (appended atomically, deliveries can run on several instances)
+    await stateStore.append(inboxKey(token, tempEmailId), emailData, ttl);
 
     return true;
   } catch (error) {
@@ -408,24 +449,108 @@ export function storeReceivedEmail(token, tempEmailId, emailData) {
   }
 }
 
+/**
+ * Check that a received email belongs to an inbox of the session
+ */
+async function isInInbox(token, tempEmailId, emailId) {
+  const session = await getSession(token);
+  if (!session || !session.emails[tempEmailId]) return false;
+
+  const inbox = await stateStore.getList(inboxKey(token, tempEmailId));
+  return inbox.some(email => email.id === emailId);
+}
+
+/**
+ * Gets a stored attachment of a guest's received email
+ * @param {string} token - Guest JWT token
+ * @param {string} tempEmailId - ID of the temporary email
+ * @param {string} emailId - ID of the received email
+ * @param {string} attachmentId - ID of the attachment
+ * @returns {Promise<object|null>} - Attachment record with content or null if not found
+ */
+export async function getReceivedAttachment(token, tempEmailId, emailId, attachmentId) {
+  try {
+    if (!(await isInInbox(token, tempEmailId, emailId))) return null;
+
+    const attachments = (await stateStore.get(`${ATTACHMENTS_PREFIX}${emailId}`)) || [];
+    const attachment = attachments.find(record => record.id === attachmentId);
+    return attachment ? deserializeAttachment(attachment) : null;
+  } catch (error) {
+    console.error('Error retrieving attachment:', error);
+    return null;
+  }
+}
+
+/**
+ * Gets the raw source of a guest's received email
+ * @param {string} token - Guest JWT token
+ * @param {string} tempEmailId - ID of the temporary email
+ * @param {string} emailId - ID of the received email
+ * @returns {Promise<object|null>} - Raw source record or null if not found
+ */
+export async function getReceivedRawMessage(token, tempEmailId, emailId) {
+  try {
+    if (!(await isInInbox(token, tempEmailId, emailId))) return null;
+
+    return (await stateStore.get(`${RAW_PREFIX}${emailId}`)) || null;
+  } catch (error) {
+    console.error('Error retrieving raw message:', error);
+    return null;
+  }
+}
+
 /**
  * Gets inbox content for a temporary email
  * @param {string} token - Guest JWT token
  * @param {string} tempEmailId - ID of the temporary email
- * @returns {Array} - Array of received emails
+ * @returns {Promise<Array>} - Array of received emails
  */
-export function getInbox(token, tempEmailId) {
+export async function getInbox(token, tempEmailId) {
   try {
-    const session = guestSessions.get(token);
-    if (!session) return [];
+    const session = await getSession(token);
+    if (!session || !session.emails[tempEmailId]) return [];
 
-    return session.inbox.get(tempEmailId) || [];
+    return await stateStore.getList(inboxKey(token, tempEmailId));
   } catch (error) {
     console.error('Error retrieving inbox:', error);
     return [];
   }
 }
 
+/**
+ * Deletes a temporary email of a guest session with its inbox
+ * @param {string} token - Guest JWT token
+ * @param {string} tempEmailId - ID of the temporary email
+ * @returns {Promise<boolean>} - False if the email was not found
+ */
+export async function deleteGuestTempEmail(token, tempEmailId) {
+  const session = await getSession(token);
+  const emailData = session?.emails[tempEmailId];
+  if (!emailData) return false;
+
+  const { [tempEmailId]: removed, ...emails } = session.emails;
+  await stateStore.set(sessionKey(token), { ...session, emails }, sessionTtl(session));
+  await removeTempEmailData(token, emailData);
+  return true;
+}
+
+/**
+ * Remove the address lookup, inbox, attachments and raw sources of a guest temp email
+ */
+async function removeTempEmailData(token, emailData) {
+  const address = await findGuestByEmail(emailData.email);
+  if (address?.token === token) {
+    await stateStore.delete(`${ADDRESS_PREFIX}${emailData.email}`);
+  }
+
+  const inbox = await stateStore.getList(inboxKey(token, emailData.id));
+  for (const receivedEmail of inbox) {
+    await stateStore.delete(`${ATTACHMENTS_PREFIX}${receivedEmail.id}`);
+    await stateStore.delete(`${RAW_PREFIX}${receivedEmail.id}`);
+  }
+  await stateStore.delete(inboxKey(token, emailData.id));
+}
+
 /**
  * Migrates guest session data to a registered user
  * @param {string} token - Guest JWT token
@@ -439,7 +564,7 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
   try {
     await connection.beginTransaction();
 
-    const session = guestSessions.get(token);
+    const session = await getSession(token);
     if (!session) return { success: false, error: 'Session not found' };
 
     // First check if the user already exists
@@ -465,7 +590,7 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
     
     // Track migration results
     const migrationResults = {
-      totalEmails: session.emails.size,
+      totalEmails: Object.keys(session.emails).length,
       migratedEmails: 0,
       renamedEmails: 0,
       skippedEmails: 0,
@@ -473,7 +598,7 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
     };
 
     // Migrate all temporary emails
-    for (const [emailId, emailData] of session.emails) {
+    for (const [emailId, emailData] of Object.entries(session.emails)) {
       // Quick check if this email exists in the database
       const [existingEmails] = await connection.query(
         'SELECT id FROM temp_emails WHERE email = ?',
@@ -546,15 +671,18 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
       });
 
       // Get the inbox for this email
-      const inbox = session.inbox.get(emailId) || [];
+      const inbox = await stateStore.getList(inboxKey(token, emailId));
       
       // Migrate all received emails for this temp email
       for (const receivedEmail of inbox) {
         const formattedReceivedAt = formatDate(receivedEmail.received_at);
         
-        // Insert the received email
+        // Insert the received email with the same columns as webhook storeInDatabase
         await connection.query(
-          'INSERT INTO received_emails (id, temp_email_id, from_email, from_name, subject, body_html, body_text, received_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          `INSERT INTO received_emails
+            (id, temp_email_id, from_email, from_name, subject, body_html, body_text, tags,
+             is_spam, spam_score, spam_verdict, spam_reasons, message_id, references_header, delivered_to, subaddress, received_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             receivedEmail.id,
             emailId,
@@ -563,9 +691,26 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
             receivedEmail.subject,
             receivedEmail.body_html,
             receivedEmail.body_text,
+            receivedEmail.tags ? JSON.stringify(receivedEmail.tags) : null,
+            !!receivedEmail.is_spam,
+            receivedEmail.spam_score ?? null,
+            receivedEmail.spam_verdict || null,
+            receivedEmail.spam_reasons ? JSON.stringify(receivedEmail.spam_reasons) : null,
+            receivedEmail.message_id || null,
+            receivedEmail.references || null,
+            receivedEmail.delivered_to || null,
+            receivedEmail.subaddress || null,
             formattedReceivedAt
           ]
         );
+
+        // Migrate attachments of the received email
+        const attachments = ((await stateStore.get(`${ATTACHMENTS_PREFIX}${receivedEmail.id}`)) || []).map(deserializeAttachment);
+        await saveAttachments(receivedEmail.id, attachments, connection);
+        await saveRawMessage(receivedEmail.id, await stateStore.get(`${RAW_PREFIX}${receivedEmail.id}`), connection);
+        
+        // Make it searchable
+        await indexReceivedEmail(emailId, receivedEmail, attachments.length > 0, connection);
       }
     }
 
@@ -624,10 +769,7 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
     await connection.commit();
     
     // Clean up the guest session
-    for (const [emailId, emailData] of session.emails.entries()) {
-      emailToGuestMap.delete(emailData.email);
-    }
-    guestSessions.delete(token);
+    await deleteGuestSession(token);
     
     return { success: true, results: migrationResults };
   } catch (error) {
@@ -666,12 +808,12 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
 /**
  * Checks if a token is a valid guest token
  * @param {string} token - JWT token to verify
- * @returns {boolean} - Whether the token is a valid guest token
+ * @returns {Promise<boolean>} - Whether the token is a valid guest token
  */
-export function isValidGuestToken(token) {
+export async function isValidGuestToken(token) {
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
-    return !!decoded.isGuest && guestSessions.has(token);
+    return !!decoded.isGuest && (await getSession(token)) !== null;
   } catch (error) {
     return false;
   }
@@ -680,17 +822,18 @@ export function isValidGuestToken(token) {
 /**
  * Deletes a guest session
  * @param {string} token - Guest JWT token
- * @returns {boolean} - Success status
+ * @returns {Promise<boolean>} - Success status
  */
-export function deleteGuestSession(token) {
-  const session = guestSessions.get(token);
-  if (session) {
-    // Remove all email mappings from the lookup map
-    for (const [emailId, emailData] of session.emails.entries()) {
-      emailToGuestMap.delete(emailData.email);
-    }
+export async function deleteGuestSession(token) {
+  const session = await getSession(token);
+  if (!session) return false;
+
+  // Remove the address lookups, inboxes and stored content of every email
+  for (const emailData of Object.values(session.emails)) {
+    await removeTempEmailData(token, emailData);
   }
-  return guestSessions.delete(token);
+  await stateStore.delete(sessionKey(token));
+  return true;
 }
 
 /**
@@ -741,12 +884,17 @@ function shouldCheckEmailInDB(email) {
  */
 export async function isEmailAddressInUse(emailAddress) {
   try {
-    // Always check if the email exists in the guest system first (in-memory, fast)
-    const guestEmail = emailToGuestMap.get(emailAddress);
+    // Always check if the email exists in the guest system first (state store, fast)
+    const guestEmail = await findGuestByEmail(emailAddress);
     if (guestEmail) {
       return true;
     }
     
+    // API inboxes held in memory by other instances
+    if (await isAddressHeldElsewhere(emailAddress)) {
+      return true;
+    }
+    
     // Apply heuristics to determine if we should check the database
     if (shouldCheckEmailInDB(emailAddress)) {
       // Only hit the database for emails that are likely to be taken
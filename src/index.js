@@ -23,9 +23,11 @@ import apiKeyRoutes from './routes/apiKeyRoutes.js'; // Added API key management
 import billingRoutes from './routes/billing.js'; // Added billing routes
 import nowPaymentsWebhookRoutes from './routes/webhooks/nowpayments.js'; // Added NOWPayments webhook routes
 import { encryptResponse } from './middleware/encryption.js'; // Added encryption middleware
+import { storeRawBody } from './middleware/inboundWebhookAuth.js';
 import nodemailer from 'nodemailer';
 import http from 'http'; // Added for WebSocket support
 import { setupWebSocketServer } from './services/gmailImapService.js'; // Added for WebSocket
+import { setupInboxSocketServer } from './services/inboxSocket.js';
 import { setupActivityTracker } from './services/activityTracker.js'; // Add activity tracker
 import { syncAllDomainsToMailserver, checkMailserverHealth } from './services/domainSyncService.js'; // Add domain sync service
 import { initializeApiMemoryStore } from './services/apiMemoryStore.js'; // Add API memory store
@@ -121,6 +123,12 @@ app.use(cors({
   exposedHeaders: ['Content-Length', 'X-Requested-With', 'X-Request-ID']
 }));
 
+// Inbound mail from the mailserver keeps its raw body for signature checks
+// (parsed here, before the global parsers, so no other route holds a copy of its body)
+const INBOUND_MAIL_PATHS = ['/webhook/email/incoming', '/guest/receive-email'];
+app.use(INBOUND_MAIL_PATHS, express.json({ limit: '50mb', verify: storeRawBody }));
+app.use(INBOUND_MAIL_PATHS, express.urlencoded({ extended: true, limit: '50mb', verify: storeRawBody }));
+
 // Configure body parser with increased size limits
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -232,12 +240,15 @@ initializeDatabase().then(async () => {
     setupWebSocketServer(server);
     console.log('WebSocket server initialized for real-time email updates');
     
+    // Setup WebSocket server for real-time temp inbox updates (regular, custom domain and guest)
+    setupInboxSocketServer(server);
+    
     // Setup WebSocket server for real-time activity tracking
     setupActivityTracker(server);
     console.log('Real-time activity tracking system initialized');
     
     // Initialize API memory store
-    initializeApiMemoryStore();
+    await initializeApiMemoryStore();
     console.log('API memory store initialized for temp email API');
     
     // Check mailserver health and sync domains on startup
@@ -1,23 +1,10 @@
 // apiAuth.js - API Key Authentication Middleware
-import { pool } from '../db/init.js';
-
-// Smart caching for API tokens
-const tokenCache = new Map(); // { apiKey: { userInfo, expiresAt } }
-const CACHE_TTL = 10 * 60 * 1000; // 10 minutes
-
-// Clean expired cache entries periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, value] of tokenCache.entries()) {
-    if (value.expiresAt <= now) {
-      tokenCache.delete(key);
-    }
-  }
-}, 5 * 60 * 1000); // Clean every 5 minutes
+import { findApiKey, touchApiKey } from '../services/apiKeys.js';
+import { reserveRateLimit, releaseRateLimit, setRateLimitHeaders } from '../services/rateLimitPolicy.js';
 
 /**
  * Authenticate API key from X-API-Key header
- * Checks against existing premium_settings table
+ * Keys are looked up by hash in api_keys (see services/apiKeys.js)
  */
 export const authenticateApiKey = async (req, res, next) => {
   // Check both header and query parameter for API key (CORS compatibility)
@@ -31,7 +18,7 @@ export const authenticateApiKey = async (req, res, next) => {
   }
 
   // Validate API key format
-  if (!apiKey.startsWith('api_') || apiKey.length < 20) {
+  if (typeof apiKey !== 'string' || !apiKey.startsWith('api_') || apiKey.length < 20) {
     return res.status(401).json({ 
       error: 'Invalid API key format',
       message: 'API key must start with "api_" and be at least 20 characters long'
@@ -39,38 +26,24 @@ export const authenticateApiKey = async (req, res, next) => {
   }
 
   try {
-    // Check cache first for instant response
-    const cached = tokenCache.get(apiKey);
-    if (cached && cached.expiresAt > Date.now()) {
-      req.apiUser = cached.userInfo;
-      console.log(`API request from user ${req.apiUser.email} (${req.apiUser.id}) - ${req.method} ${req.path} [CACHED]`);
-      return next();
-    }
-
-    // Cache miss - check database
-    const [settings] = await pool.query(`
-      SELECT 
-        ps.*, 
-        u.id as user_id, 
-        u.email as user_email,
-        u.premium_tier,
-        u.created_at as user_created_at
-      FROM premium_settings ps 
-      JOIN users u ON ps.user_id = u.id 
-      WHERE ps.api_key = ? AND u.id IS NOT NULL
-    `, [apiKey]);
+    const key = await findApiKey(apiKey);
     
-    if (settings.length === 0) {
+    if (!key) {
       return res.status(401).json({ 
         error: 'Invalid API key',
         message: 'The provided API key is not valid or has been revoked'
       });
     }
 
-    const userSettings = settings[0];
+    if (key.expires_at && new Date(key.expires_at) <= new Date()) {
+      return res.status(401).json({ 
+        error: 'API key expired',
+        message: `The API key "${key.name}" expired on ${new Date(key.expires_at).toISOString()}`
+      });
+    }
 
     // Check if user account is active (basic validation)
-    if (!userSettings.user_email || userSettings.user_email.trim() === '') {
+    if (!key.user_email || key.user_email.trim() === '') {
       return res.status(401).json({ 
         error: 'User account inactive',
         message: 'The user account associated with this API key is inactive'
@@ -78,25 +51,21 @@ export const authenticateApiKey = async (req, res, next) => {
     }
     
     // Attach user info to request object
-    const userInfo = {
-      id: userSettings.user_id,
-      email: userSettings.user_email,
-      tier: userSettings.premium_tier || 'free', // Default to free tier
-      apiKey: apiKey,
-      userCreatedAt: userSettings.user_created_at,
-      settingsId: userSettings.id
+    req.apiUser = {
+      id: key.user_id,
+      email: key.user_email,
+      tier: key.premium_tier || 'free', // Default to free tier
+      userCreatedAt: key.user_created_at,
+      keyId: key.id,
+      keyName: key.name,
+      keyPrefix: key.key_prefix,
+      scopes: key.scopes
     };
-    
-    req.apiUser = userInfo;
 
-    // Cache the result for future requests
-    tokenCache.set(apiKey, {
-      userInfo: userInfo,
-      expiresAt: Date.now() + CACHE_TTL
-    });
+    touchApiKey(key.id);
 
     // Log API usage (optional - for monitoring)
-    console.log(`API request from user ${req.apiUser.email} (${req.apiUser.id}) - ${req.method} ${req.path} [DB]`);
+    console.log(`API request from user ${req.apiUser.email} (${req.apiUser.id}) with key "${key.name}" - ${req.method} ${req.path}`);
     
     next();
   } catch (error) {
@@ -109,52 +78,57 @@ export const authenticateApiKey = async (req, res, next) => {
 };
 
 /**
- * Optional: Rate limiting middleware for API endpoints
- * Can be used to add additional rate limiting beyond the daily limits
+ * Require a scope on the API key used for the request
+ * @param {string} scope - One of API_KEY_SCOPES
  */
-export const apiRateLimit = (requestsPerMinute = 60) => {
-  const requestCounts = new Map();
-  
-  return (req, res, next) => {
+export const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiUser?.scopes?.includes(scope)) {
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      message: `This API key is missing the "${scope}" scope`,
+      required_scope: scope
+    });
+  }
+  next();
+};
+
+/**
+ * Rate limiting middleware for API endpoints (windows and tiers from services/rateLimitPolicy.js)
+ * The window states are kept in req.rateLimit for addRateLimitHeaders
+ * @param {string} policyName - Rate limit policy, api_requests by default
+ */
+export const apiRateLimit = (policyName = 'api_requests') => {
+  return async (req, res, next) => {
     const userId = req.apiUser?.id;
     const userTier = req.apiUser?.tier || 'free';
 
-    // Unlimited or enterprise tiers bypass per-minute rate limiting
-    if (userTier === 'unlimited' || userTier === 'enterprise') {
-      return next();
-    }
-
     if (!userId) {
       return next(); // Should not happen after auth
     }
 
-    const now = Date.now();
-    const windowStart = Math.floor(now / 60000) * 60000; // 1-minute window
-    const key = `${userId}-${windowStart}`;
+    const result = await reserveRateLimit(policyName, userId, { userTier });
 
-    const currentCount = requestCounts.get(key) || 0;
-
-    if (currentCount >= requestsPerMinute) {
+    if (!result.allowed) {
+      setRateLimitHeaders(res, result.windows, result.blocked);
       return res.status(429).json({
         error: 'Rate limit exceeded',
-        message: `Maximum ${requestsPerMinute} requests per minute allowed`,
-        retryAfter: 60 - Math.floor((now - windowStart) / 1000)
+        message: `Maximum ${result.blocked.limit} requests per ${result.blocked.window} allowed`,
+        code: `RATE_LIMIT_EXCEEDED_${result.blocked.window.toUpperCase()}`,
+        retryAfter: Math.max(1, Math.ceil((result.blocked.resetAt - Date.now()) / 1000))
       });
     }
 
-    requestCounts.set(key, currentCount + 1);
-    
-    // Clean up old entries every 5 minutes
-    if (Math.random() < 0.01) { // 1% chance to trigger cleanup
-      const fiveMinutesAgo = now - 5 * 60 * 1000;
-      for (const [mapKey] of requestCounts.entries()) {
-        const [, timestamp] = mapKey.split('-');
-        if (parseInt(timestamp) < fiveMinutesAgo) {
-          requestCounts.delete(mapKey);
-        }
+    // Unlimited tiers have no windows
+    req.rateLimit = result.windows;
+
+    // Failed requests don't count against the limits
+    res.on('finish', () => {
+      if (res.statusCode >= 500 && result.windows.length > 0) {
+        releaseRateLimit(policyName, userId, result.windows).catch(error =>
+          console.error('Failed to release rate limit units:', error)
+        );
       }
-    }
-    
+    });
     next();
   };
 };
@@ -165,9 +139,9 @@ export const apiRateLimit = (requestsPerMinute = 60) => {
 export const apiCorsHeaders = (req, res, next) => {
   // Set CORS headers for API endpoints
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, Authorization');
-  res.header('Access-Control-Expose-Headers', 'X-RateLimit-Remaining, X-RateLimit-Reset');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, Authorization, Idempotency-Key, Last-Event-ID');
+  res.header('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-RateLimit-Window, Retry-After, X-Raw-Message-Size, X-Raw-Message-Truncated, Idempotent-Replayed');
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -178,14 +152,11 @@ export const apiCorsHeaders = (req, res, next) => {
 };
 
 /**
- * Add rate limit headers to response
+ * Add rate limit headers to response (use after apiRateLimit)
  */
 export const addRateLimitHeaders = (req, res, next) => {
-  const userId = req.apiUser?.id;
-  if (userId) {
-    // These could be enhanced to show actual rate limit status
-    res.header('X-RateLimit-Limit', '60');
-    res.header('X-RateLimit-Window', '60');
+  if (req.rateLimit) {
+    setRateLimitHeaders(res, req.rateLimit);
   }
   next();
 }; 
\ No newline at end of file
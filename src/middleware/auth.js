@@ -31,7 +31,7 @@ export function authenticateAnyToken(req, res, next) {
   }
 
   // Verify JWT
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid token' });
     }
@@ -39,7 +39,7 @@ export function authenticateAnyToken(req, res, next) {
     // Check if this is a guest token
     if (user.isGuest === true) {
       // Verify the token is in our session store
-      if (!isValidGuestToken(token)) {
+      if (!(await isValidGuestToken(token))) {
         return res.status(403).json({ error: 'Invalid guest token' });
       }
       
@@ -62,7 +62,7 @@ export function authenticateGuestToken(req, res, next) {
   }
 
   // Verify JWT
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid token' });
     }
@@ -73,7 +73,7 @@ export function authenticateGuestToken(req, res, next) {
     }
     
     // Verify the token is in our session store
-    if (!isValidGuestToken(token)) {
+    if (!(await isValidGuestToken(token))) {
       return res.status(403).json({ error: 'Invalid guest token' });
     }
     
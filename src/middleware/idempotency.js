@@ -0,0 +1,113 @@
+// idempotency.js - Idempotency-Key support for mutating API requests
+// A retried request with the same key and body gets the stored response instead of running again
+// Records live in the shared state store, so retries hitting another instance are covered too
+import crypto from 'crypto';
+import stateStore from '../services/sharedState.js';
+
+// How long a successful response is replayed (IDEMPOTENCY_WINDOW_HOURS, default 24 hours)
+const REPLAY_WINDOW = parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS || '24') * 60 * 60 * 1000;
+
+// A request that never finishes (crash) releases its key after this long
+const PROCESSING_TTL = 2 * 60 * 1000; // 2 minutes
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const KEY_REGEX = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Fingerprint of what a key was first used for (method, path, query and body)
+ */
+const fingerprintRequest = (req) => {
+  const { api_key, ...query } = req.query;
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([req.method, req.baseUrl + req.path, query, req.body || {}]))
+    .digest('hex');
+};
+
+/**
+ * Honour the Idempotency-Key header on mutating requests (use after authenticateApiKey)
+ * - first use: the request runs, a 2xx JSON response is stored for the replay window
+ * - same key and request: the stored response is replayed with Idempotent-Replayed: true
+ * - same key, different method, URL or body: 422
+ * - same key while the first request is still running: 409
+ * Failed requests (non-2xx) and other responses release the key so they can be retried
+ */
+export const apiIdempotency = async (req, res, next) => {
+  const idempotencyKey = req.headers['idempotency-key'];
+
+  if (!idempotencyKey || !MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (!KEY_REGEX.test(idempotencyKey)) {
+    return res.status(400).json({
+      error: 'Invalid Idempotency-Key',
+      message: 'Idempotency-Key must be 1-255 printable ASCII characters',
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  // Keys are per account, so rotating API keys doesn't defeat them
+  const storeKey = `idempotency:${req.apiUser.id}:${idempotencyKey}`;
+  const fingerprint = fingerprintRequest(req);
+
+  try {
+    const acquired = await stateStore.setIfAbsent(storeKey, { state: 'processing', fingerprint }, PROCESSING_TTL);
+
+    if (!acquired) {
+      const record = await stateStore.get(storeKey);
+
+      if (record && record.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          error: 'Idempotency-Key reused',
+          message: 'This Idempotency-Key was already used with a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+
+      if (record && record.state === 'processing') {
+        return res.status(409).json({
+          error: 'Request in progress',
+          message: 'A request with this Idempotency-Key is still being processed, retry shortly',
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+        });
+      }
+
+      if (record && record.state === 'completed') {
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(record.status).json(record.body);
+      }
+
+      // The record expired in between, run the request normally
+      return next();
+    }
+  } catch (error) {
+    // Without the state store the request still runs, just without protection
+    console.error('Idempotency check failed:', error);
+    return next();
+  }
+
+  // A 2xx JSON response is stored as soon as the route sends it; any other outcome
+  // (error status, response sent another way, connection closed) releases the key
+  let settled = false;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (!settled && res.statusCode >= 200 && res.statusCode < 300) {
+      settled = true;
+      stateStore.set(storeKey, { state: 'completed', fingerprint, status: res.statusCode, body }, REPLAY_WINDOW)
+        .catch(error => console.error('Failed to store idempotent response:', error));
+    }
+    return sendJson(body);
+  };
+
+  const release = () => {
+    if (settled) return;
+    settled = true;
+    stateStore.delete(storeKey)
+      .catch(error => console.error('Failed to release Idempotency-Key:', error));
+  };
+  res.on('finish', release);
+  res.on('close', release);
+
+  next();
+};
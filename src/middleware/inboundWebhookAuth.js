@@ -0,0 +1,202 @@
+// inboundWebhookAuth.js - Authenticate mail delivered by the mailserver
+// Covers POST /webhook/email/incoming and POST /guest/receive-email/:emailId
+// The mailserver signs every request:
+//   X-Mailserver-Signature: t=<unix seconds>,n=<nonce>,v1=<hex HMAC-SHA256(secret, `${t}.${n}.${raw body}`)>
+// Secret: MAILSERVER_WEBHOOK_SECRET, or MAILSERVER_TOKEN when no dedicated secret is set
+import crypto from 'crypto';
+import net from 'net';
+import stateStore from '../services/sharedState.js';
+
+// Accepted clock difference between the mailserver and us (INBOUND_WEBHOOK_TOLERANCE_SECONDS, default 5 minutes)
+const TIMESTAMP_TOLERANCE = parseInt(process.env.INBOUND_WEBHOOK_TOLERANCE_SECONDS || '300') * 1000;
+
+const NONCE_REGEX = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Rejected requests by reason, since startup (per instance)
+const metrics = {
+  accepted: 0,
+  unsignedAccepted: 0,
+  rejected: {},
+  lastRejection: null
+};
+
+const getSecret = () => process.env.MAILSERVER_WEBHOOK_SECRET || process.env.MAILSERVER_TOKEN || null;
+
+/**
+ * Build the source-IP allowlist from MAILSERVER_ALLOWED_IPS (comma separated IPs or CIDR ranges)
+ * @returns {net.BlockList|null} - null when every source is allowed
+ */
+const buildAllowlist = () => {
+  const entries = (process.env.MAILSERVER_ALLOWED_IPS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  if (entries.length === 0) return null;
+
+  const allowlist = new net.BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (!net.isIP(address)) {
+      console.warn(`Ignoring invalid MAILSERVER_ALLOWED_IPS entry: ${entry}`);
+    } else if (prefix !== undefined) {
+      allowlist.addSubnet(address, parseInt(prefix), type);
+    } else {
+      allowlist.addAddress(address, type);
+    }
+  }
+  return allowlist;
+};
+
+const allowlist = buildAllowlist();
+
+// Proxies in front of the API whose X-Forwarded-For entry can be trusted (MAILSERVER_TRUSTED_PROXY_HOPS, default 0)
+const TRUSTED_PROXY_HOPS = parseInt(process.env.MAILSERVER_TRUSTED_PROXY_HOPS || '0');
+
+/**
+ * Get the address the request came from
+ * req.ip can't be used: with "trust proxy" it is the left-most X-Forwarded-For entry, which the
+ * client sets. Without trusted proxies this is the socket peer, otherwise the entry added by the
+ * outermost trusted proxy (counted from the right of X-Forwarded-For).
+ */
+const getSourceAddress = (req) => {
+  if (TRUSTED_PROXY_HOPS <= 0) {
+    return req.socket.remoteAddress;
+  }
+
+  const forwarded = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  return forwarded[forwarded.length - TRUSTED_PROXY_HOPS] || null;
+};
+
+/**
+ * Check the request source against the allowlist
+ */
+const isAllowedSource = (ip) => {
+  if (!allowlist) return true;
+  if (!ip || !net.isIP(ip)) return false;
+
+  // IPv4 clients on a dual-stack socket show up as ::ffff:1.2.3.4
+  const address = ip.startsWith('::ffff:') ? ip.substring(7) : ip;
+  return allowlist.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Parse the signature header into { timestamp, nonce, signature }
+ */
+const parseSignatureHeader = (header) => {
+  const parts = {};
+  for (const part of String(header).split(',')) {
+    const separator = part.indexOf('=');
+    if (separator > 0) {
+      parts[part.substring(0, separator).trim()] = part.substring(separator + 1).trim();
+    }
+  }
+
+  return { timestamp: parts.t, nonce: parts.n, signature: parts.v1 };
+};
+
+/**
+ * Sign an inbound request body (used by the mailserver, and to verify)
+ * @param {string} secret - Shared secret
+ * @param {string|Buffer} body - Raw request body
+ * @param {number} timestamp - Unix timestamp (seconds)
+ * @param {string} nonce - Random value, unique per request
+ * @returns {string} - Signature header value
+ */
+export const signInboundRequest = (secret, body, timestamp, nonce) => {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(body || '')
+    .digest('hex');
+  return `t=${timestamp},n=${nonce},v1=${signature}`;
+};
+
+/**
+ * Keep the raw body for signature checks (verify option of the body parsers)
+ */
+export const storeRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+const reject = (req, res, status, reason, message) => {
+  metrics.rejected[reason] = (metrics.rejected[reason] || 0) + 1;
+  const ip = getSourceAddress(req);
+  metrics.lastRejection = { reason, ip, path: req.originalUrl, at: new Date().toISOString() };
+
+  console.warn(`Rejected inbound mail request from ${ip} (${reason}): ${req.originalUrl}`);
+  return res.status(status).json({ error: message, reason });
+};
+
+/**
+ * Verify that an inbound mail request comes from the mailserver
+ * - source IP in MAILSERVER_ALLOWED_IPS (when set): 403 otherwise
+ * - valid signature over the raw body, timestamp within the tolerance: 401 otherwise
+ * - nonce not seen before within the tolerance window: 401 otherwise (replay)
+ * INBOUND_WEBHOOK_ALLOW_UNSIGNED=true lets unsigned requests through while the mailserver is updated
+ */
+export const verifyInboundWebhook = async (req, res, next) => {
+  if (!isAllowedSource(getSourceAddress(req))) {
+    return reject(req, res, 403, 'ip_not_allowed', 'Source not allowed');
+  }
+
+  const header = req.headers['x-mailserver-signature'];
+  if (!header) {
+    if (process.env.INBOUND_WEBHOOK_ALLOW_UNSIGNED === 'true') {
+      metrics.unsignedAccepted++;
+      return next();
+    }
+    return reject(req, res, 401, 'missing_signature', 'Signature required');
+  }
+
+  const secret = getSecret();
+  if (!secret) {
+    console.error('MAILSERVER_WEBHOOK_SECRET or MAILSERVER_TOKEN must be set to accept inbound mail');
+    return reject(req, res, 503, 'not_configured', 'Inbound mail authentication is not configured');
+  }
+
+  const { timestamp, nonce, signature } = parseSignatureHeader(header);
+  if (!/^\d+$/.test(timestamp || '') || !NONCE_REGEX.test(nonce || '') || !/^[a-f0-9]{64}$/.test(signature || '')) {
+    return reject(req, res, 401, 'malformed_signature', 'Malformed signature');
+  }
+
+  const expected = parseSignatureHeader(signInboundRequest(secret, req.rawBody, timestamp, nonce)).signature;
+  if (!crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(expected, 'hex'))) {
+    return reject(req, res, 401, 'invalid_signature', 'Invalid signature');
+  }
+
+  if (Math.abs(Date.now() - parseInt(timestamp) * 1000) > TIMESTAMP_TOLERANCE) {
+    return reject(req, res, 401, 'stale_timestamp', 'Request timestamp outside the allowed window');
+  }
+
+  try {
+    // Nonces are remembered for both sides of the window, on every instance
+    const fresh = await stateStore.setIfAbsent(`inbound-nonce:${nonce}`, timestamp, TIMESTAMP_TOLERANCE * 2);
+    if (!fresh) {
+      return reject(req, res, 401, 'replayed_nonce', 'Request already processed');
+    }
+  } catch (error) {
+    console.error('Inbound nonce check failed:', error);
+    return reject(req, res, 503, 'nonce_store_unavailable', 'Unable to verify request');
+  }
+
+  metrics.accepted++;
+  next();
+};
+
+/**
+ * Counters of accepted and rejected inbound mail requests on this instance
+ */
+export const getInboundWebhookMetrics = () => ({
+  accepted: metrics.accepted,
+  unsigned_accepted: metrics.unsignedAccepted,
+  rejected: { ...metrics.rejected },
+  rejected_total: Object.values(metrics.rejected).reduce((sum, count) => sum + count, 0),
+  last_rejection: metrics.lastRejection,
+  allowlist_enabled: !!allowlist,
+  secret_configured: !!getSecret()
+});
@@ -1,5 +1,6 @@
 import { v4 as uuidv4 } from 'uuid';
 import axios from 'axios';
+import stateStore from '../services/sharedState.js';
 
 // In-memory store for rate limiting
 const rateLimitStore = {
@@ -102,8 +103,12 @@ const RATE_LIMIT = {
   AUTH_MAX_EMAILS_PER_HOUR: 15, // Higher limit for authenticated users
 };
 
+// Key of a counter in the shared state store (used when running several instances)
+const sharedCounterKey = (isGuestUser, rateLimitKey) =>
+  `email-rate:${isGuestUser ? 'ip' : 'user'}:${rateLimitKey}`;
+
 // Rate limit middleware
-export function rateLimitMiddleware(req, res, next) {
+export async function rateLimitMiddleware(req, res, next) {
   // Get client IP with better detection
   const clientIp = getClientIP(req);
   console.log(`Rate limit check for IP: ${clientIp}`); // Debug log
@@ -127,8 +132,22 @@ export function rateLimitMiddleware(req, res, next) {
     };
   }
   
-  // Increment count for this key
-  rateLimitStore_target[rateLimitKey].count++;
+  // Increment count for this key (counted across instances when the state store is shared)
+  if (stateStore.isShared) {
+    try {
+      const { count, resetAt } = await stateStore.increment(
+        sharedCounterKey(isGuestUser, rateLimitKey),
+        RATE_LIMIT.WINDOW_MS
+      );
+      rateLimitStore_target[rateLimitKey].count = count;
+      rateLimitStore_target[rateLimitKey].resetAt = resetAt;
+    } catch (error) {
+      console.error('Shared rate limit counter failed, counting locally:', error);
+      rateLimitStore_target[rateLimitKey].count++;
+    }
+  } else {
+    rateLimitStore_target[rateLimitKey].count++;
+  }
   
   // Check if rate limit is exceeded
   if (rateLimitStore_target[rateLimitKey].count > maxEmails) {
@@ -216,6 +235,9 @@ export async function verifyCaptcha(req, res, next) {
         rateLimitStore_target[rateLimitKey].count = 0; // Reset counter
         rateLimitStore_target[rateLimitKey].captchaRequired = false; // No longer require CAPTCHA
       }
+      if (stateStore.isShared) {
+        await stateStore.delete(sharedCounterKey(isGuestUser, rateLimitKey));
+      }
       
       // Proceed with request
       next();
@@ -1,25 +1,132 @@
 // apiKeyRoutes.js - API Key Management Routes for Dashboard
 import express from 'express';
-import crypto from 'crypto';
 import { authenticateToken } from '../middleware/auth.js';
 import { pool } from '../db/init.js';
-import { v4 as uuidv4 } from 'uuid';
 import { getUserUsageStats, getTomorrowMidnight } from '../services/apiMemoryStore.js';
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKeys,
+  validateApiKeyInput,
+  formatApiKey,
+  API_KEY_SCOPES,
+  MAX_API_KEYS_PER_USER,
+  DEFAULT_KEY_NAME
+} from '../services/apiKeys.js';
 
 const router = express.Router();
 
+/**
+ * GET /auth/api-keys
+ * List user's API keys (names, scopes, expiry, last use - never the keys)
+ */
+router.get('/api-keys', authenticateToken, async (req, res) => {
+  try {
+    const keys = await listApiKeys(req.user.id);
+
+    res.json({
+      success: true,
+      keys: keys.map(formatApiKey),
+      available_scopes: API_KEY_SCOPES,
+      limit: MAX_API_KEYS_PER_USER
+    });
+  } catch (error) {
+    console.error('Failed to list API keys:', error);
+    res.status(500).json({ 
+      error: 'Failed to list API keys',
+      message: 'An internal error occurred while fetching your API keys'
+    });
+  }
+});
+
+/**
+ * POST /auth/api-keys
+ * Create a named API key
+ * Body:
+ * - name: label, e.g. "CI" or "staging"
+ * - scopes: subset of emails:create, emails:read, emails:delete, account:read, webhooks:manage,
+ *   inbox:configure (default: all)
+ * - expires_at: ISO date, or expires_in_days (default: never expires)
+ */
+router.post('/api-keys', authenticateToken, async (req, res) => {
+  try {
+    const { key, error } = validateApiKeyInput(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Invalid API key settings',
+        message: error
+      });
+    }
+
+    const { apiKey, record } = await createApiKey(req.user.id, key);
+
+    console.log(`Created API key "${record.name}" for user ${req.user.email} (${req.user.id})`);
+
+    res.status(201).json({ 
+      success: true,
+      api_key: apiKey,
+      key: formatApiKey(record),
+      message: 'Store this key now, it will not be shown again'
+    });
+  } catch (error) {
+    if (error.message === 'API_KEY_LIMIT_EXCEEDED') {
+      return res.status(400).json({ 
+        error: 'API key limit reached',
+        message: `A maximum of ${MAX_API_KEYS_PER_USER} API keys can be active at once`
+      });
+    }
+
+    console.error('Failed to create API key:', error);
+    res.status(500).json({ 
+      error: 'Failed to create API key',
+      message: 'An internal error occurred while creating your API key'
+    });
+  }
+});
+
+/**
+ * DELETE /auth/api-keys/:id
+ * Revoke a single API key
+ */
+router.delete('/api-keys/:id', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeApiKeys(req.user.id, { keyId: req.params.id });
+
+    if (revoked === 0) {
+      return res.status(404).json({ 
+        error: 'API key not found',
+        message: 'The API key was not found or is already revoked'
+      });
+    }
+
+    console.log(`Revoked API key ${req.params.id} for user ${req.user.email} (${req.user.id})`);
+
+    res.json({ 
+      success: true,
+      message: 'API key revoked successfully',
+      revoked_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Failed to revoke API key:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke API key',
+      message: 'An internal error occurred while revoking your API key'
+    });
+  }
+});
+
 /**
  * GET /auth/api-key
- * Get user's current API key (for dashboard display)
+ * Get user's default API key (for dashboard display)
+ * Keys are stored hashed, so only the prefix can be shown: api_key is always null
+ * (it used to hold the plaintext key), use has_key and key_prefix instead
  */
 router.get('/api-key', authenticateToken, async (req, res) => {
   try {
-    const [settings] = await pool.query(
-      'SELECT api_key, created_at, updated_at FROM premium_settings WHERE user_id = ?',
-      [req.user.id]
-    );
+    const keys = await listApiKeys(req.user.id);
+    const defaultKey = keys.find(key => key.name === DEFAULT_KEY_NAME) || keys[0];
     
-    if (settings.length === 0 || !settings[0].api_key) {
+    if (!defaultKey) {
       return res.json({ 
         api_key: null,
         has_key: false,
@@ -28,11 +135,13 @@ router.get('/api-key', authenticateToken, async (req, res) => {
     }
 
     res.json({ 
-      api_key: settings[0].api_key,
+      api_key: null,
       has_key: true,
-      created_at: settings[0].created_at,
-      updated_at: settings[0].updated_at,
-      key_prefix: settings[0].api_key.substring(0, 8) + '...'
+      created_at: defaultKey.created_at,
+      updated_at: defaultKey.created_at,
+      key_prefix: defaultKey.key_prefix + '...',
+      key_count: keys.length,
+      message: 'API keys are only shown when they are created'
     });
   } catch (error) {
     console.error('Failed to fetch API key:', error);
@@ -45,33 +154,13 @@ router.get('/api-key', authenticateToken, async (req, res) => {
 
 /**
  * POST /auth/generate-api-key
- * Generate new API key for user
+ * Generate a new default API key (replaces the previous default key only,
+ * named keys keep working)
  */
 router.post('/generate-api-key', authenticateToken, async (req, res) => {
   try {
-    // Generate secure API key
-    const apiKey = 'api_' + crypto.randomBytes(32).toString('hex');
-    
-    // Check if user already has premium_settings record
-    const [existingSettings] = await pool.query(
-      'SELECT id FROM premium_settings WHERE user_id = ?',
-      [req.user.id]
-    );
-
-    if (existingSettings.length > 0) {
-      // Update existing record
-      await pool.query(
-        'UPDATE premium_settings SET api_key = ?, updated_at = NOW() WHERE user_id = ?',
-        [apiKey, req.user.id]
-      );
-    } else {
-      // Create new record
-      const settingsId = uuidv4();
-      await pool.query(`
-        INSERT INTO premium_settings (id, user_id, api_key, created_at, updated_at) 
-        VALUES (?, ?, ?, NOW(), NOW())
-      `, [settingsId, req.user.id, apiKey]);
-    }
+    await revokeApiKeys(req.user.id, { name: DEFAULT_KEY_NAME });
+    const { apiKey, record } = await createApiKey(req.user.id, { name: DEFAULT_KEY_NAME });
 
     // Log the API key generation
     console.log(`Generated new API key for user ${req.user.email} (${req.user.id})`);
@@ -80,10 +169,17 @@ router.post('/generate-api-key', authenticateToken, async (req, res) => {
       success: true,
       api_key: apiKey,
       message: 'API key generated successfully',
-      key_prefix: apiKey.substring(0, 8) + '...',
+      key_prefix: record.key_prefix + '...',
       generated_at: new Date().toISOString()
     });
   } catch (error) {
+    if (error.message === 'API_KEY_LIMIT_EXCEEDED') {
+      return res.status(400).json({ 
+        error: 'API key limit reached',
+        message: `A maximum of ${MAX_API_KEYS_PER_USER} API keys can be active at once`
+      });
+    }
+
     console.error('Failed to generate API key:', error);
     res.status(500).json({ 
       error: 'Failed to generate API key',
@@ -94,16 +190,13 @@ router.post('/generate-api-key', authenticateToken, async (req, res) => {
 
 /**
  * DELETE /auth/revoke-api-key
- * Revoke (delete) user's API key
+ * Revoke all of the user's API keys
  */
 router.delete('/revoke-api-key', authenticateToken, async (req, res) => {
   try {
-    const [result] = await pool.query(
-      'UPDATE premium_settings SET api_key = NULL, updated_at = NOW() WHERE user_id = ?',
-      [req.user.id]
-    );
+    const revoked = await revokeApiKeys(req.user.id);
 
-    if (result.affectedRows === 0) {
+    if (revoked === 0) {
       return res.status(404).json({ 
         error: 'No API key found',
         message: 'You do not have an API key to revoke'
@@ -111,11 +204,12 @@ router.delete('/revoke-api-key', authenticateToken, async (req, res) => {
     }
 
     // Log the API key revocation
-    console.log(`Revoked API key for user ${req.user.email} (${req.user.id})`);
+    console.log(`Revoked ${revoked} API keys for user ${req.user.email} (${req.user.id})`);
 
     res.json({ 
       success: true,
       message: 'API key revoked successfully',
+      revoked_count: revoked,
       revoked_at: new Date().toISOString()
     });
   } catch (error) {
@@ -192,12 +286,8 @@ router.get('/api-usage-history', authenticateToken, async (req, res) => {
 router.get('/api-status', authenticateToken, async (req, res) => {
   try {
     // Check if user has an API key
-    const [settings] = await pool.query(
-      'SELECT api_key FROM premium_settings WHERE user_id = ?',
-      [req.user.id]
-    );
-
-    const hasApiKey = settings.length > 0 && settings[0].api_key;
+    const keys = await listApiKeys(req.user.id);
+    const hasApiKey = keys.length > 0;
 
     // Get today's usage from memory store (real-time data)
     let todayUsage = null;
@@ -209,6 +299,7 @@ router.get('/api-status', authenticateToken, async (req, res) => {
       success: true,
       api_access: {
         has_api_key: hasApiKey,
+        key_count: keys.length,
         tier: req.user.premium_tier || 'free',
         status: hasApiKey ? 'active' : 'inactive'
       },
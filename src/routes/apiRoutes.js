@@ -4,84 +4,307 @@ import {
   authenticateApiKey, 
   apiRateLimit, 
   apiCorsHeaders, 
-  addRateLimitHeaders 
+  addRateLimitHeaders,
+  requireScope
 } from '../middleware/apiAuth.js';
+import { apiIdempotency } from '../middleware/idempotency.js';
 import { 
   createApiEmail, 
+  createApiEmailBatch,
   getUserApiEmails, 
   getApiEmail, 
   getUserUsageStats,
   getTomorrowMidnight,
-  deleteApiEmail
+  deleteApiEmail,
+  deleteApiEmailsByTag,
+  updateApiEmailLifetime,
+  validateEmailTags,
+  validateEmailMetadata,
+  filterApiEmails,
+  formatApiMessage,
+  waitForApiEmailMessage,
+  subscribeApiEmailEvents,
+  getApiMessageAttachment,
+  getApiMessageRaw,
+  MAX_BATCH_SIZE
 } from '../services/apiMemoryStore.js';
+import { buildLocalPartGenerator } from '../services/addressGenerator.js';
+import { sendAttachment } from '../services/attachmentService.js';
+import { sendRawMessage, parseRawHeaders } from '../services/rawMessageService.js';
+import { searchInboxMessages, parseSearchQuery } from '../services/emailSearch.js';
+import { wantsSpamExcluded, excludeSpam } from '../services/spamScoring.js';
+import { getSubaddressFilter, filterBySubaddress } from '../services/subaddressing.js';
+import { getRateLimitStatus, setRateLimitHeaders } from '../services/rateLimitPolicy.js';
+import {
+  listInboxRules,
+  createInboxRule,
+  updateInboxRule,
+  deleteInboxRule,
+  getInboxRuleStats,
+  validateRuleInput,
+  formatRule,
+  MAX_RULES_PER_INBOX
+} from '../services/inboxRules.js';
+import {
+  validateWebhookUrl,
+  getUserWebhooks,
+  createWebhook,
+  deleteWebhook,
+  getDeliveries,
+  getSigningSecret,
+  rotateSigningSecret,
+  sendTestWebhook,
+  MAX_WEBHOOKS_PER_USER
+} from '../services/webhookDispatcher.js';
 
 const router = express.Router();
 
 // Apply CORS headers to all API routes
 router.use(apiCorsHeaders);
 
-// Apply rate limiting to all API routes (60 requests per minute)
-router.use(authenticateApiKey, apiRateLimit(60), addRateLimitHeaders);
+// Apply rate limiting to all API routes (api_requests policy, 60 requests per minute)
+// Every route also requires a scope on the key (webhooks forward message
+// content, so they need emails:read; changing them also needs webhooks:manage,
+// and changing inbox rules needs inbox:configure)
+// Mutating routes honour the Idempotency-Key header
+router.use(authenticateApiKey, apiRateLimit(), addRateLimitHeaders, apiIdempotency);
+
+/**
+ * Read and validate the creation options shared by single and batch creation
+ * Values come from the JSON body or the query string
+ * @returns {object} - { options: { time, domain, localPartGenerator, autoExtendOnMessage, tags, metadata } } or { error, message }
+ */
+const parseCreateOptions = (req) => {
+  const time = req.body?.time ?? req.query.time ?? '10min';
+  const domain = req.body?.domain ?? req.query.domain;
+
+  const addressOptions = {};
+  for (const option of ['local_part', 'prefix', 'pattern', 'run']) {
+    const value = req.body?.[option] ?? req.query[option];
+    if (value !== undefined) addressOptions[option] = String(value);
+  }
+
+  const localPartGenerator = buildLocalPartGenerator(addressOptions);
+  if (localPartGenerator.error) {
+    return { error: 'Invalid address options', message: localPartGenerator.error };
+  }
+
+  // Validate time parameter
+  const validTimes = ['10min', '1hour', '1day'];
+  if (!validTimes.includes(time)) {
+    return { error: 'Invalid time parameter', message: 'Time must be one of: 10min, 1hour, 1day', validOptions: validTimes };
+  }
+
+  // Validate domain parameter if provided
+  if (domain !== undefined && (typeof domain !== 'string' || domain.trim() === '')) {
+    return { error: 'Invalid domain parameter', message: 'Domain must be a non-empty string' };
+  }
+
+  const { tags, error: tagsError } = validateEmailTags(req.body?.tags ?? req.query.tags);
+  if (tagsError) {
+    return { error: 'Invalid tags', message: tagsError };
+  }
+
+  const { metadata, error: metadataError } = validateEmailMetadata(req.body?.metadata ?? req.query.metadata);
+  if (metadataError) {
+    return { error: 'Invalid metadata', message: metadataError };
+  }
+
+  const autoExtend = req.body?.auto_extend_on_message ?? req.query.auto_extend_on_message;
+
+  return {
+    options: {
+      time,
+      domain: domain?.trim(),
+      localPartGenerator,
+      autoExtendOnMessage: autoExtend === true || autoExtend === 'true',
+      tags,
+      metadata
+    }
+  };
+};
+
+/**
+ * Format a newly created API email for responses
+ */
+const formatCreatedEmail = (email) => {
+  // Calculate time remaining for response
+  const now = new Date();
+  const timeRemaining = Math.max(0, email.expiresAt.getTime() - now.getTime());
+  const timeRemainingMinutes = Math.floor(timeRemaining / (1000 * 60));
+  const timeRemainingSeconds = Math.floor((timeRemaining % (1000 * 60)) / 1000);
+
+  return {
+    id: email.id,
+    address: email.email,
+    domain: email.domain,
+    time_tier: email.timeTier,
+    expires_at: email.expiresAt.toISOString(),
+    created_at: email.createdAt.toISOString(),
+    is_custom_domain: email.isCustomDomain,
+    auto_extend_on_message: !!email.autoExtendOnMessage,
+    tags: email.tags || [],
+    metadata: email.metadata || {},
+    time_remaining: {
+      total_ms: timeRemaining,
+      minutes: timeRemainingMinutes,
+      seconds: timeRemainingSeconds,
+      human_readable: timeRemainingMinutes > 0 
+        ? `${timeRemainingMinutes} minutes ${timeRemainingSeconds} seconds`
+        : `${timeRemainingSeconds} seconds`
+    }
+  };
+};
+
+/**
+ * Respond to a failed single or batch creation
+ */
+const sendCreationError = (res, error) => {
+  // Handle specific error types
+  if (error.message.includes('Daily limit exceeded')) {
+    return res.status(429).json({ 
+      error: 'Rate limit exceeded',
+      message: error.message,
+      code: 'DAILY_LIMIT_EXCEEDED',
+      retry_after: getTomorrowMidnight()
+    });
+  }
+
+  if (error.message.startsWith('RATE_LIMIT_EXCEEDED')) {
+    // Report the creation window that was exceeded, so clients know when to retry
+    if (error.rateLimit) {
+      setRateLimitHeaders(res, error.rateLimit.windows, error.rateLimit.blocked);
+    }
+    return res.status(429).json({ 
+      error: 'Rate limit exceeded',
+      message: 'Too many emails created in this time window, nothing was created',
+      code: error.message
+    });
+  }
+
+  if (error.message === 'INSUFFICIENT_CREDITS') {
+    return res.status(402).json({ 
+      error: 'Insufficient credits',
+      message: 'Not enough credits to create the requested emails, nothing was created',
+      code: 'INSUFFICIENT_CREDITS'
+    });
+  }
+  
+  if (error.message === 'ADDRESS_IN_USE') {
+    return res.status(409).json({ 
+      error: 'Address unavailable',
+      message: 'The requested address is already in use, choose another local part or pattern',
+      code: 'ADDRESS_IN_USE'
+    });
+  }
+  
+  if (error.message.includes('Custom domain')) {
+    return res.status(400).json({ 
+      error: 'Domain validation failed',
+      message: error.message,
+      code: 'INVALID_DOMAIN'
+    });
+  }
+
+  res.status(500).json({ 
+    error: 'Email creation failed',
+    message: 'An internal error occurred while creating the email',
+    code: 'CREATION_FAILED'
+  });
+};
 
 /**
  * POST /api/v1/emails/create
  * Create a new temporary email
- * Query params:
+ * Query params (or JSON body):
  * - time: '10min', '1hour', '1day' (default: '10min')
  * - domain: custom domain name (optional, must be verified)
+ * - tags: list (or comma separated) of tags, used for filtering and bulk deletion
+ * - metadata: JSON object of your own references (e.g. { "run": "42" }), used for filtering
+ * Address options (query or JSON body, at most one of the first three):
+ * - local_part: exact local part, e.g. 'signup-test'
+ * - prefix: random suffix after it, e.g. 'qa-' gives qa-k3j9x2ab
+ * - pattern: placeholders {rand}, {randN}, {run} and {date}, e.g. 'qa-{run}-{rand6}'
+ * - run: value for {run}
+ * - auto_extend_on_message: renew the inbox whenever a message arrives
  */
-router.post('/emails/create', async (req, res) => {
+router.post('/emails/create', requireScope('emails:create'), async (req, res) => {
   try {
-    const { time = '10min', domain } = req.query;
     const userId = req.apiUser.id;
 
-    // Validate time parameter
-    const validTimes = ['10min', '1hour', '1day'];
-    if (!validTimes.includes(time)) {
-      return res.status(400).json({ 
-        error: 'Invalid time parameter',
-        message: 'Time must be one of: 10min, 1hour, 1day',
-        validOptions: validTimes
-      });
+    const { options, ...invalid } = parseCreateOptions(req);
+    if (!options) {
+      return res.status(400).json(invalid);
     }
 
-    // Validate domain parameter if provided
-    if (domain && (typeof domain !== 'string' || domain.trim() === '')) {
+    // Create the API email
+    const email = await createApiEmail(userId, options.time, options.domain, req.apiUser.tier, options.localPartGenerator, {
+      autoExtendOnMessage: options.autoExtendOnMessage,
+      tags: options.tags,
+      metadata: options.metadata
+    });
+
+    res.status(201).json({
+      success: true,
+      email: formatCreatedEmail(email),
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API email creation failed:', error);
+    sendCreationError(res, error);
+  }
+});
+
+/**
+ * POST /api/v1/emails/batch
+ * Create several temporary emails in one call
+ * All or nothing: when credits or rate limits don't cover the whole batch, nothing is created
+ * JSON body (or query):
+ * - count: number of emails (1-100)
+ * - time, domain, tags, metadata, auto_extend_on_message: as for /emails/create, applied to every email
+ * - prefix or pattern (with {rand}), run: address options; local_part only works with count 1
+ */
+router.post('/emails/batch', requireScope('emails:create'), async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const count = parseInt(req.body?.count ?? req.query.count);
+
+    if (!count || count < 1 || count > MAX_BATCH_SIZE) {
       return res.status(400).json({ 
-        error: 'Invalid domain parameter',
-        message: 'Domain must be a non-empty string'
+        error: 'Invalid count',
+        message: `count must be between 1 and ${MAX_BATCH_SIZE}`
       });
     }
 
-    // Create the API email
-    const email = await createApiEmail(userId, time, domain?.trim(), req.apiUser.tier);
-    
-    // Calculate time remaining for response
-    const now = new Date();
-    const timeRemaining = Math.max(0, email.expiresAt.getTime() - now.getTime());
-    const timeRemainingMinutes = Math.floor(timeRemaining / (1000 * 60));
-    const timeRemainingSeconds = Math.floor((timeRemaining % (1000 * 60)) / 1000);
+    const { options, ...invalid } = parseCreateOptions(req);
+    if (!options) {
+      return res.status(400).json(invalid);
+    }
+
+    const { emails, billing } = await createApiEmailBatch(
+      userId, count, options.time, options.domain, req.apiUser.tier, options.localPartGenerator, {
+        autoExtendOnMessage: options.autoExtendOnMessage,
+        tags: options.tags,
+        metadata: options.metadata
+      }
+    );
 
     res.status(201).json({
       success: true,
-      email: {
-        id: email.id,
-        address: email.email,
-        domain: email.domain,
-        time_tier: email.timeTier,
-        expires_at: email.expiresAt.toISOString(),
-        created_at: email.createdAt.toISOString(),
-        is_custom_domain: email.isCustomDomain,
-        time_remaining: {
-          total_ms: timeRemaining,
-          minutes: timeRemainingMinutes,
-          seconds: timeRemainingSeconds,
-          human_readable: timeRemainingMinutes > 0 
-            ? `${timeRemainingMinutes} minutes ${timeRemainingSeconds} seconds`
-            : `${timeRemainingSeconds} seconds`
-        }
+      emails: emails.map(formatCreatedEmail),
+      billing: {
+        credits_charged: billing.creditCharged,
+        charged_from_subscription: billing.chargedFromSubscription,
+        charged_from_wallet: billing.chargedFromWallet,
+        remaining_balance: billing.remainingBalance
       },
       meta: {
+        count: emails.length,
         user_id: userId,
         tier: req.apiUser.tier,
         request_time: new Date().toISOString()
@@ -89,31 +312,17 @@ router.post('/emails/create', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('API email creation failed:', error);
-    
-    // Handle specific error types
-    if (error.message.includes('Daily limit exceeded')) {
-      return res.status(429).json({ 
-        error: 'Rate limit exceeded',
-        message: error.message,
-        code: 'DAILY_LIMIT_EXCEEDED',
-        retry_after: getTomorrowMidnight()
-      });
-    }
-    
-    if (error.message.includes('Custom domain')) {
+    console.error('API batch email creation failed:', error);
+
+    if (error.message === 'BATCH_NEEDS_RANDOM_ADDRESS') {
       return res.status(400).json({ 
-        error: 'Domain validation failed',
-        message: error.message,
-        code: 'INVALID_DOMAIN'
+        error: 'Invalid address options',
+        message: 'Batches need a random part in the address, use prefix or a pattern with {rand}',
+        code: 'BATCH_NEEDS_RANDOM_ADDRESS'
       });
     }
 
-    res.status(500).json({ 
-      error: 'Email creation failed',
-      message: 'An internal error occurred while creating the email',
-      code: 'CREATION_FAILED'
-    });
+    sendCreationError(res, error);
   }
 });
 
@@ -123,15 +332,33 @@ router.post('/emails/create', async (req, res) => {
  * Query params:
  * - include_expired: 'true' to include expired emails (default: 'false')
  * - limit: number of emails to return (default: 50, max: 100)
+ * - tag: only emails with this tag (comma separated: all of them)
+ * - metadata.<key>: only emails whose metadata has this value, e.g. metadata.run=42
+ *   (nested keys with dots, e.g. metadata.ci.job=e2e)
  */
-router.get('/emails', async (req, res) => {
+router.get('/emails', requireScope('emails:read'), async (req, res) => {
   try {
     const userId = req.apiUser.id;
     const includeExpired = req.query.include_expired === 'true';
     const limit = Math.min(parseInt(req.query.limit) || 50, 100);
 
+    const { tags, error: tagsError } = validateEmailTags(req.query.tag);
+    if (tagsError) {
+      return res.status(400).json({ 
+        error: 'Invalid tag filter',
+        message: tagsError
+      });
+    }
+
+    const metadataFilters = {};
+    for (const [key, value] of Object.entries(req.query)) {
+      if (key.startsWith('metadata.') && key.length > 'metadata.'.length) {
+        metadataFilters[key.slice('metadata.'.length)] = Array.isArray(value) ? value[0] : value;
+      }
+    }
+
     // Get user's API emails
-    let apiEmails = getUserApiEmails(userId);
+    let apiEmails = filterApiEmails(getUserApiEmails(userId), { tags, metadata: metadataFilters });
 
     // Filter expired emails if not requested
     if (!includeExpired) {
@@ -156,6 +383,9 @@ router.get('/emails', async (req, res) => {
         expires_at: email.expiresAt.toISOString(),
         created_at: email.createdAt.toISOString(),
         is_custom_domain: email.isCustomDomain,
+        auto_extend_on_message: !!email.autoExtendOnMessage,
+        tags: email.tags || [],
+        metadata: email.metadata || {},
         message_count: email.messages.length,
         is_expired: isExpired,
         time_remaining: isExpired ? null : {
@@ -175,6 +405,7 @@ router.get('/emails', async (req, res) => {
         tier: req.apiUser.tier,
         include_expired: includeExpired,
         limit: limit,
+        filters: { tags, metadata: metadataFilters },
         request_time: new Date().toISOString()
       }
     });
@@ -188,11 +419,71 @@ router.get('/emails', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/emails/search
+ * Search messages across all of the user's API emails
+ * Query params:
+ * - q: words that must appear in subject, sender or body
+ * - from: sender address or name must contain this value
+ * - after / before: ISO dates bounding received_at
+ * - has_attachment: 'true' or 'false'
+ * - limit: number of results to return (default: 20, max: 100)
+ * - offset: number of results to skip (default: 0)
+ */
+router.get('/emails/search', requireScope('emails:read'), async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { filters, error } = parseSearchQuery(req.query);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Invalid search parameters',
+        message: error
+      });
+    }
+
+    const matches = searchInboxMessages(getUserApiEmails(userId), filters);
+
+    res.json({
+      success: true,
+      results: matches.slice(offset, offset + limit).map(({ email, message, highlights }) => ({
+        email: {
+          id: email.id,
+          address: email.email
+        },
+        message: formatApiMessage(message),
+        highlights
+      })),
+      pagination: {
+        limit: limit,
+        offset: offset,
+        total: matches.length,
+        has_more: (offset + limit) < matches.length
+      },
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        query: filters.q,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API message search failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to search messages',
+      message: 'An internal error occurred while searching messages'
+    });
+  }
+});
+
 /**
  * GET /api/v1/emails/:id
  * Get specific API email details
  */
-router.get('/emails/:id', async (req, res) => {
+router.get('/emails/:id', requireScope('emails:read'), async (req, res) => {
   try {
     const emailId = req.params.id;
     const userId = req.apiUser.id;
@@ -229,6 +520,9 @@ router.get('/emails/:id', async (req, res) => {
         expires_at: email.expiresAt.toISOString(),
         created_at: email.createdAt.toISOString(),
         is_custom_domain: email.isCustomDomain,
+        auto_extend_on_message: !!email.autoExtendOnMessage,
+        tags: email.tags || [],
+        metadata: email.metadata || {},
         message_count: email.messages.length,
         is_expired: isExpired,
         time_remaining: isExpired ? null : {
@@ -259,8 +553,10 @@ router.get('/emails/:id', async (req, res) => {
  * Query params:
  * - limit: number of messages to return (default: 50, max: 100)
  * - offset: number of messages to skip (default: 0)
+ * - exclude_spam: 'true' to hide messages scored as spam or phishing
+ * - subaddress: only messages sent to name+<subaddress>@domain
  */
-router.get('/emails/:id/messages', async (req, res) => {
+router.get('/emails/:id/messages', requireScope('emails:read'), async (req, res) => {
   try {
     const emailId = req.params.id;
     const userId = req.apiUser.id;
@@ -277,21 +573,14 @@ router.get('/emails/:id/messages', async (req, res) => {
     }
 
     // Get messages with pagination
-    const allMessages = email.messages || [];
+    const inboxMessages = filterBySubaddress(email.messages || [], getSubaddressFilter(req.query));
+    const allMessages = wantsSpamExcluded(req.query)
+      ? excludeSpam(inboxMessages)
+      : inboxMessages;
     const paginatedMessages = allMessages.slice(offset, offset + limit);
 
     // Format messages for response
-    const formattedMessages = paginatedMessages.map(message => ({
-      id: message.id,
-      from_email: message.from_email,
-      from_name: message.from_name,
-      subject: message.subject,
-      body_text: message.body_text,
-      body_html: message.body_html,
-      received_at: message.received_at,
-      is_read: message.is_read || false,
-      is_spam: message.is_spam || false
-    }));
+    const formattedMessages = paginatedMessages.map(formatApiMessage);
 
     res.json({
       success: true,
@@ -299,7 +588,7 @@ router.get('/emails/:id/messages', async (req, res) => {
       email: {
         id: email.id,
         address: email.email,
-        message_count: allMessages.length
+        message_count: (email.messages || []).length
       },
       pagination: {
         limit: limit,
@@ -324,128 +613,1063 @@ router.get('/emails/:id/messages', async (req, res) => {
 });
 
 /**
- * DELETE /api/v1/emails/:id
- * Delete a specific API email
+ * GET /api/v1/emails/:id/messages/wait
+ * Hold the request open until a matching message arrives (long-poll)
+ * Query params:
+ * - timeout: seconds to wait (default: 60, max: 120)
+ * - from: sender address or name must contain this value
+ * - subject_contains: subject must contain this value
+ * - since: ISO date, also match messages already received after it
+ * - exclude_spam: 'true' to ignore messages scored as spam or phishing
  */
-router.delete('/emails/:id', async (req, res) => {
+router.get('/emails/:id/messages/wait', requireScope('emails:read'), async (req, res) => {
   try {
     const emailId = req.params.id;
     const userId = req.apiUser.id;
+    const { from, subject_contains, since } = req.query;
+    const timeout = Math.min(Math.max(parseInt(req.query.timeout) || 60, 1), 120);
 
-    // Validate email ID format
-    if (!emailId || typeof emailId !== 'string') {
-      return res.status(400).json({ 
-        error: 'Invalid email ID',
-        message: 'Email ID must be a valid string'
-      });
-    }
-
-    // Attempt to delete the email
-    const deleted = deleteApiEmail(emailId, userId);
+    const email = getApiEmail(emailId, userId);
     
-    if (!deleted) {
+    if (!email) {
       return res.status(404).json({ 
         error: 'Email not found',
-        message: 'The requested email was not found or has already expired'
+        message: 'The requested email was not found or has expired'
       });
     }
 
+    let sinceDate = null;
+    if (since) {
+      sinceDate = new Date(since);
+      if (isNaN(sinceDate.getTime())) {
+        return res.status(400).json({ 
+          error: 'Invalid since parameter',
+          message: 'since must be a valid ISO 8601 date'
+        });
+      }
+    }
+
+    const startedAt = Date.now();
+    const { promise, cancel } = waitForApiEmailMessage(emailId, {
+      from: typeof from === 'string' && from.trim() ? from.trim() : null,
+      subjectContains: typeof subject_contains === 'string' && subject_contains.trim() ? subject_contains.trim() : null,
+      since: sinceDate,
+      excludeSpam: wantsSpamExcluded(req.query)
+    }, timeout * 1000);
+
+    // Stop waiting if the client goes away
+    req.on('close', cancel);
+
+    const message = await promise;
+
+    if (res.writableEnded || req.destroyed) {
+      return;
+    }
+
     res.json({
       success: true,
-      message: 'Email deleted successfully',
+      timed_out: !message,
+      message: message ? formatApiMessage(message) : null,
+      email: {
+        id: email.id,
+        address: email.email,
+        message_count: (email.messages || []).length
+      },
       meta: {
         user_id: userId,
-        email_id: emailId,
-        deleted_at: new Date().toISOString()
+        tier: req.apiUser.tier,
+        waited_ms: Date.now() - startedAt,
+        request_time: new Date().toISOString()
       }
     });
 
   } catch (error) {
-    console.error('API email deletion failed:', error);
+    console.error('API message wait failed:', error);
     res.status(500).json({ 
-      error: 'Failed to delete email',
-      message: 'An internal error occurred while deleting the email'
+      error: 'Failed to wait for message',
+      message: 'An internal error occurred while waiting for a message'
     });
   }
 });
 
+// Comment line sent on idle streams so proxies keep the connection open
+const STREAM_HEARTBEAT_INTERVAL = 25 * 1000;
+
 /**
- * GET /api/v1/account/usage
- * Get user's API usage statistics
+ * GET /api/v1/emails/:id/stream
+ * Server-Sent Events stream of an email
+ * Events:
+ * - message: a received message (same shape as /messages), the event ID is the message ID
+ * - expired: the email expired or was deleted, the stream is closed afterwards
+ * Resume with the Last-Event-ID header (or last_event_id query param): messages received
+ * after that message are sent first. Browsers can pass the key as ?api_key=
+ * Query params:
+ * - exclude_spam: 'true' to skip messages scored as spam
  */
-router.get('/account/usage', async (req, res) => {
+router.get('/emails/:id/stream', requireScope('emails:read'), async (req, res) => {
   try {
-    const userId = req.apiUser.id;
-    const usage = getUserUsageStats(userId);
+    const emailId = req.params.id;
+    const email = getApiEmail(emailId, req.apiUser.id);
+    
+    if (!email) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has expired'
+      });
+    }
 
-    // Calculate remaining limits
-    const limits = {
-      '10min': { daily: 20 },
-      '1hour': { daily: 10 },
-      '1day': { daily: 5 }
-    };
+    const skipSpam = wantsSpamExcluded(req.query);
+    const lastEventId = req.headers['last-event-id'] || req.query.last_event_id;
 
-    const usageStats = {
-      daily_limits: {
-        '10min': {
-          used: usage['10min'],
-          limit: limits['10min'].daily,
-          remaining: Math.max(0, limits['10min'].daily - usage['10min'])
-        },
-        '1hour': {
-          used: usage['1hour'],
-          limit: limits['1hour'].daily,
-          remaining: Math.max(0, limits['1hour'].daily - usage['1hour'])
-        },
-        '1day': {
-          used: usage['1day'],
-          limit: limits['1day'].daily,
-          remaining: Math.max(0, limits['1day'].daily - usage['1day'])
-        }
-      },
-      tier: req.apiUser.tier,
-      reset_time: getTomorrowMidnight(),
-      total_used_today: usage['10min'] + usage['1hour'] + usage['1day']
+    // no-transform keeps the compression middleware from buffering events
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data, id = null) => {
+      if (id) res.write(`id: ${id}\n`);
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
     };
 
-    res.json({
-      success: true,
-      usage: usageStats,
-      account: {
-        user_id: userId,
-        email: req.apiUser.email,
-        tier: req.apiUser.tier,
-        member_since: req.apiUser.userCreatedAt
-      },
-      meta: {
-        request_time: new Date().toISOString(),
-        date: new Date().toISOString().split('T')[0]
+    res.write('retry: 3000\n\n');
+
+    // Replay what was missed since the last received event (messages are stored newest first)
+    if (lastEventId) {
+      const index = email.messages.findIndex(message => message.id === lastEventId);
+      const missed = index === -1 ? email.messages : email.messages.slice(0, index);
+      for (const message of [...missed].reverse()) {
+        if (skipSpam && message.is_spam) continue;
+        sendEvent('message', formatApiMessage(message), message.id);
       }
+    }
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_INTERVAL);
+
+    const unsubscribe = subscribeApiEmailEvents(emailId, (event, data) => {
+      // Each instance expires the email on its own, the stream may already be closed
+      if (res.writableEnded) return;
+
+      if (event === 'message') {
+        if (skipSpam && data.is_spam) return;
+        sendEvent('message', data, data.id);
+      } else if (event === 'expired') {
+        sendEvent('expired', data);
+        res.end();
+      }
+    });
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
     });
 
   } catch (error) {
-    console.error('API usage fetch failed:', error);
+    console.error('API message stream failed:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
     res.status(500).json({ 
-      error: 'Failed to fetch usage statistics',
-      message: 'An internal error occurred while fetching usage data'
+      error: 'Failed to open message stream',
+      message: 'An internal error occurred while opening the message stream'
     });
   }
 });
 
 /**
- * GET /api/v1/account/info
- * Get basic account information
+ * GET /api/v1/emails/:id/messages/:msgId/attachments/:attId
+ * Download an attachment of a received message
  */
-router.get('/account/info', async (req, res) => {
+router.get('/emails/:id/messages/:msgId/attachments/:attId', requireScope('emails:read'), async (req, res) => {
   try {
-    res.json({
-      success: true,
-      account: {
-        user_id: req.apiUser.id,
-        email: req.apiUser.email,
-        tier: req.apiUser.tier,
-        member_since: req.apiUser.userCreatedAt,
-        api_key_prefix: req.apiUser.apiKey.substring(0, 8) + '...'
+    const { id, msgId, attId } = req.params;
+    const userId = req.apiUser.id;
+
+    const email = getApiEmail(id, userId);
+    
+    if (!email) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has expired'
+      });
+    }
+
+    const message = (email.messages || []).find(m => m.id === msgId);
+    const attachment = message?.attachments?.some(a => a.id === attId)
+      ? await getApiMessageAttachment(msgId, attId)
+      : null;
+
+    if (!attachment) {
+      return res.status(404).json({ 
+        error: 'Attachment not found',
+        message: 'The requested attachment was not found on this message'
+      });
+    }
+
+    sendAttachment(res, attachment);
+
+  } catch (error) {
+    console.error('API attachment fetch failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch attachment',
+      message: 'An internal error occurred while fetching the attachment'
+    });
+  }
+});
+
+/**
+ * Find the raw source of a received message of an API email
+ * @returns {object} - { raw } or { status, error, message } for the response
+ */
+const findApiRawMessage = async (req) => {
+  const email = getApiEmail(req.params.id, req.apiUser.id);
+  
+  if (!email) {
+    return { status: 404, error: 'Email not found', message: 'The requested email was not found or has expired' };
+  }
+
+  const message = (email.messages || []).find(m => m.id === req.params.msgId);
+  const raw = message ? await getApiMessageRaw(message.id) : null;
+
+  if (!raw) {
+    return { status: 404, error: 'Raw message not found', message: 'No raw source is stored for this message' };
+  }
+
+  return { raw };
+};
+
+/**
+ * GET /api/v1/emails/:id/messages/:msgId/raw
+ * Download the raw source of a received message (message/rfc822)
+ */
+router.get('/emails/:id/messages/:msgId/raw', requireScope('emails:read'), async (req, res) => {
+  try {
+    const { raw, status, error, message } = await findApiRawMessage(req);
+
+    if (!raw) {
+      return res.status(status).json({ error, message });
+    }
+
+    sendRawMessage(res, req.params.msgId, raw);
+
+  } catch (error) {
+    console.error('API raw message fetch failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch raw message',
+      message: 'An internal error occurred while fetching the raw message'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/emails/:id/messages/:msgId/headers
+ * Get the parsed headers of a received message
+ */
+router.get('/emails/:id/messages/:msgId/headers', requireScope('emails:read'), async (req, res) => {
+  try {
+    const { raw, status, error, message } = await findApiRawMessage(req);
+
+    if (!raw) {
+      return res.status(status).json({ error, message });
+    }
+
+    res.json({
+      success: true,
+      ...parseRawHeaders(raw)
+    });
+
+  } catch (error) {
+    console.error('API message headers fetch failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch message headers',
+      message: 'An internal error occurred while fetching the message headers'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/emails/:id/rules
+ * List inbound filtering rules of an API email
+ */
+router.get('/emails/:id/rules', requireScope('emails:read'), async (req, res) => {
+  try {
+    const email = getApiEmail(req.params.id, req.apiUser.id);
+    
+    if (!email) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has expired'
+      });
+    }
+
+    const rules = await listInboxRules('api_email', email.id);
+    const stats = await getInboxRuleStats(email.id);
+
+    res.json({
+      success: true,
+      rules: rules.map(formatRule),
+      stats: {
+        rejected_count: stats.rejected_count,
+        last_rejected_at: stats.last_rejected_at
+      },
+      limit: MAX_RULES_PER_INBOX
+    });
+
+  } catch (error) {
+    console.error('API rules fetch failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch rules',
+      message: 'An internal error occurred while fetching rules'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/emails/:id/rules
+ * Add an inbound filtering rule
+ * Body:
+ * - type: 'block_sender', 'allow_domain' or 'tag_subject'
+ * - value: sender pattern, domain or subject text
+ * - tag: tag to set (tag_subject only, defaults to value)
+ */
+router.post('/emails/:id/rules', requireScope('inbox:configure'), async (req, res) => {
+  try {
+    const { rule, error } = validateRuleInput(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Invalid rule',
+        message: error
+      });
+    }
+
+    const email = getApiEmail(req.params.id, req.apiUser.id);
+    
+    if (!email) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has expired'
+      });
+    }
+
+    const created = await createInboxRule(req.apiUser.id, 'api_email', email.id, rule);
+
+    res.status(201).json({
+      success: true,
+      rule: formatRule(created)
+    });
+
+  } catch (error) {
+    if (error.message === 'RULE_LIMIT_EXCEEDED') {
+      return res.status(400).json({ 
+        error: 'Rule limit reached',
+        message: `A maximum of ${MAX_RULES_PER_INBOX} rules can be added to an email`,
+        code: 'RULE_LIMIT_EXCEEDED'
+      });
+    }
+
+    console.error('API rule creation failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to create rule',
+      message: 'An internal error occurred while creating the rule'
+    });
+  }
+});
+
+/**
+ * PATCH /api/v1/emails/:id/rules/:ruleId
+ * Update a rule (type, value, tag, is_active)
+ */
+router.patch('/emails/:id/rules/:ruleId', requireScope('inbox:configure'), async (req, res) => {
+  try {
+    const { rule, error } = validateRuleInput(req.body, true);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Invalid rule',
+        message: error
+      });
+    }
+
+    const email = getApiEmail(req.params.id, req.apiUser.id);
+    
+    if (!email) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has expired'
+      });
+    }
+
+    const updated = await updateInboxRule('api_email', email.id, req.params.ruleId, rule);
+
+    if (!updated) {
+      return res.status(404).json({ 
+        error: 'Rule not found',
+        message: 'The requested rule was not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      rule: formatRule(updated)
+    });
+
+  } catch (error) {
+    console.error('API rule update failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to update rule',
+      message: 'An internal error occurred while updating the rule'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/emails/:id/rules/:ruleId
+ * Remove a rule
+ */
+router.delete('/emails/:id/rules/:ruleId', requireScope('inbox:configure'), async (req, res) => {
+  try {
+    const email = getApiEmail(req.params.id, req.apiUser.id);
+    
+    if (!email) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has expired'
+      });
+    }
+
+    const deleted = await deleteInboxRule('api_email', email.id, req.params.ruleId);
+
+    if (!deleted) {
+      return res.status(404).json({ 
+        error: 'Rule not found',
+        message: 'The requested rule was not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('API rule deletion failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete rule',
+      message: 'An internal error occurred while deleting the rule'
+    });
+  }
+});
+
+/**
+ * PATCH /api/v1/emails/:id
+ * Extend, renew or shorten an API email
+ * Body (all optional):
+ * - expires_at: new expiry (ISO 8601)
+ * - extend_minutes: minutes to add to the current expiry (negative shortens)
+ * - auto_extend_on_message: renew the inbox whenever a message arrives
+ * Lifetimes are capped at 7 days from creation. Extending charges the credit
+ * difference to the matching time tier; shortening is free and not refunded.
+ */
+router.patch('/emails/:id', requireScope('emails:create'), async (req, res) => {
+  try {
+    const { expires_at, extend_minutes, auto_extend_on_message } = req.body || {};
+
+    if (expires_at !== undefined && extend_minutes !== undefined) {
+      return res.status(400).json({ 
+        error: 'Invalid lifetime change',
+        message: 'Use either expires_at or extend_minutes'
+      });
+    }
+
+    if (auto_extend_on_message !== undefined && typeof auto_extend_on_message !== 'boolean') {
+      return res.status(400).json({ 
+        error: 'Invalid lifetime change',
+        message: 'auto_extend_on_message must be a boolean'
+      });
+    }
+
+    const current = getApiEmail(req.params.id, req.apiUser.id);
+    
+    if (!current) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has expired'
+      });
+    }
+
+    let expiresAt = null;
+    if (expires_at !== undefined) {
+      expiresAt = new Date(expires_at);
+    } else if (extend_minutes !== undefined) {
+      const minutes = Number(extend_minutes);
+      expiresAt = Number.isInteger(minutes) ? new Date(current.expiresAt.getTime() + minutes * 60 * 1000) : new Date(NaN);
+    }
+
+    if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt.getTime() < Date.now() + 60 * 1000)) {
+      return res.status(400).json({ 
+        error: 'Invalid lifetime change',
+        message: 'The new expiry must be a valid date at least 1 minute in the future'
+      });
+    }
+
+    if (!expiresAt && auto_extend_on_message === undefined) {
+      return res.status(400).json({ 
+        error: 'Invalid lifetime change',
+        message: 'Provide expires_at, extend_minutes or auto_extend_on_message'
+      });
+    }
+
+    const result = await updateApiEmailLifetime(req.params.id, req.apiUser.id, {
+      expiresAt,
+      autoExtendOnMessage: auto_extend_on_message
+    }, req.apiUser.tier);
+
+    if (!result) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has expired'
+      });
+    }
+
+    const { email, billing } = result;
+    const timeRemaining = Math.max(0, email.expiresAt.getTime() - Date.now());
+
+    res.json({
+      success: true,
+      email: {
+        id: email.id,
+        address: email.email,
+        time_tier: email.timeTier,
+        expires_at: email.expiresAt.toISOString(),
+        created_at: email.createdAt.toISOString(),
+        auto_extend_on_message: !!email.autoExtendOnMessage,
+        tags: email.tags || [],
+        metadata: email.metadata || {},
+        time_remaining: {
+          total_ms: timeRemaining,
+          minutes: Math.floor(timeRemaining / (1000 * 60)),
+          seconds: Math.floor((timeRemaining % (1000 * 60)) / 1000)
+        }
+      },
+      billing: {
+        credits_charged: billing.creditCharged,
+        remaining_balance: billing.remainingBalance
+      },
+      meta: {
+        user_id: req.apiUser.id,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'LIFETIME_TOO_LONG') {
+      return res.status(400).json({ 
+        error: 'Invalid lifetime change',
+        message: 'API emails can live at most 7 days from creation',
+        code: 'LIFETIME_TOO_LONG'
+      });
+    }
+
+    if (error.message === 'INSUFFICIENT_CREDITS') {
+      return res.status(402).json({ 
+        error: 'Insufficient credits',
+        message: 'Not enough credits to extend this email',
+        code: 'INSUFFICIENT_CREDITS'
+      });
+    }
+
+    console.error('API email update failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to update email',
+      message: 'An internal error occurred while updating the email'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/emails?tag=...
+ * Delete every API email with a tag
+ */
+router.delete('/emails', requireScope('emails:delete'), async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const { tags, error } = validateEmailTags(req.query.tag);
+
+    // A tag is required so a missing parameter can't wipe every inbox
+    if (error || tags.length !== 1) {
+      return res.status(400).json({ 
+        error: 'Invalid tag',
+        message: 'Provide exactly one tag to delete, e.g. ?tag=run-42'
+      });
+    }
+
+    const deleted = deleteApiEmailsByTag(userId, tags[0]);
+
+    res.json({
+      success: true,
+      message: `${deleted.length} emails deleted`,
+      deleted: deleted.map(email => ({ id: email.id, address: email.email })),
+      meta: {
+        user_id: userId,
+        tag: tags[0],
+        deleted_count: deleted.length,
+        deleted_at: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API bulk email deletion failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete emails',
+      message: 'An internal error occurred while deleting the emails'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/emails/:id
+ * Delete a specific API email
+ */
+router.delete('/emails/:id', requireScope('emails:delete'), async (req, res) => {
+  try {
+    const emailId = req.params.id;
+    const userId = req.apiUser.id;
+
+    // Validate email ID format
+    if (!emailId || typeof emailId !== 'string') {
+      return res.status(400).json({ 
+        error: 'Invalid email ID',
+        message: 'Email ID must be a valid string'
+      });
+    }
+
+    // Attempt to delete the email
+    const deleted = deleteApiEmail(emailId, userId);
+    
+    if (!deleted) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has already expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email deleted successfully',
+      meta: {
+        user_id: userId,
+        email_id: emailId,
+        deleted_at: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API email deletion failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete email',
+      message: 'An internal error occurred while deleting the email'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/webhooks
+ * List registered webhooks
+ */
+router.get('/webhooks', requireScope('emails:read'), async (req, res) => {
+  try {
+    const webhooks = await getUserWebhooks(req.apiUser.id);
+
+    res.json({
+      success: true,
+      webhooks: webhooks.map(webhook => ({
+        id: webhook.id,
+        url: webhook.url,
+        email_id: webhook.email_id,
+        is_active: !!webhook.is_active,
+        created_at: webhook.created_at
+      })),
+      limit: MAX_WEBHOOKS_PER_USER,
+      meta: {
+        user_id: req.apiUser.id,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API webhooks fetch failed:', error);
+    res.status(500).json({
+      error: 'Failed to fetch webhooks',
+      message: 'An internal error occurred while fetching webhooks'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/webhooks
+ * Register a webhook
+ * Body:
+ * - url: callback URL (http or https)
+ * - email_id: API email ID (optional, defaults to every email of the account)
+ */
+router.post('/webhooks', requireScope('webhooks:manage'), async (req, res) => {
+  try {
+    const { url, email_id } = req.body || {};
+    const userId = req.apiUser.id;
+
+    const { isValid, sanitized, reason } = validateWebhookUrl(url);
+    if (!isValid) {
+      return res.status(400).json({
+        error: 'Invalid webhook URL',
+        message: reason
+      });
+    }
+
+    if (email_id && !getApiEmail(email_id, userId)) {
+      return res.status(404).json({
+        error: 'Email not found',
+        message: 'The requested email was not found or has expired'
+      });
+    }
+
+    const webhook = await createWebhook(userId, sanitized, email_id || null);
+
+    res.status(201).json({
+      success: true,
+      webhook: {
+        id: webhook.id,
+        url: webhook.url,
+        email_id: webhook.email_id,
+        is_active: webhook.is_active,
+        created_at: webhook.created_at.toISOString()
+      },
+      meta: {
+        user_id: userId,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'WEBHOOK_LIMIT_EXCEEDED') {
+      return res.status(400).json({
+        error: 'Webhook limit reached',
+        message: `A maximum of ${MAX_WEBHOOKS_PER_USER} webhooks can be registered`,
+        code: 'WEBHOOK_LIMIT_EXCEEDED'
+      });
+    }
+
+    console.error('API webhook creation failed:', error);
+    res.status(500).json({
+      error: 'Failed to create webhook',
+      message: 'An internal error occurred while creating the webhook'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/webhooks/deliveries
+ * Recent delivery attempts
+ * Query params:
+ * - limit: number of deliveries to return (default: 50, max: 100)
+ */
+router.get('/webhooks/deliveries', requireScope('emails:read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const deliveries = await getDeliveries(req.apiUser.id, limit);
+
+    res.json({
+      success: true,
+      deliveries,
+      meta: {
+        user_id: req.apiUser.id,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API webhook deliveries fetch failed:', error);
+    res.status(500).json({
+      error: 'Failed to fetch deliveries',
+      message: 'An internal error occurred while fetching webhook deliveries'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/webhooks/secret
+ * Get the signing secret used for X-Webhook-Signature
+ */
+router.get('/webhooks/secret', requireScope('webhooks:manage'), async (req, res) => {
+  try {
+    const secret = await getSigningSecret(req.apiUser.id);
+
+    res.json({
+      success: true,
+      secret,
+      signature: {
+        header: 'X-Webhook-Signature',
+        format: 't=<unix timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<raw body>">'
+      }
+    });
+
+  } catch (error) {
+    console.error('API webhook secret fetch failed:', error);
+    res.status(500).json({
+      error: 'Failed to fetch secret',
+      message: 'An internal error occurred while fetching the signing secret'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/webhooks/secret/rotate
+ * Replace the signing secret
+ */
+router.post('/webhooks/secret/rotate', requireScope('webhooks:manage'), async (req, res) => {
+  try {
+    const secret = await rotateSigningSecret(req.apiUser.id);
+
+    res.json({
+      success: true,
+      secret,
+      rotated_at: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('API webhook secret rotation failed:', error);
+    res.status(500).json({
+      error: 'Failed to rotate secret',
+      message: 'An internal error occurred while rotating the signing secret'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/webhooks/test
+ * Send a signed test event
+ * Body:
+ * - webhook_id: registered webhook to test, or
+ * - url: any callback URL
+ */
+router.post('/webhooks/test', requireScope('webhooks:manage'), async (req, res) => {
+  try {
+    const { webhook_id, url } = req.body || {};
+    const userId = req.apiUser.id;
+    let targetUrl;
+
+    if (webhook_id) {
+      const webhooks = await getUserWebhooks(userId);
+      const webhook = webhooks.find(w => w.id === webhook_id);
+
+      if (!webhook) {
+        return res.status(404).json({
+          error: 'Webhook not found',
+          message: 'The requested webhook was not found'
+        });
+      }
+      targetUrl = webhook.url;
+    } else {
+      const { isValid, sanitized, reason } = validateWebhookUrl(url);
+      if (!isValid) {
+        return res.status(400).json({
+          error: 'Invalid webhook URL',
+          message: reason || 'Provide a webhook_id or a valid url'
+        });
+      }
+      targetUrl = sanitized;
+    }
+
+    const result = await sendTestWebhook(userId, targetUrl, webhook_id || null);
+
+    res.json({
+      success: result.ok,
+      delivery: {
+        id: result.delivery_id,
+        url: targetUrl,
+        event: 'webhook.test',
+        response_status: result.status,
+        error: result.error,
+        duration_ms: result.durationMs
+      },
+      meta: {
+        user_id: userId,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API webhook test failed:', error);
+    res.status(500).json({
+      error: 'Failed to test webhook',
+      message: 'An internal error occurred while sending the test event'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/webhooks/:id
+ * Remove a webhook
+ */
+router.delete('/webhooks/:id', requireScope('webhooks:manage'), async (req, res) => {
+  try {
+    const deleted = await deleteWebhook(req.apiUser.id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        message: 'The requested webhook was not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('API webhook deletion failed:', error);
+    res.status(500).json({
+      error: 'Failed to delete webhook',
+      message: 'An internal error occurred while deleting the webhook'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/account/usage
+ * Get user's API usage statistics
+ */
+router.get('/account/usage', requireScope('account:read'), async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const usage = getUserUsageStats(userId);
+
+    // Calculate remaining limits
+    const limits = {
+      '10min': { daily: 20 },
+      '1hour': { daily: 10 },
+      '1day': { daily: 5 }
+    };
+
+    const usageStats = {
+      daily_limits: {
+        '10min': {
+          used: usage['10min'],
+          limit: limits['10min'].daily,
+          remaining: Math.max(0, limits['10min'].daily - usage['10min'])
+        },
+        '1hour': {
+          used: usage['1hour'],
+          limit: limits['1hour'].daily,
+          remaining: Math.max(0, limits['1hour'].daily - usage['1hour'])
+        },
+        '1day': {
+          used: usage['1day'],
+          limit: limits['1day'].daily,
+          remaining: Math.max(0, limits['1day'].daily - usage['1day'])
+        }
+      },
+      tier: req.apiUser.tier,
+      reset_time: getTomorrowMidnight(),
+      total_used_today: usage['10min'] + usage['1hour'] + usage['1day']
+    };
+
+    res.json({
+      success: true,
+      usage: usageStats,
+      account: {
+        user_id: userId,
+        email: req.apiUser.email,
+        tier: req.apiUser.tier,
+        member_since: req.apiUser.userCreatedAt
+      },
+      meta: {
+        request_time: new Date().toISOString(),
+        date: new Date().toISOString().split('T')[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('API usage fetch failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch usage statistics',
+      message: 'An internal error occurred while fetching usage data'
+    });
+  }
+});
+
+/**
+ * Format window states from the rate limit policy engine
+ */
+const formatRateLimitWindows = (windows) => windows.map(state => ({
+  window: state.window,
+  limit: state.limit,
+  used: state.used,
+  remaining: state.remaining,
+  reset_at: new Date(state.resetAt).toISOString()
+}));
+
+/**
+ * GET /api/v1/account/limits
+ * Current rate limit windows: API requests, and email creation per time tier
+ * (every time tier counts against the same creation windows, with its own limits)
+ * An empty windows list means the tier is not limited
+ */
+router.get('/account/limits', requireScope('account:read'), async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const userTier = req.apiUser.tier || 'free';
+
+    const emailCreation = {};
+    for (const timeTier of ['10min', '1hour', '1day']) {
+      emailCreation[timeTier] = formatRateLimitWindows(
+        await getRateLimitStatus('email_creation', userId, { userTier, timeTier })
+      );
+    }
+
+    res.json({
+      success: true,
+      tier: userTier,
+      limits: {
+        api_requests: formatRateLimitWindows(await getRateLimitStatus('api_requests', userId, { userTier })),
+        email_creation: emailCreation
+      },
+      meta: {
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API limits fetch failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch rate limits',
+      message: 'An internal error occurred while fetching rate limit data'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/account/info
+ * Get basic account information
+ */
+router.get('/account/info', requireScope('account:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      account: {
+        user_id: req.apiUser.id,
+        email: req.apiUser.email,
+        tier: req.apiUser.tier,
+        member_since: req.apiUser.userCreatedAt,
+        api_key_prefix: req.apiUser.keyPrefix + '...'
+      },
+      api_key: {
+        id: req.apiUser.keyId,
+        name: req.apiUser.keyName,
+        scopes: req.apiUser.scopes
       },
       features: {
         daily_limits: {
@@ -454,7 +1678,7 @@ router.get('/account/info', async (req, res) => {
           '1day_emails': 5
         },
         custom_domains: true,
-        webhook_support: false, // Future feature
+        webhook_support: true,
         bulk_operations: false  // Future feature
       },
       meta: {
@@ -233,7 +233,7 @@ router.get('/status', authenticateToken, async (req, res) => {
     const usageAnalytics = await usageTracker.getUsageAnalytics(userId, 7);
     
     // Get current usage stats
-    const currentUsage = usageTracker.getUserUsageStats(userId);
+    const currentUsage = await usageTracker.getUserUsageStats(userId);
     
     res.json({
       success: true,
@@ -2,12 +2,13 @@ import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
 import { pool } from '../db/init.js';
-import dns from 'dns';
 import axios from 'axios';
 import { validateDomain, sanitizeText, createValidationMiddleware } from '../utils/inputValidation.js';
 import { checkCustomDomainLimits } from '../middleware/customDomainRateLimit.js';
 import { syncAllDomainsToMailserver, checkMailserverHealth } from '../services/domainSyncService.js';
 import { invalidateUserDomainsCache } from '../services/apiMemoryStore.js';
+import { validateCatchAllSettings, formatCatchAllSettings } from '../services/catchAllService.js';
+import { generateVerificationToken, getVerificationRecord, buildDnsReport } from '../services/domainVerification.js';
 
 const router = express.Router();
 
@@ -47,34 +48,20 @@ const pushDomainToMailserver = async (domain, action) => {
   }
 };
 
-// DNS verification function with timeout
-const verifyDomainDNS = (domain) => {
-  return new Promise((resolve) => {
-    const timeout = setTimeout(() => {
-      resolve(false);
-    }, 10000); // 10 second timeout
-    
-    dns.resolveMx(domain, (err, addresses) => {
-      clearTimeout(timeout);
-      
-      if (err) {
-        console.error(`DNS verification failed for ${domain}:`, err.message);
-        resolve(false);
-      } else {
-        try {
-          // Check if MX record points to our mail server
-          const isVerified = addresses.some(mx => 
-            mx.exchange.toLowerCase().includes('custom.boomlify.com') || 
-            mx.exchange.toLowerCase().includes('boomlify.com')
-          );
-          resolve(isVerified);
-        } catch (error) {
-          console.error(`Error processing MX records for ${domain}:`, error);
-          resolve(false);
-        }
-      }
-    });
-  });
+/**
+ * Get the ownership token of a domain, issuing one for domains added before tokens existed
+ */
+const ensureVerificationToken = async (domain) => {
+  if (domain.verification_token) {
+    return domain.verification_token;
+  }
+
+  const token = generateVerificationToken();
+  await pool.query(
+    'UPDATE custom_domains SET verification_token = ? WHERE id = ?',
+    [token, domain.id]
+  );
+  return token;
 };
 
 // Get public domains (no auth required)
@@ -254,6 +241,7 @@ router.post('/custom/add', authenticateToken, createValidationMiddleware({
 
     const cleanDomain = sanitized;
     const id = uuidv4();
+    const verificationToken = generateVerificationToken();
 
     // Check custom domain count limit (2 per user)
     const [userDomains] = await pool.query(
@@ -274,20 +262,21 @@ router.post('/custom/add', authenticateToken, createValidationMiddleware({
       });
     }
 
-    // Check if domain already exists
+    // Only a verified domain is taken; several users can have it pending and the
+    // first to pass the TXT ownership check claims it (see the verify route)
     const [existing] = await pool.query(
-      'SELECT * FROM custom_domains WHERE domain = ?',
-      [cleanDomain]
+      'SELECT id FROM custom_domains WHERE domain = ? AND (status = ? OR user_id = ?)',
+      [cleanDomain, 'verified', req.user.id]
     );
 
     if (existing.length > 0) {
       return res.status(400).json({ error: 'Domain already exists' });
     }
 
-    // Add domain with pending status
+    // Add domain with pending status, ownership is proven with the TXT token
     await pool.query(
-      'INSERT INTO custom_domains (id, user_id, domain, status, created_at) VALUES (?, ?, ?, ?, NOW())',
-      [id, req.user.id, cleanDomain, 'pending']
+      'INSERT INTO custom_domains (id, user_id, domain, status, verification_token, created_at) VALUES (?, ?, ?, ?, ?, NOW())',
+      [id, req.user.id, cleanDomain, 'pending', verificationToken]
     );
 
     // Invalidate user's domains cache so API calls pick up the new domain immediately
@@ -297,6 +286,7 @@ router.post('/custom/add', authenticateToken, createValidationMiddleware({
       id, 
       domain: cleanDomain, 
       status: 'pending',
+      verification: getVerificationRecord(cleanDomain, verificationToken),
       message: 'Domain added successfully. Please configure your DNS settings.' 
     });
   } catch (error) {
@@ -305,6 +295,48 @@ router.post('/custom/add', authenticateToken, createValidationMiddleware({
   }
 });
 
+/**
+ * Mark a domain row verified unless another row of the same domain already is
+ * The other pending rows of the domain fail, their owners didn't prove ownership first
+ * @param {string} domainId - ID of the row that passed the DNS checks
+ * @param {string} domainName - Domain name
+ * @returns {Promise<boolean>} - False if the domain is verified by another row
+ */
+const claimVerifiedDomain = async (domainId, domainName) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Lock every row of the domain so two verifications can't both win
+    const [rows] = await connection.query(
+      'SELECT id, status FROM custom_domains WHERE domain = ? FOR UPDATE',
+      [domainName]
+    );
+    if (rows.some(row => row.id !== domainId && row.status === 'verified')) {
+      await connection.rollback();
+      return false;
+    }
+
+    await connection.query(
+      'UPDATE custom_domains SET status = ?, verified_at = NOW(), last_check_at = NOW() WHERE id = ?',
+      ['verified', domainId]
+    );
+    await connection.query(
+      'UPDATE custom_domains SET status = ?, last_check_at = NOW() WHERE domain = ? AND id != ?',
+      ['failed', domainName, domainId]
+    );
+
+    await connection.commit();
+    return true;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
 // Verify custom domain DNS
 router.post('/custom/:id/verify', authenticateToken, async (req, res) => {
   try {
@@ -322,14 +354,15 @@ router.post('/custom/:id/verify', authenticateToken, async (req, res) => {
 
     const domain = domains[0];
 
-    // Check if MX records point to our mail server
-    const isVerified = await verifyDomainDNS(domain.domain);
+    // Ownership TXT record and MX records pointing to our mail server
+    const token = await ensureVerificationToken(domain);
+    const report = await buildDnsReport(domain.domain, token);
 
-    if (isVerified) {
-      await pool.query(
-        'UPDATE custom_domains SET status = ?, verified_at = NOW(), last_check_at = NOW() WHERE id = ?',
-        ['verified', domainId]
-      );
+    if (report.verifiable) {
+      const claimed = await claimVerifiedDomain(domainId, domain.domain);
+      if (!claimed) {
+        return res.status(409).json({ error: 'Domain is already verified by another account' });
+      }
 
       // Invalidate user's domains cache so API calls can use verified domain immediately
       invalidateUserDomainsCache(req.user.id);
@@ -352,7 +385,9 @@ router.post('/custom/:id/verify', authenticateToken, async (req, res) => {
 
       res.json({ 
         success: false, 
-        message: 'Domain verification failed. Please check your DNS settings.' 
+        message: 'Domain verification failed. Please check your DNS settings.',
+        verification: getVerificationRecord(domain.domain, token),
+        checks: report.checks.filter(check => check.required)
       });
     }
   } catch (error) {
@@ -361,6 +396,108 @@ router.post('/custom/:id/verify', authenticateToken, async (req, res) => {
   }
 });
 
+// DNS health report of a custom domain: ownership TXT and MX (required), SPF, DKIM and DMARC (advice)
+router.get('/custom/:id/dns-report', authenticateToken, async (req, res) => {
+  try {
+    const [domains] = await pool.query(
+      'SELECT * FROM custom_domains WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (domains.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = domains[0];
+    const token = await ensureVerificationToken(domain);
+    const report = await buildDnsReport(domain.domain, token);
+
+    res.json({
+      id: domain.id,
+      status: domain.status,
+      verification: getVerificationRecord(domain.domain, token),
+      ...report
+    });
+  } catch (error) {
+    console.error('Failed to build DNS report:', error);
+    res.status(500).json({ error: 'Failed to build DNS report' });
+  }
+});
+
+// Get catch-all settings of a custom domain
+router.get('/custom/:id/settings', authenticateToken, async (req, res) => {
+  try {
+    const [domains] = await pool.query(
+      'SELECT * FROM custom_domains WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (domains.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    res.json({
+      id: domains[0].id,
+      domain: domains[0].domain,
+      status: domains[0].status,
+      ...formatCatchAllSettings(domains[0])
+    });
+  } catch (error) {
+    console.error('Failed to fetch domain settings:', error);
+    res.status(500).json({ error: 'Failed to fetch domain settings' });
+  }
+});
+
+// Update catch-all settings of a custom domain (applied once the domain is verified)
+// Body: { catch_all_mode: 'off' | 'auto_create' | 'shared', catch_all_inbox_id, catch_all_patterns: ['qa-*'] }
+router.put('/custom/:id/settings', authenticateToken, async (req, res) => {
+  try {
+    const [domains] = await pool.query(
+      'SELECT * FROM custom_domains WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (domains.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const { settings, error } = validateCatchAllSettings(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // The shared inbox must be an active temp email of this domain
+    if (settings.mode === 'shared') {
+      const [inboxes] = await pool.query(
+        'SELECT id FROM temp_emails WHERE id = ? AND user_id = ? AND custom_domain_id = ? AND expires_at > NOW()',
+        [settings.inboxId, req.user.id, req.params.id]
+      );
+
+      if (inboxes.length === 0) {
+        return res.status(400).json({ error: 'catch_all_inbox_id must be an active email of this domain' });
+      }
+    }
+
+    await pool.query(
+      'UPDATE custom_domains SET catch_all_mode = ?, catch_all_inbox_id = ?, catch_all_patterns = ? WHERE id = ? AND user_id = ?',
+      [settings.mode, settings.inboxId, JSON.stringify(settings.patterns), req.params.id, req.user.id]
+    );
+
+    res.json({
+      success: true,
+      id: domains[0].id,
+      domain: domains[0].domain,
+      status: domains[0].status,
+      catch_all_mode: settings.mode,
+      catch_all_inbox_id: settings.inboxId,
+      catch_all_patterns: settings.patterns
+    });
+  } catch (error) {
+    console.error('Failed to update domain settings:', error);
+    res.status(500).json({ error: 'Failed to update domain settings' });
+  }
+});
+
 // Delete custom domain
 router.delete('/custom/:id', authenticateToken, async (req, res) => {
   try {
@@ -21,8 +21,33 @@ import {
   cacheAddedEmail,
   removeCachedEmail,
   clearUserCache,
-  findRegisteredUserByEmail
+  findRegisteredUserByEmail,
+  getReceivedAttachment,
+  getReceivedRawMessage
 } from '../guestSessionHandler.js';
+import { withAttachmentMetadata, getStoredAttachment, sendAttachment } from '../services/attachmentService.js';
+import { getStoredRawMessage, sendRawMessage, parseRawHeaders } from '../services/rawMessageService.js';
+import { withExtractedData } from '../utils/codeExtractor.js';
+import { searchReceivedEmails, parseSearchQuery } from '../services/emailSearch.js';
+import { wantsSpamExcluded, excludeSpam } from '../services/spamScoring.js';
+import { getSubaddressFilter, filterBySubaddress } from '../services/subaddressing.js';
+import {
+  sendFromTempAddress,
+  validateOutboundInput,
+  replySubject,
+  OUTBOUND_ERRORS
+} from '../services/outboundMail.js';
+import {
+  listInboxRules,
+  createInboxRule,
+  updateInboxRule,
+  deleteInboxRule,
+  deleteAllInboxRules,
+  getInboxRuleStats,
+  validateRuleInput,
+  formatRule,
+  MAX_RULES_PER_INBOX
+} from '../services/inboxRules.js';
 
 const router = express.Router();
 
@@ -47,6 +72,38 @@ function getClientIP(req) {
   return req.connection?.remoteAddress || req.socket?.remoteAddress || req.ip || '127.0.0.1';
 }
 
+// Search received emails across all of the user's temporary emails
+// Registered before /:id so "search" isn't treated as an email ID
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const { filters, error } = parseSearchQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    // Get pagination parameters with defaults
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+    
+    const { results, total } = await searchReceivedEmails(req.user.id, { ...filters, limit, offset });
+    
+    res.json({
+      data: results,
+      metadata: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        query: filters.q
+      }
+    });
+  } catch (error) {
+    console.error('Failed to search received emails:', error);
+    res.status(400).json({ error: 'Failed to search emails' });
+  }
+});
+
 // Get a specific temporary email
 router.get('/:id', authenticateAnyToken, async (req, res) => {
   try {
@@ -54,7 +111,7 @@ router.get('/:id', authenticateAnyToken, async (req, res) => {
     
     // Check if this is a guest user
     if (req.user.isGuest) {
-      const email = getTempEmailById(req.guestToken, emailId);
+      const email = await getTempEmailById(req.guestToken, emailId);
       
       if (!email) {
         return res.status(404).json({ error: 'Email not found' });
@@ -210,9 +267,16 @@ router.get('/:id/received', authenticateAnyToken, async (req, res) => {
   try {
     const emailId = req.params.id;
     
+    // ?exclude_spam=true hides messages scored as spam or phishing
+    const excludeSpamMessages = wantsSpamExcluded(req.query);
+    
+    // ?subaddress=tag keeps the mail sent to name+tag@domain
+    const subaddress = getSubaddressFilter(req.query);
+    
     // Check if this is a guest user
     if (req.user.isGuest) {
-      const emails = getInbox(req.guestToken, emailId);
+      const inbox = filterBySubaddress(await getInbox(req.guestToken, emailId), subaddress);
+      const emails = withExtractedData(excludeSpamMessages ? excludeSpam(inbox) : inbox);
       
       // Sort by received_at in descending order
       const sortedEmails = [...emails].sort((a, b) => 
@@ -239,6 +303,11 @@ router.get('/:id/received', authenticateAnyToken, async (req, res) => {
     let cachedEmails = skipCache ? null : getCachedUserInbox(userId, emailId);
     
     if (cachedEmails && cachedEmails.length > 0) {
+      if (excludeSpamMessages) {
+        cachedEmails = excludeSpam(cachedEmails);
+      }
+      cachedEmails = filterBySubaddress(cachedEmails, subaddress);
+      
       // Get pagination parameters with defaults
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 10;
@@ -249,7 +318,7 @@ router.get('/:id/received', authenticateAnyToken, async (req, res) => {
       
       // Return the data with pagination metadata
       res.json({
-        data: paginatedEmails,
+        data: withExtractedData(paginatedEmails),
         metadata: {
           total: cachedEmails.length,
           page: page,
@@ -267,14 +336,17 @@ router.get('/:id/received', authenticateAnyToken, async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
+    const spamCondition = excludeSpamMessages ? 'AND NOT re.is_spam' : '';
+    const subaddressCondition = subaddress ? 'AND re.subaddress = ?' : '';
+    const filterParams = subaddress ? [subaddress] : [];
 
     // First get the total count
     const [countResult] = await pool.query(`
       SELECT COUNT(*) as total
       FROM received_emails re
       JOIN temp_emails te ON re.temp_email_id = te.id
-      WHERE te.id = ? AND te.user_id = ?
-    `, [req.params.id, req.user.id]);
+      WHERE te.id = ? AND te.user_id = ? ${spamCondition} ${subaddressCondition}
+    `, [req.params.id, req.user.id, ...filterParams]);
 
     const totalCount = countResult[0].total;
 
@@ -283,14 +355,14 @@ router.get('/:id/received', authenticateAnyToken, async (req, res) => {
       SELECT re.*, te.email as temp_email
       FROM received_emails re
       JOIN temp_emails te ON re.temp_email_id = te.id
-      WHERE te.id = ? AND te.user_id = ?
+      WHERE te.id = ? AND te.user_id = ? ${spamCondition} ${subaddressCondition}
       ORDER BY re.received_at DESC
       LIMIT ? OFFSET ?
-    `, [req.params.id, req.user.id, limit, offset]);
+    `, [req.params.id, req.user.id, ...filterParams, limit, offset]);
 
     // Return the data with pagination metadata
     res.json({
-      data: emails,
+      data: withExtractedData(await withAttachmentMetadata(emails)),
       metadata: {
         total: totalCount,
         page: page,
@@ -304,6 +376,249 @@ router.get('/:id/received', authenticateAnyToken, async (req, res) => {
   }
 });
 
+// Download an attachment of a received email
+router.get('/:id/received/:emailId/attachments/:attId', authenticateAnyToken, async (req, res) => {
+  try {
+    const { id, emailId, attId } = req.params;
+    
+    // Guest attachments live in the guest session
+    const attachment = req.user.isGuest
+      ? await getReceivedAttachment(req.guestToken, id, emailId, attId)
+      : await getStoredAttachment(req.user.id, id, emailId, attId);
+    
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    
+    sendAttachment(res, attachment);
+  } catch (error) {
+    console.error('Failed to fetch attachment:', error);
+    res.status(400).json({ error: 'Failed to fetch attachment' });
+  }
+});
+
+// Load the raw source of a received email (guest session or database)
+async function findRawMessage(req) {
+  const { id, emailId } = req.params;
+  return req.user.isGuest
+    ? await getReceivedRawMessage(req.guestToken, id, emailId)
+    : await getStoredRawMessage(req.user.id, id, emailId);
+}
+
+// Download the raw source of a received email (.eml)
+router.get('/:id/received/:emailId/raw', authenticateAnyToken, async (req, res) => {
+  try {
+    const raw = await findRawMessage(req);
+    
+    if (!raw) {
+      return res.status(404).json({ error: 'Raw message not found' });
+    }
+    
+    sendRawMessage(res, req.params.emailId, raw);
+  } catch (error) {
+    console.error('Failed to fetch raw message:', error);
+    res.status(400).json({ error: 'Failed to fetch raw message' });
+  }
+});
+
+// Get the parsed headers of a received email
+router.get('/:id/received/:emailId/headers', authenticateAnyToken, async (req, res) => {
+  try {
+    const raw = await findRawMessage(req);
+    
+    if (!raw) {
+      return res.status(404).json({ error: 'Raw message not found' });
+    }
+    
+    res.json(parseRawHeaders(raw));
+  } catch (error) {
+    console.error('Failed to fetch message headers:', error);
+    res.status(400).json({ error: 'Failed to fetch message headers' });
+  }
+});
+
+// Check that a temp email belongs to the user (rules are only available for saved emails)
+async function findOwnedTempEmail(tempEmailId, userId) {
+  const [emails] = await pool.query(
+    'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+    [tempEmailId, userId]
+  );
+  return emails[0] || null;
+}
+
+// Get filtering rules of a temporary email
+router.get('/:id/rules', authenticateToken, async (req, res) => {
+  try {
+    if (!await findOwnedTempEmail(req.params.id, req.user.id)) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    
+    const rules = await listInboxRules('temp_email', req.params.id);
+    const stats = await getInboxRuleStats(req.params.id);
+    
+    res.json({
+      data: rules.map(formatRule),
+      stats
+    });
+  } catch (error) {
+    console.error('Failed to fetch inbox rules:', error);
+    res.status(400).json({ error: 'Failed to fetch rules' });
+  }
+});
+
+// Add a filtering rule to a temporary email
+router.post('/:id/rules', authenticateToken, async (req, res) => {
+  try {
+    const { rule, error } = validateRuleInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    if (!await findOwnedTempEmail(req.params.id, req.user.id)) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    
+    const created = await createInboxRule(req.user.id, 'temp_email', req.params.id, rule);
+    res.status(201).json(formatRule(created));
+  } catch (error) {
+    if (error.message === 'RULE_LIMIT_EXCEEDED') {
+      return res.status(400).json({ error: `A maximum of ${MAX_RULES_PER_INBOX} rules can be added to an email` });
+    }
+    console.error('Failed to create inbox rule:', error);
+    res.status(400).json({ error: 'Failed to create rule' });
+  }
+});
+
+// Update a filtering rule
+router.patch('/:id/rules/:ruleId', authenticateToken, async (req, res) => {
+  try {
+    const { rule, error } = validateRuleInput(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    if (!await findOwnedTempEmail(req.params.id, req.user.id)) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    
+    const updated = await updateInboxRule('temp_email', req.params.id, req.params.ruleId, rule);
+    if (!updated) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    
+    res.json(formatRule(updated));
+  } catch (error) {
+    console.error('Failed to update inbox rule:', error);
+    res.status(400).json({ error: 'Failed to update rule' });
+  }
+});
+
+// Delete a filtering rule
+router.delete('/:id/rules/:ruleId', authenticateToken, async (req, res) => {
+  try {
+    if (!await findOwnedTempEmail(req.params.id, req.user.id)) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    
+    const deleted = await deleteInboxRule('temp_email', req.params.id, req.params.ruleId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    
+    res.json({ message: 'Rule deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete inbox rule:', error);
+    res.status(400).json({ error: 'Failed to delete rule' });
+  }
+});
+
+// Load an active temp email of a registered user for sending
+async function findSendableTempEmail(tempEmailId, userId) {
+  const [emails] = await pool.query(
+    'SELECT id, email FROM temp_emails WHERE id = ? AND user_id = ? AND expires_at > NOW()',
+    [tempEmailId, userId]
+  );
+  return emails[0] || null;
+}
+
+// Map errors of sendFromTempAddress to a response
+function sendOutboundError(res, error) {
+  const known = OUTBOUND_ERRORS[error.message];
+  if (known) {
+    return res.status(known.status).json({ error: known.message, code: error.message });
+  }
+  console.error('Failed to send email:', error);
+  res.status(400).json({ error: 'Failed to send email' });
+}
+
+// Send an email from a temporary email
+router.post('/:id/send', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.isGuest) {
+      return res.status(403).json({ error: 'Sending requires a registered account' });
+    }
+    
+    const { message, error } = validateOutboundInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const tempEmail = await findSendableTempEmail(req.params.id, req.user.id);
+    if (!tempEmail) {
+      return res.status(404).json({ error: 'Email not found or expired' });
+    }
+    
+    const result = await sendFromTempAddress({ userId: req.user.id, tempEmail, message });
+    res.status(201).json(result);
+  } catch (error) {
+    sendOutboundError(res, error);
+  }
+});
+
+// Reply to a received email from its temporary email
+router.post('/:id/received/:emailId/reply', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.isGuest) {
+      return res.status(403).json({ error: 'Sending requires a registered account' });
+    }
+    
+    const { message, error } = validateOutboundInput(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const tempEmail = await findSendableTempEmail(req.params.id, req.user.id);
+    if (!tempEmail) {
+      return res.status(404).json({ error: 'Email not found or expired' });
+    }
+    
+    const [received] = await pool.query(
+      'SELECT id, from_email, subject, message_id, references_header FROM received_emails WHERE id = ? AND temp_email_id = ?',
+      [req.params.emailId, tempEmail.id]
+    );
+    
+    if (received.length === 0) {
+      return res.status(404).json({ error: 'Received email not found' });
+    }
+    
+    const original = received[0];
+    const result = await sendFromTempAddress({
+      userId: req.user.id,
+      tempEmail,
+      message: {
+        ...message,
+        to: message.to || original.from_email,
+        subject: message.subject || replySubject(original.subject)
+      },
+      replyTo: original
+    });
+    
+    res.status(201).json(result);
+  } catch (error) {
+    sendOutboundError(res, error);
+  }
+});
+
 // Create a new temporary email
 router.post('/create', authenticateAnyToken, rateLimitMiddleware, checkCaptchaRequired, verifyCaptcha, customDomainRateLimitMiddleware, async (req, res) => {
   try {
@@ -379,7 +694,7 @@ router.post('/create', authenticateAnyToken, rateLimitMiddleware, checkCaptchaRe
       };
       
       // Store in guest session
-      const emailId = storeTempEmail(req.guestToken, emailData);
+      const emailId = await storeTempEmail(req.guestToken, emailData);
       
       if (!emailId) {
         return res.status(500).json({ error: 'Failed to create temporary email' });
@@ -510,6 +825,9 @@ router.delete('/delete/:id', authenticateToken, async (req, res) => {
     // Remove from cache
     removeCachedEmail(req.user.id, req.params.id);
     
+    // Remove its filtering rules
+    await deleteAllInboxRules(req.params.id);
+    
     // Decrement custom domain usage if this was a custom domain email
     if (isCustomDomainEmail && customDomainId) {
       await decrementCustomDomainUsage(customDomainId, req.user.id);
@@ -531,7 +849,7 @@ router.get('/', authenticateAnyToken, async (req, res) => {
     // Check if this is a guest user
     if (req.user.isGuest) {
       // Get emails from guest session
-      const emails = getTempEmails(req.guestToken);
+      const emails = await getTempEmails(req.guestToken);
       
       // Filter by search term if provided
       const search = req.query.search || '';
@@ -779,11 +1097,11 @@ router.get('/public/:email', async (req, res) => {
       SELECT re.*, te.email as temp_email
       FROM received_emails re
       JOIN temp_emails te ON re.temp_email_id = te.id
-      WHERE te.email = ?
+      WHERE te.email = ? ${wantsSpamExcluded(req.query) ? 'AND NOT re.is_spam' : ''}
       ORDER BY re.received_at DESC
     `, [req.params.email]);
 
-    res.json(emails);
+    res.json(withExtractedData(emails));
   } catch (error) {
     console.error('Failed to fetch public emails:', error);
     res.status(400).json({ error: 'Failed to fetch emails' });
@@ -14,12 +14,18 @@ import {
   migrateGuestSessionToUser,
   deleteGuestSession,
   isEmailAddressInUse,
-  isValidGuestToken
+  isValidGuestToken,
+  getReceivedAttachment,
+  getReceivedRawMessage,
+  deleteGuestTempEmail
 } from '../guestSessionHandler.js';
+import { sendAttachment } from '../services/attachmentService.js';
+import { sendRawMessage, parseRawHeaders } from '../services/rawMessageService.js';
+import { extractVerificationData, withExtractedData } from '../utils/codeExtractor.js';
+import { wantsSpamExcluded, excludeSpam } from '../services/spamScoring.js';
+import { getSubaddressFilter, filterBySubaddress } from '../services/subaddressing.js';
 
-// Import these directly from the file since they're not exported
-// This requires modifying guestSessionHandler.js to export these
-import { guestSessions, emailToGuestMap } from '../guestSessionHandler.js';
+import { verifyInboundWebhook } from '../middleware/inboundWebhookAuth.js';
 
 const router = express.Router();
 
@@ -27,7 +33,7 @@ const router = express.Router();
 router.post('/init', async (req, res) => {
   try {
     // Generate a guest JWT token
-    const token = generateGuestJWT();
+    const token = await generateGuestJWT();
     
     res.json({ 
       token,
@@ -45,7 +51,7 @@ router.post('/init', async (req, res) => {
 // Get guest temp emails
 router.get('/emails', authenticateGuestToken, async (req, res) => {
   try {
-    const emails = getTempEmails(req.guestToken);
+    const emails = await getTempEmails(req.guestToken);
     
     res.json({
       data: emails,
@@ -69,7 +75,7 @@ router.get('/emails', authenticateGuestToken, async (req, res) => {
 router.get('/emails/:id', authenticateGuestToken, async (req, res) => {
   try {
     const emailId = req.params.id;
-    const email = getTempEmailById(req.guestToken, emailId);
+    const email = await getTempEmailById(req.guestToken, emailId);
     
     if (!email) {
       return res.status(404).json({ error: 'Email not found' });
@@ -128,7 +134,7 @@ router.post('/emails/create', authenticateGuestToken, async (req, res) => {
       created_at: new Date().toISOString()
     };
     
-    const emailId = storeTempEmail(req.guestToken, emailData);
+    const emailId = await storeTempEmail(req.guestToken, emailData);
     
     if (!emailId) {
       return res.status(500).json({ error: 'Failed to store temporary email' });
@@ -148,7 +154,11 @@ router.post('/emails/create', authenticateGuestToken, async (req, res) => {
 router.get('/emails/:id/received', authenticateGuestToken, async (req, res) => {
   try {
     const emailId = req.params.id;
-    const emails = getInbox(req.guestToken, emailId);
+    // ?subaddress=tag keeps the mail sent to name+tag@domain
+    const inbox = filterBySubaddress(await getInbox(req.guestToken, emailId), getSubaddressFilter(req.query));
+    
+    // ?exclude_spam=true hides messages scored as spam or phishing
+    const emails = withExtractedData(wantsSpamExcluded(req.query) ? excludeSpam(inbox) : inbox);
     
     res.json({
       data: emails,
@@ -168,6 +178,66 @@ router.get('/emails/:id/received', authenticateGuestToken, async (req, res) => {
   }
 });
 
+// Download an attachment of a received email
+router.get('/emails/:id/received/:emailId/attachments/:attId', authenticateGuestToken, async (req, res) => {
+  try {
+    const { id, emailId, attId } = req.params;
+    const attachment = await getReceivedAttachment(req.guestToken, id, emailId, attId);
+    
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    
+    sendAttachment(res, attachment);
+  } catch (error) {
+    console.error('Get guest attachment error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve attachment',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Download the raw source of a received email (.eml)
+router.get('/emails/:id/received/:emailId/raw', authenticateGuestToken, async (req, res) => {
+  try {
+    const { id, emailId } = req.params;
+    const raw = await getReceivedRawMessage(req.guestToken, id, emailId);
+    
+    if (!raw) {
+      return res.status(404).json({ error: 'Raw message not found' });
+    }
+    
+    sendRawMessage(res, emailId, raw);
+  } catch (error) {
+    console.error('Get guest raw message error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve raw message',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get the parsed headers of a received email
+router.get('/emails/:id/received/:emailId/headers', authenticateGuestToken, async (req, res) => {
+  try {
+    const { id, emailId } = req.params;
+    const raw = await getReceivedRawMessage(req.guestToken, id, emailId);
+    
+    if (!raw) {
+      return res.status(404).json({ error: 'Raw message not found' });
+    }
+    
+    res.json(parseRawHeaders(raw));
+  } catch (error) {
+    console.error('Get guest message headers error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve message headers',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Save inbox (register user and migrate data)
 router.post('/save-inbox', authenticateGuestToken, async (req, res) => {
   try {
@@ -234,8 +304,8 @@ router.post('/save-inbox', authenticateGuestToken, async (req, res) => {
 });
 
 // Endpoint to add a received email to a temp email inbox
-// This would typically be called by your mail server
-router.post('/receive-email/:emailId', async (req, res) => {
+// This would typically be called by your mail server, which signs the request like the webhook
+router.post('/receive-email/:emailId', verifyInboundWebhook, async (req, res) => {
   try {
     const { guestToken, from_email, from_name, subject, body_html, body_text } = req.body;
     const emailId = req.params.emailId;
@@ -245,7 +315,7 @@ router.post('/receive-email/:emailId', async (req, res) => {
     }
     
     // Verify this is a valid guest token
-    if (!isValidGuestToken(guestToken)) {
+    if (!(await isValidGuestToken(guestToken))) {
       return res.status(403).json({ error: 'Invalid guest token' });
     }
     
@@ -258,8 +328,9 @@ router.post('/receive-email/:emailId', async (req, res) => {
       body_text: body_text || '',
       received_at: new Date().toISOString()
     };
+    emailData.extracted = extractVerificationData(emailData);
     
-    const success = storeReceivedEmail(guestToken, emailId, emailData);
+    const success = await storeReceivedEmail(guestToken, emailId, emailData);
     
     if (!success) {
       return res.status(500).json({ error: 'Failed to store received email' });
@@ -279,28 +350,14 @@ router.post('/receive-email/:emailId', async (req, res) => {
 router.delete('/emails/delete/:id', authenticateGuestToken, async (req, res) => {
   try {
     const emailId = req.params.id;
-    const email = getTempEmailById(req.guestToken, emailId);
-    
-    if (!email) {
-      return res.status(404).json({ error: 'Email not found' });
-    }
     
-    // Get the guest session from the token
-    const session = guestSessions.get(req.guestToken);
-    if (!session) {
-      return res.status(404).json({ error: 'Guest session not found' });
-    }
+    // Removes the email, its inbox and the stored attachments and raw sources
+    const deleted = await deleteGuestTempEmail(req.guestToken, emailId);
     
-    // Get the email data to remove from lookup map
-    const emailData = session.emails.get(emailId);
-    if (emailData) {
-      emailToGuestMap.delete(emailData.email);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Email not found' });
     }
     
-    // Remove the email and its inbox
-    session.emails.delete(emailId);
-    session.inbox.delete(emailId);
-    
     res.json({ message: 'Email deleted successfully' });
   } catch (error) {
     console.error('Delete guest email error:', error);
@@ -8,6 +8,7 @@ import {
 } from '../middleware/requestTracker.js';
 import { manualCleanup } from '../utils/cleanup.js';
 import { getActivitySummary } from '../services/activityTracker.js';
+import { getInboundWebhookMetrics } from '../middleware/inboundWebhookAuth.js';
 
 const router = express.Router();
 
@@ -877,4 +878,13 @@ router.get('/lookup-migration/:id', async (req, res) => {
   }
 });
 
+// Accepted and rejected inbound mail requests (webhook signature, replay and IP checks) on this instance
+router.get('/inbound-webhook-stats', (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  res.json(getInboundWebhookMetrics());
+});
+
 export default router;
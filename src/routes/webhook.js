@@ -1,4 +1,5 @@
 import express from 'express';
+import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import { pool } from '../db/init.js';
 import { simpleParser } from 'mailparser';
@@ -12,8 +13,35 @@ import {
 } from '../guestSessionHandler.js';
 import { 
   findApiUserByEmail, 
-  addApiEmailMessage 
+  addApiEmailMessage,
+  saveApiMessageContent,
+  deleteApiMessageContent
 } from '../services/apiMemoryStore.js';
+import { prepareAttachments, saveAttachments, toAttachmentMetadata } from '../services/attachmentService.js';
+import { prepareRawMessage, saveRawMessage } from '../services/rawMessageService.js';
+import { extractVerificationData } from '../utils/codeExtractor.js';
+import { indexReceivedEmail } from '../services/emailSearch.js';
+import { evaluateInboxRules } from '../services/inboxRules.js';
+import { scoreInboundEmail } from '../services/spamScoring.js';
+import stateStore, { INSTANCE_ID } from '../services/sharedState.js';
+import {
+  findInboxInstance,
+  forwardDelivery,
+  onForwardedDelivery,
+  broadcastInboxEvent
+} from '../services/inboxRouter.js';
+import { publishUserEmail, publishGuestEmail } from '../services/inboxSocket.js';
+import { verifyInboundWebhook, storeRawBody } from '../middleware/inboundWebhookAuth.js';
+import { resolveCatchAllInbox } from '../services/catchAllService.js';
+import { parseSubaddress } from '../services/subaddressing.js';
+
+// A message is delivered once per inbox even when the mailserver posts it for each envelope recipient
+const DELIVERY_DEDUPE_WINDOW = 60 * 60 * 1000; // 1 hour
+
+// Domains we receive mail for (public and verified custom domains), used to skip header
+// recipients on other domains before looking them up
+const HOSTED_DOMAINS_TTL = 60 * 1000; // 1 minute
+let hostedDomainsCache = { domains: null, expiresAt: 0 };
 
 // Email parsing helper functions
 function extractSenderEmail(emailFrom) {
@@ -124,9 +152,18 @@ async function parseEmailContent(rawContent) {
 
     return {
       headers: parsed.headers,
+      messageId: parsed.messageId || null,
+      references: parsed.references || null,
       subject: parsed.subject,
       from: parsed.from?.text || '',
       to: parsed.to?.text || '',
+      recipients: [parsed.to, parsed.cc, parsed.bcc]
+        .flat()
+        .filter(Boolean)
+        .flatMap(addressObject => addressObject.value || [])
+        .flatMap(address => address.group || [address])
+        .map(address => address.address)
+        .filter(Boolean),
       text: parsed.text,
       html: parsed.html,
       attachments: parsed.attachments.map(attachment => ({
@@ -140,9 +177,12 @@ async function parseEmailContent(rawContent) {
     console.error('Error parsing email:', error);
     return {
       headers: {},
+      messageId: null,
+      references: null,
       subject: 'Unable to parse subject',
       from: '',
       to: '',
+      recipients: [],
       text: rawContent,
       html: '',
       attachments: []
@@ -150,243 +190,627 @@ async function parseEmailContent(rawContent) {
   }
 }
 
-const router = express.Router();
+/**
+ * Store a received email, its attachments and raw source in the database
+ * @param {string} tempEmailId - temp_emails.id of the recipient
+ * @param {object} emailData - Cleaned email data
+ * @param {Array} attachments - Attachment records from prepareAttachments
+ * @param {object|null} raw - Raw source record from prepareRawMessage
+ */
+async function storeInDatabase(tempEmailId, emailData, attachments, raw) {
+  await pool.query(
+    `INSERT INTO received_emails
+      (id, temp_email_id, from_email, from_name, subject, body_html, body_text, tags,
+       is_spam, spam_score, spam_verdict, spam_reasons, message_id, references_header, delivered_to, subaddress, received_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      emailData.id,
+      tempEmailId,
+      emailData.from_email,
+      emailData.from_name,
+      emailData.subject,
+      emailData.body_html,
+      emailData.body_text,
+      emailData.tags ? JSON.stringify(emailData.tags) : null,
+      !!emailData.is_spam,
+      emailData.spam_score ?? null,
+      emailData.spam_verdict || null,
+      emailData.spam_reasons ? JSON.stringify(emailData.spam_reasons) : null,
+      emailData.message_id || null,
+      emailData.references || null,
+      emailData.delivered_to || null,
+      emailData.subaddress || null
+    ]
+  );
+  
+  await saveAttachments(emailData.id, attachments);
+  
+  await saveRawMessage(emailData.id, raw);
+  
+  await indexReceivedEmail(tempEmailId, emailData, attachments.length > 0);
+}
 
 /**
- * Webhook endpoint for receiving emails
+ * Deliver a received email to a single recipient
  * Priority:
- * 1. Check if recipient is a guest user (in-memory)
- * 2. If not, check if it's a registered user with cached data (in-memory)
- * 3. If not, check if it's a registered user (database)
- * This prevents database load for both guest users and frequent registered users
+ * 1. API user (in-memory)
+ * 2. Guest user (shared state store)
+ * 3. Another instance holding the API inbox in memory (forwarded)
+ * 4. Registered user with cached data (in-memory + database)
+ * 5. Registered user (database, regular or custom domain)
+ * 6. Catch-all or wildcard address of a verified custom domain
+ * @param {string} cleanRecipient - Recipient address
+ * @param {object} emailData - Cleaned email data
+ * @param {Array} attachments - Attachment records from prepareAttachments
+ * @param {object|null} raw - Raw source record from prepareRawMessage
+ * @param {object} options - { allowForward: false for deliveries already forwarded by another instance }
+ * @returns {Promise<object>} - { status, body } for the webhook response
  */
-router.post('/email/incoming', express.urlencoded({ extended: true }), async (req, res) => {
-  console.log('Received webhook request');
-  console.log('Content-Type:', req.headers['content-type']);
+async function deliverToRecipient(cleanRecipient, emailData, attachments, raw, { allowForward = true } = {}) {
+  // 1. FIRST: Check if the recipient belongs to an API user
+  const apiUserInfo = findApiUserByEmail(cleanRecipient);
   
-  try {
-    const rawContent = req.body.body;
-    const parsedEmail = await parseEmailContent(rawContent);
-    
-    // Extract and clean email data
-    const senderEmail = extractSenderEmail(req.body.sender || parsedEmail.from);
-    const senderName = extractSenderName(req.body.sender || parsedEmail.from);
-    const cleanedSubject = cleanSubject(parsedEmail.subject);
-    
-    // Clean the recipient email address
-    const cleanRecipient = (req.body.recipient || parsedEmail.to).includes('<') ? 
-      (req.body.recipient || parsedEmail.to).match(/<(.+)>/)[1] : 
-      (req.body.recipient || parsedEmail.to).trim();
-    
-    const emailData = {
-      id: uuidv4(),
-      from_email: senderEmail,
-      from_name: senderName,
-      subject: cleanedSubject,
-      body_html: parsedEmail.html || '',
-      body_text: parsedEmail.text || '',
-      received_at: new Date().toISOString(),
-      is_spam: false // You could add spam detection logic here
-    };
-    
-    // 1. FIRST: Check if the recipient belongs to an API user
-    const apiUserInfo = findApiUserByEmail(cleanRecipient);
-    
-    // 2. SECOND: Check if the recipient belongs to a guest user
-    const guestInfo = findGuestByEmail(cleanRecipient);
-    
-    // 3. THIRD: Check if it belongs to a registered user in cache
-    const registeredInfo = findRegisteredUserByEmail(cleanRecipient);
-    
-    // 4. FOURTH: Check if it exists in the database (regular domains)
-    const [tempEmails] = await pool.query(
-      'SELECT id, user_id FROM temp_emails WHERE email = ? AND expires_at > NOW()',
-      [cleanRecipient]
-    );
-    
-    // 5. FIFTH: Check if it's from a custom domain
-    const recipientDomain = cleanRecipient.split('@')[1];
-    const [customDomainEmails] = await pool.query(
-      `SELECT te.id, te.user_id, cd.domain 
-       FROM temp_emails te 
-       JOIN custom_domains cd ON cd.user_id = te.user_id 
-       WHERE te.email = ? AND cd.domain = ? AND cd.status = 'verified' AND te.expires_at > NOW()`,
-      [cleanRecipient, recipientDomain]
-    );
+  // 2. SECOND: Check if the recipient belongs to a guest user
+  const guestInfo = await findGuestByEmail(cleanRecipient);
+  
+  // Handle API emails first (highest priority)
+  if (apiUserInfo) {
+    console.log(`Received email for API user: ${cleanRecipient}`);
+    const ruling = await applyInboxRules(apiUserInfo.emailId, emailData, cleanRecipient);
+    if (ruling.rejection) return ruling.rejection;
+    emailData = ruling.emailData;
     
-    // Process in priority order: API, guest, registered cache, database
+    // The inbox keeps the metadata, the content is downloaded from storage
+    await saveApiMessageContent(emailData.id, attachments, raw);
+    const success = addApiEmailMessage(apiUserInfo.emailId, emailData);
     
-    // Handle API emails first (highest priority)
-    if (apiUserInfo) {
-      console.log(`Received email for API user: ${cleanRecipient}`);
-      const success = addApiEmailMessage(apiUserInfo.emailId, emailData);
-      
-      if (success) {
-        return res.status(200).json({ 
+    if (success) {
+      return {
+        status: 200,
+        body: { 
           success: true, 
           message: 'Email stored in API memory store',
           emailId: emailData.id,
           type: 'api_email'
-        });
-      } else {
-        // API email might have expired
-        return res.status(404).json({ 
-          success: false, 
-          message: 'API email expired or not found',
-          recipient: cleanRecipient,
-          type: 'api_email_expired'
-        });
-      }
+        }
+      };
     }
     
-    // Handle potential conflicts between memory caches and database
-    if ((guestInfo || registeredInfo) && tempEmails.length > 0) {
-      console.warn(`CONFLICT: Email ${cleanRecipient} exists in multiple stores!`);
-      
-      // Prioritize registered user in database
-      const tempEmailId = tempEmails[0].id;
-      const userId = tempEmails[0].user_id;
-      
-      // Insert into the database
-      await pool.query(
-        'INSERT INTO received_emails (id, temp_email_id, from_email, from_name, subject, body_html, body_text, received_at) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())',
-        [
-          emailData.id,
-          tempEmailId,
-          emailData.from_email,
-          emailData.from_name,
-          emailData.subject,
-          emailData.body_html,
-          emailData.body_text
-        ]
-      );
+    // API email might have expired
+    await deleteApiMessageContent(emailData.id);
+    return {
+      status: 404,
+      body: { 
+        success: false, 
+        message: 'API email expired or not found',
+        recipient: cleanRecipient,
+        type: 'api_email_expired'
+      }
+    };
+  }
+  
+  // 3. THIRD: API inboxes held in memory by another instance (guest sessions are in the shared state store)
+  if (!guestInfo && allowForward) {
+    const ownerInstance = await findInboxInstance(cleanRecipient);
+    
+    if (ownerInstance && ownerInstance !== INSTANCE_ID) {
+      console.log(`Forwarding email for ${cleanRecipient} to instance ${ownerInstance}`);
+      // Only the metadata is forwarded, the content is stored here for the owner to serve
+      await saveApiMessageContent(emailData.id, attachments, raw);
+      const forwarded = await forwardDelivery(ownerInstance, { recipient: cleanRecipient, emailData });
       
-      // Also update cache if it exists
-      if (registeredInfo && registeredInfo.userId === userId) {
-        cacheReceivedEmail(userId, tempEmailId, emailData);
+      if (forwarded) {
+        return {
+          status: 200,
+          body: { 
+            success: true, 
+            message: 'Email forwarded to the instance holding the inbox',
+            emailId: emailData.id,
+            forwarded: true
+          }
+        };
       }
       
-      return res.status(200).json({ 
+      // The instance is gone (its route was dropped), deliver here like any other address
+      await deleteApiMessageContent(emailData.id);
+      console.warn(`Instance ${ownerInstance} did not receive the email for ${cleanRecipient}, delivering locally`);
+    }
+  }
+  
+  // 4. FOURTH: Check if it belongs to a registered user in cache
+  const registeredInfo = findRegisteredUserByEmail(cleanRecipient);
+  
+  // 5. FIFTH: Check if it exists in the database (regular domains)
+  const [tempEmails] = await pool.query(
+    'SELECT id, user_id FROM temp_emails WHERE email = ? AND expires_at > NOW()',
+    [cleanRecipient]
+  );
+  
+  // 6. SIXTH: Check if it's from a custom domain
+  const recipientDomain = cleanRecipient.split('@')[1];
+  const [customDomainEmails] = await pool.query(
+    `SELECT te.id, te.user_id, cd.domain 
+     FROM temp_emails te 
+     JOIN custom_domains cd ON cd.user_id = te.user_id 
+     WHERE te.email = ? AND cd.domain = ? AND cd.status = 'verified' AND te.expires_at > NOW()`,
+    [cleanRecipient, recipientDomain]
+  );
+  
+  // Handle potential conflicts between memory caches and database
+  if ((guestInfo || registeredInfo) && tempEmails.length > 0) {
+    console.warn(`CONFLICT: Email ${cleanRecipient} exists in multiple stores!`);
+    
+    // Prioritize registered user in database
+    const tempEmailId = tempEmails[0].id;
+    const userId = tempEmails[0].user_id;
+    
+    const ruling = await applyInboxRules(tempEmailId, emailData, cleanRecipient);
+    if (ruling.rejection) return ruling.rejection;
+    emailData = ruling.emailData;
+    
+    // Insert into the database
+    await storeInDatabase(tempEmailId, emailData, attachments, raw);
+    
+    // Also update cache if it exists
+    if (registeredInfo && registeredInfo.userId === userId) {
+      cacheReceivedEmail(userId, tempEmailId, emailData);
+    }
+    shareRegisteredEmail(userId, tempEmailId, emailData);
+    
+    return {
+      status: 200,
+      body: { 
         success: true, 
         message: 'Email stored in database (conflict resolved)',
         emailId: emailData.id,
         conflict: true
-      });
-    }
+      }
+    };
+  }
+  
+  // If it's a guest user, store in memory
+  if (guestInfo) {
+    console.log(`Received email for guest user: ${cleanRecipient}`);
+    const success = await storeReceivedEmail(guestInfo.token, guestInfo.emailId, emailData, attachments, raw);
     
-    // If it's a guest user, store in memory
-    if (guestInfo) {
-      console.log(`Received email for guest user: ${cleanRecipient}`);
-      const success = storeReceivedEmail(guestInfo.token, guestInfo.emailId, emailData);
+    if (success) {
+      publishGuestEmail(guestInfo.token, guestInfo.emailId, emailData);
       
-      if (success) {
-        return res.status(200).json({ 
+      return {
+        status: 200,
+        body: { 
           success: true, 
           message: 'Email stored in guest session',
           emailId: emailData.id
-        });
-      }
+        }
+      };
     }
+  }
+  
+  // If it's a registered user with active cache, update both DB and cache
+  if (registeredInfo) {
+    console.log(`Received email for cached registered user: ${cleanRecipient}`);
     
-    // If it's a registered user with active cache, update both DB and cache
-    if (registeredInfo) {
-      console.log(`Received email for cached registered user: ${cleanRecipient}`);
-      
-      // Store in database
-      await pool.query(
-        'INSERT INTO received_emails (id, temp_email_id, from_email, from_name, subject, body_html, body_text, received_at) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())',
-        [
-          emailData.id,
-          registeredInfo.emailId,
-          emailData.from_email,
-          emailData.from_name,
-          emailData.subject,
-          emailData.body_html,
-          emailData.body_text
-        ]
-      );
-      
-      // Also update the cache
-      cacheReceivedEmail(registeredInfo.userId, registeredInfo.emailId, emailData);
-      
-      return res.status(200).json({ 
+    const ruling = await applyInboxRules(registeredInfo.emailId, emailData, cleanRecipient);
+    if (ruling.rejection) return ruling.rejection;
+    emailData = ruling.emailData;
+    
+    // Store in database
+    await storeInDatabase(registeredInfo.emailId, emailData, attachments, raw);
+    
+    // Also update the cache
+    cacheReceivedEmail(registeredInfo.userId, registeredInfo.emailId, emailData);
+    shareRegisteredEmail(registeredInfo.userId, registeredInfo.emailId, emailData);
+    
+    return {
+      status: 200,
+      body: { 
         success: true, 
         message: 'Email stored in database and cache',
         emailId: emailData.id
-      });
-    }
+      }
+    };
+  }
+  
+  // If not a guest or cached registered user, check database (regular domains)
+  if (tempEmails.length > 0) {
+    const ruling = await applyInboxRules(tempEmails[0].id, emailData, cleanRecipient);
+    if (ruling.rejection) return ruling.rejection;
+    emailData = ruling.emailData;
     
-    // If not a guest or cached registered user, check database (regular domains)
-    if (tempEmails.length > 0) {
-      // Store in database for registered user
-      await pool.query(
-        'INSERT INTO received_emails (id, temp_email_id, from_email, from_name, subject, body_html, body_text, received_at) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())',
-        [
-          emailData.id,
-          tempEmails[0].id,
-          emailData.from_email,
-          emailData.from_name,
-          emailData.subject,
-          emailData.body_html,
-          emailData.body_text
-        ]
-      );
-      
-      return res.status(200).json({ 
+    // Store in database for registered user
+    await storeInDatabase(tempEmails[0].id, emailData, attachments, raw);
+    shareRegisteredEmail(tempEmails[0].user_id, tempEmails[0].id, emailData);
+    
+    return {
+      status: 200,
+      body: { 
         success: true, 
         message: 'Email stored in database',
         emailId: emailData.id
-      });
-    }
+      }
+    };
+  }
+  
+  // Check for custom domain emails
+  if (customDomainEmails.length > 0) {
+    const ruling = await applyInboxRules(customDomainEmails[0].id, emailData, cleanRecipient);
+    if (ruling.rejection) return ruling.rejection;
+    emailData = ruling.emailData;
     
-    // Check for custom domain emails
-    if (customDomainEmails.length > 0) {
-      // Store in database for custom domain user
-      await pool.query(
-        'INSERT INTO received_emails (id, temp_email_id, from_email, from_name, subject, body_html, body_text, received_at) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())',
-        [
-          emailData.id,
-          customDomainEmails[0].id,
-          emailData.from_email,
-          emailData.from_name,
-          emailData.subject,
-          emailData.body_html,
-          emailData.body_text
-        ]
-      );
-      
-      return res.status(200).json({ 
+    // Store in database for custom domain user
+    await storeInDatabase(customDomainEmails[0].id, emailData, attachments, raw);
+    shareRegisteredEmail(customDomainEmails[0].user_id, customDomainEmails[0].id, emailData);
+    
+    return {
+      status: 200,
+      body: { 
         success: true, 
         message: 'Email stored in database (custom domain)',
         emailId: emailData.id,
         customDomain: customDomainEmails[0].domain
-      });
+      }
+    };
+  }
+  
+  // Catch-all: new addresses of custom domains that opted in
+  const catchAllInbox = await resolveCatchAllInbox(cleanRecipient);
+  if (catchAllInbox) {
+    const ruling = await applyInboxRules(catchAllInbox.tempEmailId, emailData, cleanRecipient);
+    if (ruling.rejection) return ruling.rejection;
+    emailData = ruling.emailData;
+    
+    // The shared inbox has its own address, keep the one the email was sent to
+    if (catchAllInbox.mode === 'shared') {
+      emailData.delivered_to = emailData.delivered_to || cleanRecipient;
     }
+    await storeInDatabase(catchAllInbox.tempEmailId, emailData, attachments, raw);
+    cacheReceivedEmail(catchAllInbox.userId, catchAllInbox.tempEmailId, emailData);
+    shareRegisteredEmail(catchAllInbox.userId, catchAllInbox.tempEmailId, emailData);
     
-    // Check if this is from a deleted custom domain (orphaned email)
-    const [deletedDomainCheck] = await pool.query(
-      'SELECT domain FROM custom_domains WHERE domain = ? AND status != ?',
-      [recipientDomain, 'verified']
-    );
+    return {
+      status: 200,
+      body: { 
+        success: true, 
+        message: `Email stored in database (catch-all, ${catchAllInbox.mode})`,
+        emailId: emailData.id,
+        customDomain: catchAllInbox.domain,
+        catchAll: catchAllInbox.mode,
+        inboxCreated: catchAllInbox.created
+      }
+    };
+  }
+  
+  // Check if this is from a deleted custom domain (orphaned email)
+  const [deletedDomainCheck] = await pool.query(
+    'SELECT domain FROM custom_domains WHERE domain = ? AND status != ?',
+    [recipientDomain, 'verified']
+  );
+  
+  if (deletedDomainCheck.length > 0) {
+    console.warn(`Received email for deleted/unverified custom domain: ${recipientDomain}`);
     
-    if (deletedDomainCheck.length > 0) {
-      console.warn(`Received email for deleted/unverified custom domain: ${recipientDomain}`);
-      
-      return res.status(404).json({ 
+    return {
+      status: 404,
+      body: { 
         success: false, 
         message: 'Custom domain not verified or deleted',
         recipient: cleanRecipient,
         domain: recipientDomain,
         reason: 'orphaned_custom_domain'
-      });
-    }
-    
-    // If the email doesn't exist in any system, return a 404
-    return res.status(404).json({ 
+      }
+    };
+  }
+  
+  // If the email doesn't exist in any system, return a 404
+  return {
+    status: 404,
+    body: { 
       success: false, 
       message: 'Recipient not found in any system',
       recipient: cleanRecipient
+    }
+  };
+}
+
+/**
+ * Apply the filtering rules of the target inbox
+ * Rejected mail is only counted; emailData is left untouched, tags go on a copy
+ * @returns {Promise<object>} - { rejection: webhook response or null, emailData: data to store }
+ */
+async function applyInboxRules(inboxId, emailData, recipient) {
+  const verdict = await evaluateInboxRules(inboxId, emailData);
+  
+  if (verdict.rejected) {
+    console.log(`Email for ${recipient} from ${emailData.from_email} rejected by rule ${verdict.ruleId}`);
+    return {
+      rejection: {
+        status: 200,
+        body: { 
+          success: true, 
+          message: 'Email rejected by inbox rule',
+          recipient,
+          rejected: true,
+          ruleId: verdict.ruleId
+        }
+      },
+      emailData
+    };
+  }
+  
+  return {
+    rejection: null,
+    emailData: verdict.tags.length > 0 ? { ...emailData, tags: verdict.tags } : emailData
+  };
+}
+
+/**
+ * Let other instances update their cached inbox of a registered user
+ * and push the email to the user's open dashboards (inbox WebSocket)
+ */
+function shareRegisteredEmail(userId, tempEmailId, emailData) {
+  broadcastInboxEvent('registered-email-received', { userId, tempEmailId, emailData });
+  publishUserEmail(userId, tempEmailId, emailData);
+}
+
+// Deliveries forwarded by other instances for inboxes held in this instance's memory
+// Their content was stored by the forwarding instance
+onForwardedDelivery(async ({ recipient, emailData }) => {
+  const result = await deliverToRecipient(recipient, emailData, [], null, { allowForward: false });
+  if (result.body.type !== 'api_email' || !result.body.success) {
+    await deleteApiMessageContent(emailData.id);
+  }
+  console.log(`Forwarded email for ${recipient}: ${result.body.message}`);
+});
+
+/**
+ * Get the domains we receive mail for
+ * @returns {Promise<Set|null>} - Lowercased domains, null when they can't be loaded
+ */
+async function getHostedDomains() {
+  if (hostedDomainsCache.domains && hostedDomainsCache.expiresAt > Date.now()) {
+    return hostedDomainsCache.domains;
+  }
+  
+  try {
+    const [rows] = await pool.query(
+      "SELECT domain FROM domains UNION SELECT domain FROM custom_domains WHERE status = 'verified'"
+    );
+    hostedDomainsCache = {
+      domains: new Set(rows.map(row => row.domain.toLowerCase())),
+      expiresAt: Date.now() + HOSTED_DOMAINS_TTL
+    };
+  } catch (error) {
+    console.error('Failed to load hosted domains:', error);
+  }
+  return hostedDomainsCache.domains;
+}
+
+/**
+ * Collect every recipient of a message: envelope first, then To, Cc and Bcc headers
+ * Header recipients on domains we don't host are skipped (the mailserver only posts ours)
+ * @param {string} envelope - Envelope recipient(s) from the mailserver (comma separated)
+ * @param {Array} headerRecipients - Addresses parsed from the headers
+ * @param {Set|null} hostedDomains - Domains we receive mail for, null keeps every header recipient
+ * @returns {Array} - Unique lowercased addresses
+ */
+function collectRecipients(envelope, headerRecipients, hostedDomains = null) {
+  const envelopeRecipients = (envelope || '')
+    .split(',')
+    .map(recipient => recipient.includes('<') ? (recipient.match(/<(.+)>/)?.[1] || '') : recipient);
+  
+  const hosted = headerRecipients.filter(recipient =>
+    !hostedDomains || hostedDomains.has(recipient.trim().toLowerCase().split('@')[1])
+  );
+  
+  const recipients = [];
+  for (const recipient of [...envelopeRecipients, ...hosted]) {
+    const address = recipient.trim().toLowerCase();
+    if (/^[^\s@]+@[^\s@]+$/.test(address) && !recipients.includes(address)) {
+      recipients.push(address);
+    }
+  }
+  return recipients;
+}
+
+/**
+ * Route name+tag@domain to the base inbox, unless the full address is an inbox itself
+ * @param {string} recipient - Recipient address
+ * @returns {Promise<object>} - { address, subaddress }
+ */
+async function resolveSubaddress(recipient) {
+  const { address, subaddress } = parseSubaddress(recipient);
+  if (!subaddress) {
+    return { address: recipient, subaddress: null };
+  }
+  
+  if (findApiUserByEmail(recipient) || await findGuestByEmail(recipient) ||
+      findRegisteredUserByEmail(recipient) || await findInboxInstance(recipient)) {
+    return { address: recipient, subaddress: null };
+  }
+  
+  const [tempEmails] = await pool.query(
+    'SELECT id FROM temp_emails WHERE email = ? AND expires_at > NOW()',
+    [recipient]
+  );
+  if (tempEmails.length > 0) {
+    return { address: recipient, subaddress: null };
+  }
+  
+  return { address, subaddress };
+}
+
+/**
+ * Copy of an email for one recipient (own email and attachment IDs)
+ */
+function copyForRecipient(emailData, attachments) {
+  const copiedAttachments = attachments.map(attachment => ({ ...attachment, id: uuidv4() }));
+  
+  return {
+    emailData: { ...emailData, id: uuidv4(), attachments: copiedAttachments.map(toAttachmentMetadata) },
+    attachments: copiedAttachments
+  };
+}
+
+/**
+ * Identity of a message for duplicate detection
+ * The Message-ID stays the same when the mailserver adds different trace headers to each
+ * envelope post; the raw source is only hashed when there is no Message-ID
+ * @returns {string|null}
+ */
+function messageIdentity(emailData, rawContent) {
+  const source = emailData.message_id ? `message-id:${emailData.message_id}` : rawContent;
+  return source ? crypto.createHash('sha256').update(source).digest('hex') : null;
+}
+
+/**
+ * Deliver a message to every recipient and build the per-recipient report
+ * Each matching inbox gets its own copy; a recipient already served for the same
+ * message (another envelope post of it) is reported as a duplicate
+ * @returns {Promise<object>} - { status, body } for the webhook response
+ */
+async function deliverToRecipients(recipients, rawContent, emailData, attachments, raw) {
+  const messageHash = messageIdentity(emailData, rawContent);
+  
+  const report = [];
+  for (const recipient of recipients) {
+    // Every recipient gets its own copy so nothing set for one inbox reaches another
+    const copy = copyForRecipient(emailData, attachments);
+    const dedupeKey = messageHash && `inbound-delivery:${messageHash}:${recipient}`;
+    
+    if (dedupeKey && !(await stateStore.setIfAbsent(dedupeKey, copy.emailData.id, DELIVERY_DEDUPE_WINDOW))) {
+      report.push({
+        recipient,
+        status: 200,
+        delivered: false,
+        duplicate: true,
+        message: 'Already delivered for this message'
+      });
+      continue;
+    }
+    
+    let result;
+    try {
+      // name+tag@domain goes to name@domain, the tag and full address stay on the message
+      const { address, subaddress } = await resolveSubaddress(recipient);
+      copy.emailData.subaddress = subaddress;
+      copy.emailData.delivered_to = subaddress ? recipient : null;
+      
+      result = await deliverToRecipient(address, copy.emailData, copy.attachments, raw);
+    } catch (error) {
+      console.error(`Delivery to ${recipient} failed:`, error);
+      result = { status: 500, body: { success: false, message: 'Failed to store email' } };
+    }
+    
+    // Failed deliveries can be retried by the mailserver
+    if (dedupeKey && result.status >= 300) {
+      await stateStore.delete(dedupeKey);
+    }
+    
+    report.push({
+      ...result.body,
+      recipient,
+      status: result.status,
+      delivered: result.status < 300 && !result.body.rejected
     });
+  }
+  
+  const delivered = report.filter(entry => entry.delivered);
+  
+  // Errors first, so the mailserver retries (delivered recipients are skipped as duplicates)
+  let status = 404;
+  if (report.some(entry => entry.status >= 500)) {
+    status = 500;
+  } else if (report.some(entry => entry.status < 300)) {
+    status = 200;
+  }
+  
+  // Single recipient: same body as before, plus the report
+  if (report.length === 1) {
+    return { status, body: { ...report[0], recipients: report } };
+  }
+  
+  return {
+    status,
+    body: {
+      success: status === 200,
+      message: `Email delivered to ${delivered.length} of ${report.length} recipients`,
+      emailId: delivered[0]?.emailId,
+      recipients: report
+    }
+  };
+}
+
+const router = express.Router();
+
+/**
+ * Webhook endpoint for receiving emails
+ * The message is delivered to every envelope, To, Cc and Bcc recipient we host,
+ * the response lists the outcome per recipient (recipients)
+ * Only signed requests from the mailserver are accepted (see middleware/inboundWebhookAuth.js)
+ * Routing priority is documented on deliverToRecipient: in-memory stores are
+ * checked first, which prevents database load for guest and frequent registered users
+ */
+router.post('/email/incoming', express.urlencoded({ extended: true, verify: storeRawBody }), verifyInboundWebhook, async (req, res) => {
+  console.log('Received webhook request');
+  console.log('Content-Type:', req.headers['content-type']);
+  
+  try {
+    const rawContent = req.body.body;
+    const parsedEmail = await parseEmailContent(rawContent);
+    
+    // Extract and clean email data
+    const senderEmail = extractSenderEmail(req.body.sender || parsedEmail.from);
+    const senderName = extractSenderName(req.body.sender || parsedEmail.from);
+    const cleanedSubject = cleanSubject(parsedEmail.subject);
+    
+    // Every envelope and header recipient, each matching inbox gets a copy
+    const recipients = collectRecipients(req.body.recipient, parsedEmail.recipients, await getHostedDomains());
+    if (recipients.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'No recipient found in the request or message headers'
+      });
+    }
+    
+    // Attachments are stored separately, messages only carry their metadata
+    const attachments = prepareAttachments(parsedEmail.attachments);
+    
+    // Raw MIME source (capped), served as .eml and parsed headers
+    const raw = prepareRawMessage(rawContent);
+    
+    const emailData = {
+      id: uuidv4(),
+      from_email: senderEmail,
+      from_name: senderName,
+      subject: cleanedSubject,
+      body_html: parsedEmail.html || '',
+      body_text: parsedEmail.text || '',
+      received_at: new Date().toISOString(),
+      // Threading headers, used when replying from the temp address
+      message_id: parsedEmail.messageId,
+      references: Array.isArray(parsedEmail.references)
+        ? parsedEmail.references.join(' ')
+        : parsedEmail.references,
+      is_spam: false,
+      attachments: attachments.map(toAttachmentMetadata)
+    };
+    
+    // Local spam/phishing scoring (headers, sender reputation, links, keywords)
+    const spamResult = await scoreInboundEmail(emailData, parsedEmail.headers);
+    emailData.is_spam = spamResult.is_spam;
+    emailData.spam_score = spamResult.score;
+    emailData.spam_verdict = spamResult.verdict;
+    emailData.spam_reasons = spamResult.reasons;
+    if (spamResult.verdict !== 'clean') {
+      console.log(`Spam scoring for ${recipients.join(', ')}: ${spamResult.verdict} (${spamResult.score})`);
+    }
+    
+    // OTP codes and confirmation/magic links, returned as extracted.codes / extracted.links
+    emailData.extracted = extractVerificationData(emailData);
+    
+    const result = await deliverToRecipients(recipients, rawContent, emailData, attachments, raw);
+    return res.status(result.status).json(result.body);
   } catch (error) {
     console.error('Webhook error:', error);
     res.status(500).json({ 
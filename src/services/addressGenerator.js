@@ -0,0 +1,121 @@
+// addressGenerator.js - Local parts of new API inbox addresses
+// Addresses are built from local_part, prefix or pattern and checked against the
+// stores that hold addresses; random local parts are retried when taken
+
+/**
+ * Generate random string for email local part
+ */
+const generateRandomString = (length = 8) => {
+  const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return result;
+};
+
+// Placeholders allowed in address patterns, e.g. qa-{run}-{rand6}
+// {rand} / {randN}: random characters (8 or N, max 32), {run}: the run option, {date}: YYYYMMDD
+const PATTERN_PLACEHOLDER = /\{(rand(\d{1,2})?|run|date)\}/g;
+
+// Valid local part: letters, digits, dots, dashes and underscores, no leading/trailing separator
+const LOCAL_PART_REGEX = /^[a-z0-9](?:[a-z0-9._-]{0,62}[a-z0-9])?$/;
+
+// Attempts to find a free address when the local part is (partly) random
+const MAX_ADDRESS_ATTEMPTS = 5;
+
+/**
+ * Build a local part generator from the create options
+ * Only one of local_part, prefix or pattern can be used
+ * @param {object} options - { local_part, prefix, pattern, run }
+ * @returns {object} - { generate, isRandom } or { error }
+ */
+export const buildLocalPartGenerator = ({ local_part, prefix, pattern, run } = {}) => {
+  const given = [local_part, prefix, pattern].filter(value => value !== undefined && value !== null && value !== '');
+  if (given.length > 1) {
+    return { error: 'Use only one of local_part, prefix or pattern' };
+  }
+
+  if (run !== undefined && (typeof run !== 'string' || !/^[a-zA-Z0-9._-]{1,32}$/.test(run))) {
+    return { error: 'run must be 1-32 letters, digits or . _ -' };
+  }
+
+  let template;
+  if (local_part) {
+    template = String(local_part).replace(/[{}]/g, '');
+  } else if (prefix) {
+    template = `${prefix}{rand}`;
+  } else if (pattern) {
+    template = String(pattern);
+    if (template.includes('{run}') && !run) {
+      return { error: 'pattern uses {run} but no run value was given' };
+    }
+  } else {
+    template = '{rand}';
+  }
+
+  const generate = () => template.replace(PATTERN_PLACEHOLDER, (match, name, length) => {
+    if (name === 'run') return run;
+    if (name === 'date') return new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return generateRandomString(Math.min(parseInt(length || '8'), 32));
+  }).toLowerCase();
+
+  // Every expansion has the same length and character classes, so one sample validates the template
+  const sample = generate();
+  if (!LOCAL_PART_REGEX.test(sample) || sample.includes('..') || /[{}]/.test(sample)) {
+    return { error: 'Address must be 1-64 letters, digits, dots, dashes or underscores and start and end with a letter or digit' };
+  }
+
+  return { generate, isRandom: /\{rand\d*\}/.test(template) };
+};
+
+/**
+ * Create the address picker over the stores that hold addresses
+ * @param {Array<Function>} inUseChecks - async (address) => true when a store holds the address
+ * @returns {object} - { isAddressAvailable, reserveAddress, releaseAddress }
+ */
+export const createAddressReserver = (inUseChecks) => {
+  // Addresses picked by requests that are still being created
+  const pendingAddresses = new Set();
+
+  /**
+   * Check if an address is free in every store
+   */
+  const isAddressAvailable = async (address) => {
+    if (pendingAddresses.has(address)) {
+      return false;
+    }
+
+    for (const isInUse of inUseChecks) {
+      if (await isInUse(address)) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  /**
+   * Pick a free address on a domain and hold it until the inbox is indexed
+   * @returns {Promise<string>} - The address (call releaseAddress when done)
+   * @throws {Error} ADDRESS_IN_USE
+   */
+  const reserveAddress = async (generator, domain) => {
+    const attempts = generator.isRandom ? MAX_ADDRESS_ATTEMPTS : 1;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const address = `${generator.generate()}@${domain}`;
+      if (await isAddressAvailable(address)) {
+        pendingAddresses.add(address);
+        return address;
+      }
+    }
+
+    throw new Error('ADDRESS_IN_USE');
+  };
+
+  const releaseAddress = (address) => {
+    pendingAddresses.delete(address);
+  };
+
+  return { isAddressAvailable, reserveAddress, releaseAddress };
+};
@@ -0,0 +1,108 @@
+// apiEmailLifetime.js - Lifetime changes of API inboxes (extend, renew, shorten, auto-extend)
+// An extension pays the credit difference with what the inbox already paid, shortening never
+// refunds. Changes to one inbox run one at a time so concurrent extensions each pay their own part.
+import { calculateCreditCost, calculateLifetimeCreditCost } from './billing/creditPricing.js';
+
+// Lifetime of each time tier (also the renewal window of auto-extending inboxes)
+export const TIME_TIER_DURATIONS = {
+  '10min': 10 * 60 * 1000,
+  '1hour': 60 * 60 * 1000,
+  '1day': 24 * 60 * 60 * 1000
+};
+
+// Longest lifetime an API inbox can be extended to (from creation)
+export const MAX_API_EMAIL_LIFETIME = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Create the lifetime manager of the API inboxes
+ * @param {object} options
+ * @param {Function} options.chargeExtension - async (userId, credits, userTier) => { creditCharged, remainingBalance },
+ *   throws INSUFFICIENT_CREDITS
+ * @param {Function} options.scheduleExpiry - (email) => void, called when the expiry of an inbox moved
+ * @param {Function} options.persistEmail - (email) => void
+ * @returns {object} - { setApiEmailExpiry, autoExtendApiEmail }
+ */
+export const createLifetimeManager = ({ chargeExtension, scheduleExpiry, persistEmail }) => {
+  // Lifetime changes in progress per API email
+  const expiryQueues = new Map(); // { emailId: Promise }
+
+  /**
+   * Move the expiry of an API email, charging the credit difference
+   * @param {object} email - Email data (from the store)
+   * @param {Date} expiresAt - New expiry
+   * @param {string} userTier - User subscription tier
+   * @returns {Promise<object>} - { creditCharged, remainingBalance }
+   */
+  const applyApiEmailExpiry = async (email, expiresAt, userTier) => {
+    if (expiresAt.getTime() - email.createdAt.getTime() > MAX_API_EMAIL_LIFETIME) {
+      throw new Error('LIFETIME_TOO_LONG');
+    }
+
+    const creditsPaid = email.creditsPaid ?? calculateCreditCost(email.timeTier);
+    const creditCost = calculateLifetimeCreditCost(expiresAt.getTime() - email.createdAt.getTime());
+    const difference = creditCost - creditsPaid;
+
+    let usageResult = null;
+    if (difference > 0) {
+      // Throws INSUFFICIENT_CREDITS
+      usageResult = await chargeExtension(email.userId, difference, userTier);
+      email.creditsPaid = creditCost;
+    } else {
+      email.creditsPaid = creditsPaid;
+    }
+
+    email.expiresAt = expiresAt;
+    scheduleExpiry(email);
+    persistEmail(email);
+
+    return {
+      creditCharged: usageResult ? usageResult.creditCharged : 0,
+      remainingBalance: usageResult ? usageResult.remainingBalance : null
+    };
+  };
+
+  /**
+   * Queue a lifetime change behind the ones already running for the same email,
+   * so concurrent extensions (PATCH calls, auto-extends) each pay only their own difference
+   */
+  const setApiEmailExpiry = (email, expiresAt, userTier) => {
+    const previous = expiryQueues.get(email.id) || Promise.resolve();
+    const change = previous
+      .catch(() => {})
+      .then(() => applyApiEmailExpiry(email, expiresAt, userTier));
+
+    expiryQueues.set(email.id, change);
+    change.catch(() => {}).finally(() => {
+      if (expiryQueues.get(email.id) === change) {
+        expiryQueues.delete(email.id);
+      }
+    });
+
+    return change;
+  };
+
+  /**
+   * Renew an auto-extending inbox when a message arrives
+   * Keeps at least one tier duration of lifetime left; stops auto-extending when
+   * the inbox can't be charged or reached its maximum lifetime
+   * @returns {Promise<void>} - Settles once the renewal is done
+   */
+  const autoExtendApiEmail = async (email) => {
+    const renewal = TIME_TIER_DURATIONS[email.timeTier] || TIME_TIER_DURATIONS['10min'];
+    const maxExpiry = email.createdAt.getTime() + MAX_API_EMAIL_LIFETIME;
+    const expiresAt = new Date(Math.min(Date.now() + renewal, maxExpiry));
+
+    if (expiresAt <= email.expiresAt) return;
+
+    try {
+      const billing = await setApiEmailExpiry(email, expiresAt, email.userTier || 'free');
+      console.log(`Auto-extended API email ${email.email} to ${expiresAt.toISOString()}, charged ${billing.creditCharged} credits`);
+    } catch (error) {
+      console.error(`Failed to auto-extend API email ${email.email}:`, error.message);
+      email.autoExtendOnMessage = false;
+      persistEmail(email);
+    }
+  };
+
+  return { setApiEmailExpiry, autoExtendApiEmail };
+};
@@ -0,0 +1,293 @@
+// apiEmailStorage.js - Storage backends for API inboxes
+// apiMemoryStore.js keeps serving reads from its Maps and writes through to one of these
+// Backend is selected with API_EMAIL_STORE ('mysql' default, 'memory' for process-only storage)
+// Messages hold metadata only, attachment and raw content is stored on its own and
+// read back on download
+import { pool } from '../db/init.js';
+import { toAttachmentMetadata } from './attachmentService.js';
+
+// Messages kept per inbox (same as the in-memory limit)
+const MAX_MESSAGES_PER_EMAIL = 50;
+
+// Tables holding message content (both keyed by message_id)
+const CONTENT_TABLES = ['api_email_attachments', 'api_email_raw'];
+
+// Content whose message was never stored (e.g. the instance crashed in between) is removed after this
+const ORPHANED_CONTENT_AGE = '1 HOUR';
+
+/**
+ * Split email data into the stored record (messages are stored separately)
+ */
+const serializeEmail = (emailData) => {
+  const { messages, billing, ...record } = emailData;
+  return JSON.stringify(record);
+};
+
+/**
+ * Rebuild email data from a stored record
+ */
+const deserializeEmail = (data, messages = []) => {
+  const record = JSON.parse(data);
+  return {
+    ...record,
+    createdAt: new Date(record.createdAt),
+    expiresAt: new Date(record.expiresAt),
+    messages
+  };
+};
+
+/**
+ * Drop content from a stored message (messages saved before content was stored on its own carried it)
+ */
+const toMessageMetadata = ({ raw, ...message }) => ({
+  ...message,
+  attachments: (message.attachments || []).map(toAttachmentMetadata)
+});
+
+/**
+ * Delete the content of the messages matched by a join/where clause over the content tables (alias c)
+ */
+const deleteContent = async (db, clause, params) => {
+  for (const table of CONTENT_TABLES) {
+    await db.query(`DELETE c FROM ${table} c ${clause}`, params);
+  }
+};
+
+/**
+ * Process-only storage: the Maps in apiMemoryStore.js are the only copy of the inboxes,
+ * message content is kept here. Everything is lost on restart, and content can only be
+ * downloaded from the instance that received the mail
+ */
+export const createMemoryStorage = () => {
+  const contents = new Map(); // { messageId: { attachments, raw } }
+  const messageIds = new Map(); // { emailId: [messageIds, newest first] }
+
+  return {
+    name: 'memory',
+    saveEmail: async () => {},
+
+    saveMessage: async (emailId, message) => {
+      const ids = [message.id, ...(messageIds.get(emailId) || [])];
+      ids.slice(MAX_MESSAGES_PER_EMAIL).forEach(id => contents.delete(id));
+      messageIds.set(emailId, ids.slice(0, MAX_MESSAGES_PER_EMAIL));
+    },
+
+    saveMessageContent: async (messageId, { attachments = [], raw = null }) => {
+      contents.set(messageId, { attachments, raw });
+    },
+
+    getMessageAttachment: async (messageId, attachmentId) =>
+      contents.get(messageId)?.attachments.find(attachment => attachment.id === attachmentId) || null,
+
+    getMessageRaw: async (messageId) => contents.get(messageId)?.raw || null,
+
+    deleteMessageContent: async (messageId) => {
+      contents.delete(messageId);
+    },
+
+    deleteEmail: async (emailId) => {
+      (messageIds.get(emailId) || []).forEach(id => contents.delete(id));
+      messageIds.delete(emailId);
+    },
+
+    deleteExpired: async () => 0,
+    loadActiveEmails: async () => [],
+    isAddressInUse: async () => false
+  };
+};
+
+/**
+ * MySQL storage: survives deploys and crashes
+ * @param {object} db - mysql2 pool
+ */
+export const createMysqlStorage = (db = pool) => ({
+  name: 'mysql',
+
+  /**
+   * Insert or update an inbox (messages excluded)
+   */
+  saveEmail: async (emailData) => {
+    await db.query(`
+      INSERT INTO api_emails (id, user_id, email, data, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        email = VALUES(email),
+        data = VALUES(data),
+        expires_at = VALUES(expires_at)
+    `, [
+      emailData.id,
+      emailData.userId,
+      emailData.email,
+      serializeEmail(emailData),
+      emailData.createdAt,
+      emailData.expiresAt
+    ]);
+  },
+
+  /**
+   * Store a received message (metadata only), trimming the inbox to the newest messages
+   */
+  saveMessage: async (emailId, message) => {
+    await db.query(
+      'INSERT INTO api_email_messages (id, api_email_id, message, received_at) VALUES (?, ?, ?, ?)',
+      [message.id, emailId, JSON.stringify(message), new Date(message.received_at)]
+    );
+
+    // OFFSET needs a LIMIT in MySQL, this one means "all rows"
+    const [trimmed] = await db.query(`
+      SELECT id FROM api_email_messages
+      WHERE api_email_id = ?
+      ORDER BY received_at DESC
+      LIMIT ?, 18446744073709551615
+    `, [emailId, MAX_MESSAGES_PER_EMAIL]);
+
+    if (trimmed.length > 0) {
+      const ids = trimmed.map(row => row.id);
+      await deleteContent(db, 'WHERE c.message_id IN (?)', [ids]);
+      await db.query('DELETE FROM api_email_messages WHERE id IN (?)', [ids]);
+    }
+  },
+
+  /**
+   * Store the attachments and raw source of a message
+   * @param {string} messageId - Message ID
+   * @param {object} content - { attachments: records from prepareAttachments, raw: record from prepareRawMessage }
+   */
+  saveMessageContent: async (messageId, { attachments = [], raw = null }) => {
+    for (const attachment of attachments) {
+      await db.query(
+        'INSERT INTO api_email_attachments (id, message_id, filename, content_type, size, content) VALUES (?, ?, ?, ?, ?, ?)',
+        [attachment.id, messageId, attachment.filename, attachment.content_type, attachment.size, attachment.content]
+      );
+    }
+
+    if (raw) {
+      await db.query(
+        'INSERT INTO api_email_raw (message_id, content, size, truncated) VALUES (?, ?, ?, ?)',
+        [messageId, Buffer.from(raw.content, 'base64'), raw.size, raw.truncated]
+      );
+    }
+  },
+
+  /**
+   * Load an attachment of a message
+   * @returns {Promise<object|null>} - Attachment record (base64 content) or null if not found
+   */
+  getMessageAttachment: async (messageId, attachmentId) => {
+    const [rows] = await db.query(
+      'SELECT id, filename, content_type, size, content FROM api_email_attachments WHERE id = ? AND message_id = ?',
+      [attachmentId, messageId]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Load the raw source of a message
+   * @returns {Promise<object|null>} - Raw record or null if not found
+   */
+  getMessageRaw: async (messageId) => {
+    const [rows] = await db.query(
+      'SELECT content, size, truncated FROM api_email_raw WHERE message_id = ?',
+      [messageId]
+    );
+
+    if (rows.length === 0) return null;
+
+    return {
+      content: rows[0].content.toString('base64'),
+      size: rows[0].size,
+      truncated: !!rows[0].truncated
+    };
+  },
+
+  /**
+   * Remove the content of a message that wasn't delivered
+   */
+  deleteMessageContent: async (messageId) => {
+    await deleteContent(db, 'WHERE c.message_id = ?', [messageId]);
+  },
+
+  /**
+   * Remove an inbox, its messages and their content
+   */
+  deleteEmail: async (emailId) => {
+    await deleteContent(db, 'JOIN api_email_messages m ON c.message_id = m.id WHERE m.api_email_id = ?', [emailId]);
+    await db.query('DELETE FROM api_emails WHERE id = ?', [emailId]);
+  },
+
+  /**
+   * Remove every expired inbox, and content left without a message
+   * @returns {Promise<number>} - Number of removed inboxes
+   */
+  deleteExpired: async () => {
+    await deleteContent(db, `
+      JOIN api_email_messages m ON c.message_id = m.id
+      JOIN api_emails e ON m.api_email_id = e.id
+      WHERE e.expires_at <= NOW()
+    `, []);
+    await deleteContent(db, `
+      LEFT JOIN api_email_messages m ON c.message_id = m.id
+      WHERE m.id IS NULL AND c.created_at < NOW() - INTERVAL ${ORPHANED_CONTENT_AGE}
+    `, []);
+
+    const [result] = await db.query('DELETE FROM api_emails WHERE expires_at <= NOW()');
+    return result.affectedRows;
+  },
+
+  /**
+   * Check if an active inbox uses an address (inboxes of every instance)
+   * @returns {Promise<boolean>}
+   */
+  isAddressInUse: async (address) => {
+    const [emails] = await db.query(
+      'SELECT id FROM api_emails WHERE email = ? AND expires_at > NOW() LIMIT 1',
+      [address]
+    );
+    return emails.length > 0;
+  },
+
+  /**
+   * Load every inbox that hasn't expired yet, with messages newest first
+   * @returns {Promise<Array>} - Email data objects
+   */
+  loadActiveEmails: async () => {
+    const [emails] = await db.query(
+      'SELECT id, data FROM api_emails WHERE expires_at > NOW()'
+    );
+
+    if (emails.length === 0) return [];
+
+    const [messages] = await db.query(`
+      SELECT m.api_email_id, m.message
+      FROM api_email_messages m
+      JOIN api_emails e ON m.api_email_id = e.id
+      WHERE e.expires_at > NOW()
+      ORDER BY m.received_at DESC
+    `);
+
+    const messagesByEmail = new Map();
+    for (const row of messages) {
+      if (!messagesByEmail.has(row.api_email_id)) {
+        messagesByEmail.set(row.api_email_id, []);
+      }
+      messagesByEmail.get(row.api_email_id).push(toMessageMetadata(JSON.parse(row.message)));
+    }
+
+    return emails.map(row => deserializeEmail(row.data, messagesByEmail.get(row.id) || []));
+  }
+});
+
+/**
+ * Create the storage backend configured by API_EMAIL_STORE
+ */
+export const createApiEmailStorage = (type = process.env.API_EMAIL_STORE || 'mysql') => {
+  switch (type) {
+    case 'memory':
+      return createMemoryStorage();
+    case 'mysql':
+      return createMysqlStorage();
+    default:
+      console.warn(`Unknown API_EMAIL_STORE "${type}", falling back to mysql`);
+      return createMysqlStorage();
+  }
+};
@@ -0,0 +1,232 @@
+// apiKeys.js - Named, scoped, expiring API keys (many per account)
+// Only a SHA-256 hash of each key is stored; the key itself is shown once at creation
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import stateStore from './sharedState.js';
+
+// Scopes a key can be granted (webhooks:manage adds, removes and tests webhooks, and reads or rotates their signing secret;
+// inbox:configure adds, changes and removes the filtering rules of inboxes)
+export const API_KEY_SCOPES = ['emails:create', 'emails:read', 'emails:delete', 'account:read', 'webhooks:manage', 'inbox:configure'];
+
+// Maximum active keys per user
+export const MAX_API_KEYS_PER_USER = 25;
+
+// Name given to keys created by the legacy single-key endpoints
+export const DEFAULT_KEY_NAME = 'Default key';
+
+// Smart caching for key lookups (by hash)
+const keyCache = new Map(); // { keyHash: { key, expiresAt } }
+const KEY_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+// last_used_at is written at most once a minute per key
+const LAST_USED_WRITE_INTERVAL = 60 * 1000;
+const lastUsedWrites = new Map(); // { keyId: timestamp }
+
+// Revocations are broadcast so every instance drops the key from its cache
+const REVOKED_CHANNEL = 'api-key-revoked';
+
+stateStore.subscribe(REVOKED_CHANNEL, ({ keyHashes }) => {
+  for (const keyHash of keyHashes || []) {
+    keyCache.delete(keyHash);
+  }
+});
+
+// Clean expired cache entries periodically
+setInterval(() => {
+  const now = Date.now();
+  for (const [keyHash, value] of keyCache.entries()) {
+    if (value.expiresAt <= now) {
+      keyCache.delete(keyHash);
+    }
+  }
+}, 5 * 60 * 1000).unref();
+
+/**
+ * Hash an API key for storage and lookup
+ */
+export const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+/**
+ * Prefix shown in dashboards to tell keys apart
+ */
+export const keyPrefix = (apiKey) => apiKey.substring(0, 12);
+
+/**
+ * Format a key row for responses (never includes the hash)
+ */
+export const formatApiKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  key_prefix: row.key_prefix + '...',
+  scopes: typeof row.scopes === 'string' ? JSON.parse(row.scopes) : row.scopes,
+  expires_at: row.expires_at,
+  last_used_at: row.last_used_at,
+  created_at: row.created_at,
+  is_expired: !!row.expires_at && new Date(row.expires_at) <= new Date()
+});
+
+/**
+ * Validate key creation input
+ * @param {object} input - { name, scopes, expires_at, expires_in_days }
+ * @returns {object} - { key: { name, scopes, expiresAt } } or { error }
+ */
+export const validateApiKeyInput = (input = {}) => {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > 100) {
+    return { error: 'name must be 1-100 characters' };
+  }
+
+  const scopes = input.scopes === undefined ? API_KEY_SCOPES : input.scopes;
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+    return { error: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}` };
+  }
+
+  let expiresAt = null;
+  if (input.expires_at) {
+    expiresAt = new Date(input.expires_at);
+    if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      return { error: 'expires_at must be a future ISO 8601 date' };
+    }
+  } else if (input.expires_in_days !== undefined) {
+    const days = parseInt(input.expires_in_days);
+    if (!days || days < 1 || days > 3650) {
+      return { error: 'expires_in_days must be between 1 and 3650' };
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  return { key: { name, scopes: [...new Set(scopes)], expiresAt } };
+};
+
+/**
+ * Create a key
+ * @returns {Promise<object>} - { apiKey, record } (apiKey is only available here)
+ */
+export const createApiKey = async (userId, { name, scopes = API_KEY_SCOPES, expiresAt = null }) => {
+  const [countResult] = await pool.query(
+    'SELECT COUNT(*) as total FROM api_keys WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+
+  if (countResult[0].total >= MAX_API_KEYS_PER_USER) {
+    throw new Error('API_KEY_LIMIT_EXCEEDED');
+  }
+
+  const apiKey = 'api_' + crypto.randomBytes(32).toString('hex');
+  const record = {
+    id: uuidv4(),
+    user_id: userId,
+    name,
+    key_prefix: keyPrefix(apiKey),
+    scopes,
+    expires_at: expiresAt,
+    last_used_at: null,
+    created_at: new Date()
+  };
+
+  await pool.query(`
+    INSERT INTO api_keys (id, user_id, name, key_hash, key_prefix, scopes, expires_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [record.id, userId, name, hashApiKey(apiKey), record.key_prefix, JSON.stringify(scopes), expiresAt, record.created_at]);
+
+  return { apiKey, record };
+};
+
+/**
+ * List active (not revoked) keys of a user
+ */
+export const listApiKeys = async (userId) => {
+  const [keys] = await pool.query(`
+    SELECT id, name, key_prefix, scopes, expires_at, last_used_at, created_at
+    FROM api_keys
+    WHERE user_id = ? AND revoked_at IS NULL
+    ORDER BY created_at DESC
+  `, [userId]);
+  return keys;
+};
+
+/**
+ * Revoke keys and drop them from every instance's cache
+ * @param {string} userId - Owner
+ * @param {object} filter - { keyId } or { name }, all keys of the user when empty
+ * @returns {Promise<number>} - Number of revoked keys
+ */
+export const revokeApiKeys = async (userId, { keyId = null, name = null } = {}) => {
+  const conditions = ['user_id = ?', 'revoked_at IS NULL'];
+  const params = [userId];
+
+  if (keyId) {
+    conditions.push('id = ?');
+    params.push(keyId);
+  }
+  if (name) {
+    conditions.push('name = ?');
+    params.push(name);
+  }
+
+  const [keys] = await pool.query(
+    `SELECT id, key_hash FROM api_keys WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+
+  if (keys.length === 0) return 0;
+
+  await pool.query('UPDATE api_keys SET revoked_at = NOW() WHERE id IN (?)', [keys.map(key => key.id)]);
+
+  const keyHashes = keys.map(key => key.key_hash);
+  for (const keyHash of keyHashes) {
+    keyCache.delete(keyHash);
+  }
+  stateStore.publish(REVOKED_CHANNEL, { keyHashes }).catch(error =>
+    console.error('Failed to broadcast API key revocation:', error)
+  );
+
+  return keys.length;
+};
+
+/**
+ * Find an active key by its plaintext value (cached)
+ * @returns {Promise<object|null>} - Key row joined with its user, or null
+ */
+export const findApiKey = async (apiKey) => {
+  const keyHash = hashApiKey(apiKey);
+
+  const cached = keyCache.get(keyHash);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.key;
+  }
+
+  const [keys] = await pool.query(`
+    SELECT
+      k.id, k.user_id, k.name, k.key_prefix, k.scopes, k.expires_at,
+      u.email as user_email,
+      u.premium_tier,
+      u.created_at as user_created_at
+    FROM api_keys k
+    JOIN users u ON k.user_id = u.id
+    WHERE k.key_hash = ? AND k.revoked_at IS NULL
+  `, [keyHash]);
+
+  if (keys.length === 0) return null;
+
+  const key = {
+    ...keys[0],
+    scopes: typeof keys[0].scopes === 'string' ? JSON.parse(keys[0].scopes) : keys[0].scopes
+  };
+  keyCache.set(keyHash, { key, expiresAt: Date.now() + KEY_CACHE_TTL });
+  return key;
+};
+
+/**
+ * Record that a key was used (throttled, fire-and-forget)
+ */
+export const touchApiKey = (keyId) => {
+  const now = Date.now();
+  if (now - (lastUsedWrites.get(keyId) || 0) < LAST_USED_WRITE_INTERVAL) return;
+
+  lastUsedWrites.set(keyId, now);
+  pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = ?', [keyId]).catch(error =>
+    console.error('Failed to update API key last use:', error)
+  );
+};
@@ -3,6 +3,15 @@
 import { v4 as uuidv4 } from 'uuid';
 import { pool } from '../db/init.js';
 import usageTracker from './billing/usageTracker.js';
+import { toAttachmentMetadata } from './attachmentService.js';
+import { dispatchMessageWebhooks } from './webhookDispatcher.js';
+import { extractVerificationData } from '../utils/codeExtractor.js';
+import { createApiEmailStorage } from './apiEmailStorage.js';
+import { claimInboxAddress, releaseInboxAddress, broadcastInboxEvent, onInboxEvent } from './inboxRouter.js';
+import { deleteAllInboxRules } from './inboxRules.js';
+import { isEmailAddressInUse } from '../guestSessionHandler.js';
+import { buildLocalPartGenerator, createAddressReserver } from './addressGenerator.js';
+import { createLifetimeManager } from './apiEmailLifetime.js';
 
 // In-memory storage for API emails (similar to guest system)
 export const apiEmailStore = new Map(); // { emailId: emailData }
@@ -12,6 +21,18 @@ export const usageCounters = new Map(); // { userId-date: usage }
 // Email address to API user lookup (for webhook handling)
 export const emailToApiUserMap = new Map(); // { email: { userId, emailId } }
 
+// Pending long-poll requests waiting for a message
+const messageWaiters = new Map(); // { emailId: Set(waiter) }
+
+// Expiry timers, so they can be re-armed after a restart or a change of expiry
+const expiryTimers = new Map(); // { emailId: timeout }
+
+// Open event streams (SSE) per email
+const eventListeners = new Map(); // { emailId: Set(listener) }
+
+// Durable backend behind the Maps (API_EMAIL_STORE)
+const storage = createApiEmailStorage();
+
 // FREE tier limits
 const FREE_LIMITS = {
   '10min': { daily: 20 },
@@ -31,17 +52,19 @@ const domainsCache = {
 
 const userDomainsCache = new Map(); // { userId: { domains: [], expiresAt } }
 
-/**
- * Generate random string for email local part
- */
-const generateRandomString = (length = 8) => {
-  const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-};
+// Free addresses: not an API inbox (this and other instances, durable storage),
+// guest session or registered temp email
+const addressReserver = createAddressReserver([
+  address => emailToApiUserMap.has(address),
+  // Guest sessions and inboxes held by other instances
+  isEmailAddressInUse,
+  // isEmailAddressInUse skips the database for random-looking addresses, chosen ones are always checked
+  async (address) => {
+    const [emails] = await pool.query('SELECT id FROM temp_emails WHERE email = ? LIMIT 1', [address]);
+    return emails.length > 0;
+  },
+  address => storage.isAddressInUse(address)
+]);
 
 /**
  * Get random domain from available domains (with caching)
@@ -138,124 +161,351 @@ const validateUserDomain = async (userId, domain) => {
   }
 };
 
+/**
+ * Write an email through to the storage backend (errors are logged, memory stays authoritative)
+ */
+const persistEmail = (emailData) => {
+  storage.saveEmail(emailData).catch(error =>
+    console.error(`Failed to persist API email ${emailData.email}:`, error)
+  );
+};
+
+/**
+ * Add an email to the in-memory indices
+ */
+const indexApiEmail = (emailData) => {
+  apiEmailStore.set(emailData.id, emailData);
+
+  if (!userApiEmailIndex.has(emailData.userId)) {
+    userApiEmailIndex.set(emailData.userId, new Set());
+  }
+  userApiEmailIndex.get(emailData.userId).add(emailData.id);
+
+  emailToApiUserMap.set(emailData.email, { userId: emailData.userId, emailId: emailData.id });
+  
+  // Let other instances forward mail for this address here
+  claimInboxAddress(emailData.email, emailData.expiresAt.getTime() - Date.now());
+};
+
+/**
+ * Send an event to the streams of an email opened on this instance
+ */
+const notifyApiEmailListeners = (emailId, event, data) => {
+  for (const listener of eventListeners.get(emailId) || []) {
+    try {
+      listener(event, data);
+    } catch (error) {
+      console.error(`API email event listener failed for ${emailId}:`, error);
+    }
+  }
+};
+
+/**
+ * Send an event to the open streams of an email, on this and the other instances
+ * @param {string} emailId - API email ID
+ * @param {string} event - 'message' or 'expired'
+ * @param {object} data - Event payload
+ */
+const emitApiEmailEvent = (emailId, event, data) => {
+  notifyApiEmailListeners(emailId, event, data);
+  broadcastInboxEvent('api-email-event', { emailId, event, data });
+};
+
+// Events of emails delivered on other instances, for streams opened here
+onInboxEvent('api-email-event', ({ emailId, event, data }) => {
+  notifyApiEmailListeners(emailId, event, data);
+});
+
+/**
+ * Listen to the events of an email (new messages, expiry)
+ * @param {string} emailId - API email ID
+ * @param {Function} listener - (event, data) => void
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeApiEmailEvents = (emailId, listener) => {
+  if (!eventListeners.has(emailId)) {
+    eventListeners.set(emailId, new Set());
+  }
+  eventListeners.get(emailId).add(listener);
+
+  return () => {
+    const listeners = eventListeners.get(emailId);
+    listeners?.delete(listener);
+    if (listeners && listeners.size === 0) {
+      eventListeners.delete(emailId);
+    }
+  };
+};
+
+/**
+ * Remove an email from all maps, its timer and the storage backend
+ * @param {string} emailId - API email ID
+ * @param {string} reason - 'expired' or 'deleted', sent to open streams
+ */
+const removeApiEmail = (emailId, reason = 'expired') => {
+  const email = apiEmailStore.get(emailId);
+  if (!email) return null;
+
+  emitApiEmailEvent(emailId, 'expired', {
+    id: emailId,
+    address: email.email,
+    reason,
+    expired_at: new Date().toISOString()
+  });
+  eventListeners.delete(emailId);
+
+  apiEmailStore.delete(emailId);
+  userApiEmailIndex.get(email.userId)?.delete(emailId);
+  emailToApiUserMap.delete(email.email);
+  releaseInboxAddress(email.email);
+
+  clearTimeout(expiryTimers.get(emailId));
+  expiryTimers.delete(emailId);
+
+  storage.deleteEmail(emailId).catch(error =>
+    console.error(`Failed to delete stored API email ${email.email}:`, error)
+  );
+  deleteAllInboxRules(emailId).catch(error =>
+    console.error(`Failed to delete inbox rules of API email ${email.email}:`, error)
+  );
+
+  return email;
+};
+
 /**
  * Schedule automatic cleanup for expired email
  */
 const scheduleEmailCleanup = (emailId, expiresAt) => {
+  clearTimeout(expiryTimers.get(emailId));
+  expiryTimers.delete(emailId);
+
   const delay = expiresAt.getTime() - Date.now();
   
   if (delay > 0) {
-    setTimeout(() => {
-      const email = apiEmailStore.get(emailId);
+    // setTimeout overflows above ~24.8 days, the hourly cleanup covers longer expiries
+    expiryTimers.set(emailId, setTimeout(() => {
+      expiryTimers.delete(emailId);
+      const email = removeApiEmail(emailId);
       if (email) {
-        // Remove from all maps
-        apiEmailStore.delete(emailId);
-        userApiEmailIndex.get(email.userId)?.delete(emailId);
-        emailToApiUserMap.delete(email.email);
-        
         console.log(`API email ${email.email} automatically expired and cleaned up`);
       }
-    }, delay);
+    }, Math.min(delay, 2147483647)));
   }
 };
 
+// Largest number of inboxes created by one batch request
+export const MAX_BATCH_SIZE = 100;
+
+// Tags per inbox, used to find and delete inboxes in bulk
+const MAX_TAGS_PER_EMAIL = 10;
+const TAG_REGEX = /^[a-zA-Z0-9_.:-]{1,50}$/;
+
 /**
- * Create new API email
+ * Validate inbox tags (array or comma separated string)
+ * @returns {object} - { tags } or { error }
  */
-export const createApiEmail = async (
+export const validateEmailTags = (input) => {
+  if (input === undefined || input === null || input === '') {
+    return { tags: [] };
+  }
+
+  const tags = Array.isArray(input) ? input : String(input).split(',').map(tag => tag.trim()).filter(Boolean);
+  if (tags.length > MAX_TAGS_PER_EMAIL || !tags.every(tag => typeof tag === 'string' && TAG_REGEX.test(tag))) {
+    return { error: `tags must be at most ${MAX_TAGS_PER_EMAIL} values of 1-50 letters, digits or _ . : -` };
+  }
+
+  return { tags: [...new Set(tags)] };
+};
+
+// Free-form metadata per inbox (e.g. { run: '42', ticket: 'QA-7' })
+const MAX_METADATA_SIZE = 4 * 1024; // 4KB as JSON
+
+/**
+ * Validate inbox metadata (a JSON object)
+ * @returns {object} - { metadata } or { error }
+ */
+export const validateEmailMetadata = (input) => {
+  if (input === undefined || input === null) {
+    return { metadata: {} };
+  }
+
+  let metadata = input;
+  if (typeof input === 'string') {
+    try {
+      metadata = JSON.parse(input);
+    } catch (error) {
+      return { error: 'metadata must be a JSON object' };
+    }
+  }
+
+  if (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata)) {
+    return { error: 'metadata must be a JSON object' };
+  }
+  if (JSON.stringify(metadata).length > MAX_METADATA_SIZE) {
+    return { error: `metadata must be at most ${MAX_METADATA_SIZE} bytes as JSON` };
+  }
+
+  return { metadata };
+};
+
+/**
+ * Filter API emails by tags (all must be present) and metadata values
+ * @param {Array} emails - Email data objects
+ * @param {object} filters - { tags: [], metadata: { 'run': '42', 'ci.job': 'e2e' } }
+ * Metadata keys are dot paths into the object, values are compared as strings
+ * @returns {Array} - Matching emails
+ */
+export const filterApiEmails = (emails, { tags = [], metadata = {} } = {}) => {
+  const metadataFilters = Object.entries(metadata);
+  if (tags.length === 0 && metadataFilters.length === 0) return emails;
+
+  return emails.filter(email => {
+    const emailTags = email.tags || [];
+    if (!tags.every(tag => emailTags.includes(tag))) return false;
+
+    return metadataFilters.every(([path, expected]) => {
+      const value = path.split('.').reduce(
+        (current, key) => (current !== null && typeof current === 'object' ? current[key] : undefined),
+        email.metadata || {}
+      );
+      return value !== undefined && value !== null && typeof value !== 'object' && String(value) === String(expected);
+    });
+  });
+};
+
+/**
+ * Resolve the domain requested at creation
+ * A verified custom domain of the user or a public domain from the "domains" table
+ */
+const resolveRequestedDomain = async (userId, customDomain) => {
+  // 1) Check if it's a verified custom domain for the user (cached query)
+  const domain = await validateUserDomain(userId, customDomain);
+  if (domain) return domain;
+
+  // 2) Fallback: treat it as a public domain existing in "domains" table
+  // First, look inside the 30-min cache without DB hit
+  if (!domainsCache.domains.includes(customDomain)) {
+    // If cache miss, refresh it once
+    try {
+      const [domains] = await pool.query('SELECT domain FROM domains');
+      domainsCache.domains = domains.map(d => d.domain);
+      domainsCache.lastUpdate = Date.now();
+      console.log(`Refreshed domains cache: ${domainsCache.domains.length} domains loaded`);
+    } catch (err) {
+      console.error('Failed to refresh domains cache:', err);
+    }
+  }
+
+  if (domainsCache.domains.includes(customDomain)) {
+    return customDomain; // Valid public domain
+  }
+
+  // Still not found? Throw
+  throw new Error(`Domain ${customDomain} is not available`);
+};
+
+/**
+ * Create new API emails in one all-or-nothing operation
+ * Addresses are reserved first, then the whole batch is rate limited and charged
+ * at once, so nothing is created (or charged) when any step fails
+ * @param {string} userId - Owner
+ * @param {number} count - Number of inboxes (1 to MAX_BATCH_SIZE)
+ * @param {string} timeTier - '10min', '1hour' or '1day'
+ * @param {string|null} customDomain - Domain for every inbox, random public domains when empty
+ * @param {string} userTier - Subscription tier
+ * @param {object|null} localPartGenerator - From buildLocalPartGenerator (must be random for count > 1)
+ * @param {object} options - { autoExtendOnMessage, tags, metadata }
+ * @returns {Promise<object>} - { emails, billing }
+ */
+export const createApiEmailBatch = async (
   userId,
+  count,
   timeTier = '10min',
   customDomain = null,
-  userTier = 'free'
+  userTier = 'free',
+  localPartGenerator = null,
+  { autoExtendOnMessage = false, tags = [], metadata = {} } = {}
 ) => {
-  // Charge credits and check rate limits through enhanced UsageTracker
+  const generator = localPartGenerator || buildLocalPartGenerator();
+  if (count > 1 && !generator.isRandom) {
+    throw new Error('BATCH_NEEDS_RANDOM_ADDRESS');
+  }
+
+  const domain = customDomain ? await resolveRequestedDomain(userId, customDomain) : null;
+
+  // Pick the addresses before charging so a taken address costs nothing
+  const addresses = [];
+  try {
+    for (let i = 0; i < count; i++) {
+      // No domain specified – use a random public domain
+      addresses.push(await addressReserver.reserveAddress(generator, domain || await getRandomDomain()));
+    }
+  } catch (error) {
+    addresses.forEach(addressReserver.releaseAddress);
+    throw error;
+  }
+
+  // Charge credits and check rate limits for the whole batch through enhanced UsageTracker
   let usageResult;
   try {
-    usageResult = await usageTracker.trackApiEmailCreation(userId, timeTier, userTier);
+    usageResult = await usageTracker.trackApiEmailCreation(userId, timeTier, userTier, count);
   } catch (error) {
+    addresses.forEach(addressReserver.releaseAddress);
     if (error.message.includes('INSUFFICIENT_CREDITS')) {
       throw new Error('INSUFFICIENT_CREDITS');
-    } else if (error.message.includes('RATE_LIMIT_EXCEEDED')) {
-      throw new Error(error.message);
     } else {
       throw error;
     }
   }
 
-  const emailId = uuidv4();
-  let domain;
-
-  if (customDomain) {
-    // 1) Check if it's a verified custom domain for the user (cached query)
-    domain = await validateUserDomain(userId, customDomain);
-
-    // 2) Fallback: treat it as a public domain existing in "domains" table
-    if (!domain) {
-      // First, look inside the 30-min cache without DB hit
-      const isInCache = domainsCache.domains.includes(customDomain);
-
-      // If cache miss, refresh it once
-      if (!isInCache) {
-        try {
-          const [domains] = await pool.query('SELECT domain FROM domains');
-          domainsCache.domains = domains.map(d => d.domain);
-          domainsCache.lastUpdate = Date.now();
-          console.log(`Refreshed domains cache: ${domainsCache.domains.length} domains loaded`);
-        } catch (err) {
-          console.error('Failed to refresh domains cache:', err);
-        }
-      }
-
-      if (domainsCache.domains.includes(customDomain)) {
-        domain = customDomain; // Valid public domain
-      }
-    }
-
-    // Still not found? Throw
-    if (!domain) {
-      throw new Error(`Domain ${customDomain} is not available`);
+  const emails = [];
+  for (const email of addresses) {
+    const expiresAt = calculateExpiry(timeTier);
+    
+    const emailData = {
+      id: uuidv4(),
+      email,
+      userId,
+      timeTier,
+      createdAt: new Date(),
+      expiresAt,
+      messages: [],
+      isApiEmail: true, // Flag to distinguish from regular emails
+      domain: email.split('@')[1],
+      isCustomDomain: !!customDomain,
+      userTier,
+      creditsPaid: usageResult.creditCharged / count,
+      autoExtendOnMessage: !!autoExtendOnMessage,
+      tags,
+      metadata
+    };
+    
+    // Store in memory (like guest system) and index by user and address
+    indexApiEmail(emailData);
+    addressReserver.releaseAddress(email);
+    
+    // Write through to the durable store
+    try {
+      await storage.saveEmail(emailData);
+    } catch (error) {
+      console.error(`Failed to persist API email ${email}:`, error);
     }
-  } else {
-    // No domain specified – use a random public domain
-    domain = await getRandomDomain();
+    
+    // Schedule automatic cleanup
+    scheduleEmailCleanup(emailData.id, expiresAt);
+    
+    emails.push(emailData);
   }
-
-  const email = `${generateRandomString()}@${domain}`;
-  const expiresAt = calculateExpiry(timeTier);
   
-  const emailData = {
-    id: emailId,
-    email,
-    userId,
-    timeTier,
-    createdAt: new Date(),
-    expiresAt,
-    messages: [],
-    isApiEmail: true, // Flag to distinguish from regular emails
-    domain: domain,
-    isCustomDomain: !!customDomain
-  };
-  
-  // Store in memory (like guest system)
-  apiEmailStore.set(emailId, emailData);
-  
-  // Index by user
-  if (!userApiEmailIndex.has(userId)) {
-    userApiEmailIndex.set(userId, new Set());
+  if (count === 1) {
+    console.log(`Created API email: ${emails[0].email} for user ${userId}, expires at ${emails[0].expiresAt.toISOString()}, charged ${usageResult.creditCharged} credits`);
+  } else {
+    console.log(`Created ${count} API emails for user ${userId}, charged ${usageResult.creditCharged} credits`);
   }
-  userApiEmailIndex.get(userId).add(emailId);
-  
-  // Add to email lookup map (for webhook handling)
-  emailToApiUserMap.set(email, { userId, emailId });
-  
-  // Schedule automatic cleanup
-  scheduleEmailCleanup(emailId, expiresAt);
-  
-  console.log(`Created API email: ${email} for user ${userId}, expires at ${expiresAt.toISOString()}, charged ${usageResult.creditCharged} credits`);
   
   // Enhanced return with billing information
   return {
-    ...emailData,
+    emails,
     billing: {
       creditCharged: usageResult.creditCharged,
       chargedFromSubscription: usageResult.chargedFromSubscription,
@@ -265,6 +515,23 @@ export const createApiEmail = async (
   };
 };
 
+/**
+ * Create new API email
+ */
+export const createApiEmail = async (
+  userId,
+  timeTier = '10min',
+  customDomain = null,
+  userTier = 'free',
+  localPartGenerator = null,
+  options = {}
+) => {
+  const { emails, billing } = await createApiEmailBatch(
+    userId, 1, timeTier, customDomain, userTier, localPartGenerator, options
+  );
+  return { ...emails[0], billing };
+};
+
 /**
  * Get all API emails for a user
  */
@@ -278,9 +545,7 @@ export const getUserApiEmails = (userId) => {
       emails.push(email);
     } else if (email && email.expiresAt <= new Date()) {
       // Clean up expired email
-      apiEmailStore.delete(emailId);
-      userApiEmailIndex.get(userId)?.delete(emailId);
-      emailToApiUserMap.delete(email.email);
+      removeApiEmail(emailId);
     }
   }
   
@@ -301,15 +566,50 @@ export const getApiEmail = (emailId, userId) => {
   // Check if expired
   if (email.expiresAt <= new Date()) {
     // Clean up expired email
-    apiEmailStore.delete(emailId);
-    userApiEmailIndex.get(userId)?.delete(emailId);
-    emailToApiUserMap.delete(email.email);
+    removeApiEmail(emailId);
     return null;
   }
   
   return email;
 };
 
+// Extensions, renewals and auto-extends (charged through the usage tracker)
+const { setApiEmailExpiry, autoExtendApiEmail } = createLifetimeManager({
+  chargeExtension: (userId, credits, userTier) => usageTracker.trackApiEmailExtension(userId, credits, userTier),
+  scheduleExpiry: (email) => {
+    scheduleEmailCleanup(email.id, email.expiresAt);
+    claimInboxAddress(email.email, email.expiresAt.getTime() - Date.now());
+  },
+  persistEmail: (email) => persistEmail(email)
+});
+
+/**
+ * Extend, renew or shorten an API email and set its auto-extend flag
+ * @param {string} emailId - API email ID
+ * @param {string} userId - Owner
+ * @param {object} changes - { expiresAt, autoExtendOnMessage }
+ * @param {string} userTier - User subscription tier
+ * @returns {Promise<object|null>} - { email, billing } or null if not found
+ */
+export const updateApiEmailLifetime = async (emailId, userId, changes, userTier = 'free') => {
+  const email = getApiEmail(emailId, userId);
+  if (!email) return null;
+
+  let billing = { creditCharged: 0, remainingBalance: null };
+  if (changes.expiresAt) {
+    billing = await setApiEmailExpiry(email, changes.expiresAt, userTier);
+    console.log(`API email ${email.email} now expires at ${email.expiresAt.toISOString()}, charged ${billing.creditCharged} credits`);
+  }
+
+  if (changes.autoExtendOnMessage !== undefined) {
+    email.autoExtendOnMessage = !!changes.autoExtendOnMessage;
+    email.userTier = userTier;
+    persistEmail(email);
+  }
+
+  return { email, billing };
+};
+
 /**
  * Delete an API email
  */
@@ -320,18 +620,60 @@ export const deleteApiEmail = (emailId, userId) => {
     return false; // Email not found or doesn't belong to user
   }
   
-  // Remove from all maps and indexes
-  apiEmailStore.delete(emailId);
-  userApiEmailIndex.get(userId)?.delete(emailId);
-  emailToApiUserMap.delete(email.email);
+  // Remove from all maps, indexes and the durable store
+  removeApiEmail(emailId, 'deleted');
   
   console.log(`API email ${email.email} deleted by user ${userId}`);
   
   return true; // Successfully deleted
 };
 
+/**
+ * Delete every API email of a user that has a tag
+ * @returns {Array} - Deleted emails
+ */
+export const deleteApiEmailsByTag = (userId, tag) => {
+  const deleted = [];
+
+  for (const emailId of [...(userApiEmailIndex.get(userId) || [])]) {
+    const email = apiEmailStore.get(emailId);
+    if (email && (email.tags || []).includes(tag)) {
+      removeApiEmail(emailId, 'deleted');
+      deleted.push(email);
+    }
+  }
+
+  console.log(`Deleted ${deleted.length} API emails tagged ${tag} for user ${userId}`);
+  
+  return deleted;
+};
+
+/**
+ * Format a stored message for API responses and webhook payloads
+ */
+export const formatApiMessage = (message) => ({
+  id: message.id,
+  from_email: message.from_email,
+  from_name: message.from_name,
+  subject: message.subject,
+  body_text: message.body_text,
+  body_html: message.body_html,
+  received_at: message.received_at,
+  is_read: message.is_read || false,
+  is_spam: message.is_spam || false,
+  spam_score: message.spam_score ?? null,
+  spam_verdict: message.spam_verdict || null,
+  spam_reasons: message.spam_reasons || [],
+  attachments: (message.attachments || []).map(toAttachmentMetadata),
+  tags: message.tags || [],
+  subaddress: message.subaddress || null,
+  delivered_to: message.delivered_to || null,
+  extracted: message.extracted || extractVerificationData(message)
+});
+
 /**
  * Add received message to API email
+ * Only metadata is kept, the attachments and raw source go through saveApiMessageContent
  */
 export const addApiEmailMessage = (emailId, messageData) => {
   const email = apiEmailStore.get(emailId);
@@ -340,11 +682,13 @@ export const addApiEmailMessage = (emailId, messageData) => {
     return false;
   }
   
-  // Add message to the beginning (newest first)
-  email.messages.unshift({
+  const message = {
     ...messageData,
     received_at: messageData.received_at || new Date().toISOString()
-  });
+  };
+
+  // Add message to the beginning (newest first)
+  email.messages.unshift(message);
   
   // Limit messages to prevent memory bloat (keep last 50 messages)
   if (email.messages.length > 50) {
@@ -353,11 +697,146 @@ export const addApiEmailMessage = (emailId, messageData) => {
   
   apiEmailStore.set(emailId, email);
   
+  storage.saveMessage(emailId, message).catch(error =>
+    console.error(`Failed to persist message for API email ${email.email}:`, error)
+  );
+  
   console.log(`Added message to API email ${email.email}: ${messageData.subject}`);
+
+  if (email.autoExtendOnMessage) {
+    autoExtendApiEmail(email);
+  }
+
+  // Wake up long-poll requests waiting for this message
+  resolveMessageWaiters(emailId, message);
+
+  // Push to open event streams
+  emitApiEmailEvent(emailId, 'message', formatApiMessage(message));
+
+  // Notify registered webhooks (fire-and-forget, retries handled by the dispatcher)
+  dispatchMessageWebhooks(email, formatApiMessage(message));
   
   return true;
 };
 
+/**
+ * Store the attachments and raw source of a message, before it is added to its inbox
+ * (possibly by another instance, so the content never travels with forwarded deliveries)
+ * @param {string} messageId - Message ID
+ * @param {Array} attachments - Records from prepareAttachments
+ * @param {object|null} raw - Record from prepareRawMessage
+ */
+export const saveApiMessageContent = (messageId, attachments, raw) =>
+  storage.saveMessageContent(messageId, { attachments, raw });
+
+/**
+ * Remove the content of a message that wasn't added to an inbox
+ */
+export const deleteApiMessageContent = (messageId) => storage.deleteMessageContent(messageId);
+
+/**
+ * Load an attachment of a message (with its content)
+ * @returns {Promise<object|null>}
+ */
+export const getApiMessageAttachment = (messageId, attachmentId) =>
+  storage.getMessageAttachment(messageId, attachmentId);
+
+/**
+ * Load the raw source of a message
+ * @returns {Promise<object|null>}
+ */
+export const getApiMessageRaw = (messageId) => storage.getMessageRaw(messageId);
+
+/**
+ * Check if a message matches long-poll filters (case-insensitive)
+ */
+const messageMatchesFilters = (message, filters = {}) => {
+  if (filters.from) {
+    const from = `${message.from_name || ''} ${message.from_email || ''}`.toLowerCase();
+    if (!from.includes(filters.from.toLowerCase())) {
+      return false;
+    }
+  }
+
+  if (filters.subjectContains) {
+    const subject = (message.subject || '').toLowerCase();
+    if (!subject.includes(filters.subjectContains.toLowerCase())) {
+      return false;
+    }
+  }
+
+  if (filters.since && new Date(message.received_at) <= filters.since) {
+    return false;
+  }
+
+  if (filters.excludeSpam && message.is_spam) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Resolve waiters whose filters match a newly added message
+ */
+const resolveMessageWaiters = (emailId, message) => {
+  const waiters = messageWaiters.get(emailId);
+  if (!waiters) return;
+
+  for (const waiter of waiters) {
+    if (messageMatchesFilters(message, waiter.filters)) {
+      waiter.finish(message);
+    }
+  }
+};
+
+/**
+ * Wait for a message matching the filters to arrive in an API email
+ * Messages already in the inbox only match when filters.since is set
+ * @param {string} emailId - API email ID
+ * @param {object} filters - { from, subjectContains, since, excludeSpam }
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {object} - { promise (resolves to message or null on timeout), cancel }
+ */
+export const waitForApiEmailMessage = (emailId, filters, timeoutMs) => {
+  const email = apiEmailStore.get(emailId);
+
+  if (filters.since && email) {
+    const existing = email.messages.find(message => messageMatchesFilters(message, filters));
+    if (existing) {
+      return { promise: Promise.resolve(existing), cancel: () => {} };
+    }
+  }
+
+  // Never wait past the lifetime of the email
+  const remaining = email ? email.expiresAt.getTime() - Date.now() : 0;
+  const delay = Math.max(0, Math.min(timeoutMs, remaining));
+
+  let waiter;
+  const promise = new Promise((resolve) => {
+    waiter = {
+      filters,
+      finish: (message) => {
+        clearTimeout(waiter.timer);
+        const waiters = messageWaiters.get(emailId);
+        waiters?.delete(waiter);
+        if (waiters && waiters.size === 0) {
+          messageWaiters.delete(emailId);
+        }
+        resolve(message);
+      }
+    };
+    waiter.timer = setTimeout(() => waiter.finish(null), delay);
+  });
+
+  if (!messageWaiters.has(emailId)) {
+    messageWaiters.set(emailId, new Set());
+  }
+  messageWaiters.get(emailId).add(waiter);
+
+  return { promise, cancel: () => waiter.finish(null) };
+};
+
 /**
  * Get usage statistics for a user
  */
@@ -440,13 +919,16 @@ const cleanupExpiredData = () => {
   // Clean expired emails
   for (const [emailId, email] of apiEmailStore.entries()) {
     if (email.expiresAt <= now) {
-      apiEmailStore.delete(emailId);
-      userApiEmailIndex.get(email.userId)?.delete(emailId);
-      emailToApiUserMap.delete(email.email);
+      removeApiEmail(emailId);
       cleanedEmails++;
     }
   }
   
+  // Clean expired emails left in the durable store (e.g. expired while the server was down)
+  storage.deleteExpired().catch(error =>
+    console.error('Failed to clean expired API emails from storage:', error)
+  );
+  
   // Clean old usage counters (older than 7 days)
   const sevenDaysAgo = new Date();
   sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
@@ -489,8 +971,22 @@ setTimeout(cleanupExpiredData, 5000);
 
 /**
  * Initialize the API memory store
+ * Rebuilds the indices from the storage backend and re-arms expiry timers
  */
-export const initializeApiMemoryStore = () => {
+export const initializeApiMemoryStore = async () => {
+  try {
+    const emails = await storage.loadActiveEmails();
+    
+    for (const emailData of emails) {
+      indexApiEmail(emailData);
+      scheduleEmailCleanup(emailData.id, emailData.expiresAt);
+    }
+    
+    console.log(`Restored ${emails.length} API emails from ${storage.name} storage`);
+  } catch (error) {
+    console.error(`Failed to restore API emails from ${storage.name} storage:`, error);
+  }
+  
   console.log('API Memory Store initialized with periodic sync and cleanup');
   
   // Run initial cleanup
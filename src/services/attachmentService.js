@@ -0,0 +1,143 @@
+// attachmentService.js - Attachment storage helpers for received emails
+// Shared by the webhook (storing) and the guest, dashboard and API routes (downloading)
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+
+// Attachments above this size are dropped to protect memory and the database
+const MAX_ATTACHMENT_SIZE = parseInt(process.env.MAX_ATTACHMENT_SIZE || `${10 * 1024 * 1024}`); // 10 MB
+
+// Maximum attachments kept per message
+const MAX_ATTACHMENTS_PER_EMAIL = 20;
+
+/**
+ * Convert parsed mailparser attachments into storable records
+ * @param {Array} parsedAttachments - Attachments from parseEmailContent (base64 content)
+ * @returns {Array} - Records { id, filename, content_type, size, content }
+ */
+export const prepareAttachments = (parsedAttachments = []) => {
+  const records = [];
+
+  for (const attachment of parsedAttachments) {
+    if (records.length >= MAX_ATTACHMENTS_PER_EMAIL) {
+      console.warn(`Attachment limit reached, skipping remaining attachments`);
+      break;
+    }
+
+    if (!attachment || !attachment.content) continue;
+
+    if (attachment.size > MAX_ATTACHMENT_SIZE) {
+      console.warn(`Skipping attachment ${attachment.filename}: ${attachment.size} bytes exceeds limit`);
+      continue;
+    }
+
+    records.push({
+      id: uuidv4(),
+      filename: (attachment.filename || 'attachment').substring(0, 255),
+      content_type: (attachment.contentType || 'application/octet-stream').substring(0, 100),
+      size: attachment.size || 0,
+      content: attachment.content
+    });
+  }
+
+  return records;
+};
+
+/**
+ * Strip attachment content, keeping only what listing endpoints need
+ * @param {object} attachment - Attachment record
+ * @returns {object} - { id, filename, content_type, size }
+ */
+export const toAttachmentMetadata = (attachment) => ({
+  id: attachment.id,
+  filename: attachment.filename,
+  content_type: attachment.content_type,
+  size: attachment.size
+});
+
+/**
+ * Persist attachments for a received email stored in the database
+ * @param {string} emailId - received_emails.id
+ * @param {Array} attachments - Records from prepareAttachments
+ * @param {object} connection - Optional connection (for transactions)
+ */
+export const saveAttachments = async (emailId, attachments, connection = pool) => {
+  for (const attachment of attachments) {
+    await connection.query(
+      'INSERT INTO email_attachments (id, email_id, filename, content_type, size, content) VALUES (?, ?, ?, ?, ?, ?)',
+      [
+        attachment.id,
+        emailId,
+        attachment.filename,
+        attachment.content_type,
+        attachment.size,
+        attachment.content
+      ]
+    );
+  }
+};
+
+/**
+ * Attach attachment metadata to received email rows loaded from the database
+ * @param {Array} emails - received_emails rows
+ * @returns {Promise<Array>} - Same rows with an attachments array
+ */
+export const withAttachmentMetadata = async (emails) => {
+  if (!emails || emails.length === 0) return emails;
+
+  const [rows] = await pool.query(
+    'SELECT id, email_id, filename, content_type, size FROM email_attachments WHERE email_id IN (?)',
+    [emails.map(email => email.id)]
+  );
+
+  const byEmail = new Map();
+  for (const row of rows) {
+    if (!byEmail.has(row.email_id)) {
+      byEmail.set(row.email_id, []);
+    }
+    byEmail.get(row.email_id).push(toAttachmentMetadata(row));
+  }
+
+  return emails.map(email => ({
+    ...email,
+    attachments: byEmail.get(email.id) || []
+  }));
+};
+
+/**
+ * Load a stored attachment for a registered user's received email
+ * @param {string} userId - Owner of the temp email
+ * @param {string} tempEmailId - temp_emails.id
+ * @param {string} emailId - received_emails.id
+ * @param {string} attachmentId - email_attachments.id
+ * @returns {Promise<object|null>} - Attachment record or null if not found
+ */
+export const getStoredAttachment = async (userId, tempEmailId, emailId, attachmentId) => {
+  const [rows] = await pool.query(`
+    SELECT ea.id, ea.filename, ea.content_type, ea.size, ea.content
+    FROM email_attachments ea
+    JOIN received_emails re ON ea.email_id = re.id
+    JOIN temp_emails te ON re.temp_email_id = te.id
+    WHERE ea.id = ? AND re.id = ? AND te.id = ? AND te.user_id = ?
+  `, [attachmentId, emailId, tempEmailId, userId]);
+
+  return rows[0] || null;
+};
+
+/**
+ * Send an attachment as a file download
+ * @param {object} res - Express response
+ * @param {object} attachment - Attachment record with base64 content
+ */
+export const sendAttachment = (res, attachment) => {
+  const buffer = Buffer.from(attachment.content || '', 'base64');
+  const filename = attachment.filename || 'attachment';
+  const asciiFilename = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+
+  res.setHeader('Content-Type', attachment.content_type || 'application/octet-stream');
+  res.setHeader('Content-Length', buffer.length);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${asciiFilename}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+  );
+  res.send(buffer);
+};
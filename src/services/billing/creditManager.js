@@ -1,6 +1,7 @@
 import NodeCache from 'node-cache';
 import { pool } from '../../db/init.js';
 import { v4 as uuidv4 } from 'uuid';
+import { calculateCreditCost, calculateLifetimeCreditCost, calculateOutboundCreditCost } from './creditPricing.js';
 
 class CreditManager {
   constructor() {
@@ -298,16 +299,38 @@ class CreditManager {
    * @param {string} userId - User ID
    * @param {string} timeTier - Email time tier (10min, 1hour, 1day)
    * @param {string} userTier - User subscription tier
+   * @param {number} count - Number of emails charged together (all or nothing)
    * @returns {Object} Charge result
    */
-  async chargeCreditsForEmail(userId, timeTier, userTier = 'free') {
-    const creditCost = this.calculateCreditCost(timeTier);
+  async chargeCreditsForEmail(userId, timeTier, userTier = 'free', count = 1) {
+    return this.chargeCreditAmount(userId, this.calculateCreditCost(timeTier) * count, userTier, {
+      [`emails_created_${timeTier}`]: count
+    });
+  }
+  
+  /**
+   * Charge credits for an email sent from a temp address
+   * @param {string} userId - User ID
+   * @param {string} userTier - User subscription tier
+   * @returns {Object} Charge result
+   */
+  async chargeCreditsForOutboundEmail(userId, userTier = 'free') {
+    return this.chargeCreditAmount(userId, this.calculateOutboundCreditCost(), userTier);
+  }
+  
+  /**
+   * Charge an amount of credits, subscription credits first, then wallet
+   * @param {string} userId - User ID
+   * @param {number} creditCost - Credits to charge
+   * @param {string} userTier - User subscription tier
+   * @param {Object} usageData - Extra monthly usage counters (e.g. emails created)
+   * @returns {Object} Charge result
+   */
+  async chargeCreditAmount(userId, creditCost, userTier = 'free', usageData = {}) {
     const monthYear = new Date().toISOString().slice(0, 7);
     
     let chargedFromSubscription = 0;
-    let chargedFromWallet = 0;
     
-    // For premium users, try subscription credits first
     if (userTier !== 'free') {
       const subscription = await this.getUserSubscription(userId);
       const monthlyUsage = await this.getMonthlyUsage(userId, monthYear);
@@ -316,51 +339,61 @@ class CreditManager {
         subscription.monthlyCredits - monthlyUsage.creditsUsedIncluded
       );
       
-      if (availableSubscriptionCredits > 0) {
-        chargedFromSubscription = Math.min(creditCost, availableSubscriptionCredits);
-        
-        // Update monthly usage cache
-        this.updateMonthlyUsageCache(userId, monthYear, {
-          creditsUsedIncluded: monthlyUsage.creditsUsedIncluded + chargedFromSubscription,
-          [`emails_created_${timeTier}`]: 1
-        });
-      }
+      chargedFromSubscription = Math.min(creditCost, availableSubscriptionCredits);
     }
     
-    // Charge remaining from wallet if needed
+    // Charge the wallet first so an insufficient balance leaves usage untouched
     const remainingCost = creditCost - chargedFromSubscription;
     if (remainingCost > 0) {
-      const newBalance = await this.chargeCredits(userId, remainingCost);
-      chargedFromWallet = remainingCost;
-      
-      // Update monthly usage for purchased credits
-      const monthlyUsage = await this.getMonthlyUsage(userId, monthYear);
-      this.updateMonthlyUsageCache(userId, monthYear, {
-        creditsUsedPurchased: monthlyUsage.creditsUsedPurchased + remainingCost,
-        [`emails_created_${timeTier}`]: 1
-      });
+      await this.chargeCredits(userId, remainingCost);
     }
     
+    const monthlyUsage = await this.getMonthlyUsage(userId, monthYear);
+    this.updateMonthlyUsageCache(userId, monthYear, {
+      creditsUsedIncluded: monthlyUsage.creditsUsedIncluded + chargedFromSubscription,
+      creditsUsedPurchased: monthlyUsage.creditsUsedPurchased + remainingCost,
+      ...usageData
+    });
+    
     return {
       totalCharged: creditCost,
       chargedFromSubscription,
-      chargedFromWallet,
+      chargedFromWallet: remainingCost,
       remainingBalance: await this.getBalance(userId)
     };
   }
   
   /**
-   * Calculate credit cost for time tier
-   * @param {string} timeTier - Time tier (10min, 1hour, 1day)
-   * @returns {number} Credit cost
+   * Give back a charge (e.g. when sending failed)
+   * @param {string} userId - User ID
+   * @param {Object} charge - Result of a charge method
    */
+  async refundCharge(userId, charge) {
+    const monthYear = new Date().toISOString().slice(0, 7);
+    const monthlyUsage = await this.getMonthlyUsage(userId, monthYear);
+    
+    this.updateMonthlyUsageCache(userId, monthYear, {
+      creditsUsedIncluded: Math.max(0, monthlyUsage.creditsUsedIncluded - charge.chargedFromSubscription),
+      creditsUsedPurchased: Math.max(0, monthlyUsage.creditsUsedPurchased - charge.chargedFromWallet)
+    });
+    
+    if (charge.chargedFromWallet > 0) {
+      await this.addCredits(userId, charge.chargedFromWallet);
+    }
+  }
+  
+  // Prices live in creditPricing.js
+  
+  calculateOutboundCreditCost() {
+    return calculateOutboundCreditCost();
+  }
+  
+  calculateLifetimeCreditCost(lifetimeMs) {
+    return calculateLifetimeCreditCost(lifetimeMs);
+  }
+  
   calculateCreditCost(timeTier) {
-    const costs = {
-      '10min': 1,
-      '1hour': 5, 
-      '1day': 25
-    };
-    return costs[timeTier] || 1;
+    return calculateCreditCost(timeTier);
   }
   
   // ==================== CACHE MANAGEMENT ====================
@@ -0,0 +1,36 @@
+// creditPricing.js - Credit prices of inboxes and outbound mail
+// Pure functions, used through creditManager and directly where no wallet is involved
+
+/**
+ * Calculate credit cost for time tier
+ * @param {string} timeTier - Time tier (10min, 1hour, 1day)
+ * @returns {number} Credit cost
+ */
+export const calculateCreditCost = (timeTier) => {
+  const costs = {
+    '10min': 1,
+    '1hour': 5, 
+    '1day': 25
+  };
+  return costs[timeTier] || 1;
+};
+
+/**
+ * Credit cost of an inbox living for a duration
+ * Priced like the smallest time tier that covers it, longer lifetimes cost a day per started day
+ * @param {number} lifetimeMs - Lifetime from creation to expiry
+ * @returns {number} Credit cost
+ */
+export const calculateLifetimeCreditCost = (lifetimeMs) => {
+  const day = 24 * 60 * 60 * 1000;
+  
+  if (lifetimeMs <= 10 * 60 * 1000) return calculateCreditCost('10min');
+  if (lifetimeMs <= 60 * 60 * 1000) return calculateCreditCost('1hour');
+  return calculateCreditCost('1day') * Math.ceil(lifetimeMs / day);
+};
+
+/**
+ * Credit cost of sending one email from a temp address
+ * @returns {number} Credit cost
+ */
+export const calculateOutboundCreditCost = () => parseInt(process.env.OUTBOUND_EMAIL_CREDIT_COST || '2');
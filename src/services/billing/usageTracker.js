@@ -1,5 +1,6 @@
 import creditManager from './creditManager.js';
 import { pool } from '../../db/init.js';
+import { reserveRateLimit, releaseRateLimit, getPolicyLimits, getRateLimitStatus } from '../rateLimitPolicy.js';
 
 class UsageTracker {
   constructor() {
@@ -7,9 +8,7 @@ class UsageTracker {
     this.usageCounters = new Map(); 
     // Structure: { `${userId}-${date}`: { '10min': count, '1hour': count, '1day': count, creditCost: total } }
     
-    // Real-time rate limiting counters
-    this.rateLimitCounters = new Map();
-    // Structure: { `${userId}-${window}`: { count, resetAt } }
+    // Rate limit counters live in the shared policy engine (services/rateLimitPolicy.js)
     
     // Batch sync interval - every 5 minutes
     this.syncInterval = setInterval(() => {
@@ -26,20 +25,24 @@ class UsageTracker {
    * @param {string} userId - User ID
    * @param {string} timeTier - Email time tier (10min, 1hour, 1day)
    * @param {string} userTier - User subscription tier
+   * @param {number} count - Number of emails created together (all or nothing)
    * @returns {Object} Usage result with credit info
    */
-  async trackApiEmailCreation(userId, timeTier, userTier = 'free') {
-    // 1. Check rate limits first
-    this.checkRateLimit(userId, timeTier);
+  async trackApiEmailCreation(userId, timeTier, userTier = 'free', count = 1) {
+    // 1. Reserve the whole batch in the rate limits first
+    const windows = await this.reserveRateLimit(userId, timeTier, count, userTier);
     
-    // 2. Charge credits through CreditManager
-    const chargeResult = await creditManager.chargeCreditsForEmail(userId, timeTier, userTier);
+    // 2. Charge credits through CreditManager (the reservation is given back when it fails)
+    let chargeResult;
+    try {
+      chargeResult = await creditManager.chargeCreditsForEmail(userId, timeTier, userTier, count);
+    } catch (error) {
+      await releaseRateLimit('email_creation', userId, windows, count);
+      throw error;
+    }
     
     // 3. Update usage counters
-    this.updateUsageCounters(userId, timeTier, chargeResult.totalCharged);
-    
-    // 4. Update rate limit counters
-    this.updateRateLimitCounters(userId, timeTier);
+    this.updateUsageCounters(userId, timeTier, chargeResult.totalCharged, count);
     
     return {
       success: true,
@@ -47,114 +50,68 @@ class UsageTracker {
       chargedFromSubscription: chargeResult.chargedFromSubscription,
       chargedFromWallet: chargeResult.chargedFromWallet,
       remainingBalance: chargeResult.remainingBalance,
-      usageStats: this.getUserUsageStats(userId)
+      usageStats: await this.getUserUsageStats(userId)
     };
   }
   
-  // ==================== RATE LIMITING ====================
-  
   /**
-   * Check rate limits for user
+   * Track an API inbox lifetime extension with credit charging
    * @param {string} userId - User ID
-   * @param {string} timeTier - Email time tier
+   * @param {number} creditCost - Credits for the added lifetime
+   * @param {string} userTier - User subscription tier
+   * @returns {Object} Usage result with credit info
    */
-  checkRateLimit(userId, timeTier) {
-    const limits = this.getRateLimits(timeTier);
+  async trackApiEmailExtension(userId, creditCost, userTier = 'free') {
+    const chargeResult = await creditManager.chargeCreditAmount(userId, creditCost, userTier);
     
-    // Check each rate limit window
-    for (const [window, limit] of Object.entries(limits)) {
-      const key = `${userId}-${window}`;
-      const counter = this.rateLimitCounters.get(key) || { count: 0, resetAt: this.getWindowResetTime(window) };
-      
-      // Reset if window expired
-      if (Date.now() > counter.resetAt) {
-        counter.count = 0;
-        counter.resetAt = this.getWindowResetTime(window);
-      }
-      
-      // Check limit
-      if (counter.count >= limit) {
-        throw new Error(`RATE_LIMIT_EXCEEDED_${window.toUpperCase()}`);
-      }
-      
-      this.rateLimitCounters.set(key, counter);
-    }
+    // Extensions only add credits, not emails
+    const today = new Date().toISOString().split('T')[0];
+    const key = `${userId}-${today}`;
+    const usage = this.usageCounters.get(key) || { '10min': 0, '1hour': 0, '1day': 0, creditCost: 0 };
+    usage.creditCost = (usage.creditCost || 0) + chargeResult.totalCharged;
+    usage.lastUpdate = Date.now();
+    this.usageCounters.set(key, usage);
+    
+    return {
+      success: true,
+      creditCharged: chargeResult.totalCharged,
+      chargedFromSubscription: chargeResult.chargedFromSubscription,
+      chargedFromWallet: chargeResult.chargedFromWallet,
+      remainingBalance: chargeResult.remainingBalance
+    };
   }
   
+  // ==================== RATE LIMITING ====================
+  
   /**
-   * Get rate limits for time tier
+   * Count emails against the rate limits of the user, nothing is counted when a limit is exceeded
+   * @param {string} userId - User ID
    * @param {string} timeTier - Email time tier
-   * @returns {Object} Rate limits
+   * @param {number} count - Number of emails about to be created
+   * @param {string} userTier - User subscription tier
+   * @returns {Array} Window states after counting
+   * @throws {Error} RATE_LIMIT_EXCEEDED_<WINDOW>, with the window states in error.rateLimit
    */
-  getRateLimits(timeTier) {
-    const baseLimits = {
-      '1min': 10,    // Max 10 emails per minute
-      '5min': 30,    // Max 30 emails per 5 minutes
-      '1hour': 200,  // Max 200 emails per hour
-      '1day': 2000   // Max 2000 emails per day
-    };
+  async reserveRateLimit(userId, timeTier, count = 1, userTier = 'free') {
+    const result = await reserveRateLimit('email_creation', userId, { userTier, timeTier }, count);
     
-    // Higher limits for longer-lived emails
-    const multiplier = {
-      '10min': 1,
-      '1hour': 0.8,  // Slightly lower for 1-hour emails
-      '1day': 0.6    // Lower for 1-day emails
-    }[timeTier] || 1;
-    
-    const limits = {};
-    for (const [window, limit] of Object.entries(baseLimits)) {
-      limits[window] = Math.floor(limit * multiplier);
+    if (!result.allowed) {
+      const error = new Error(`RATE_LIMIT_EXCEEDED_${result.blocked.window.toUpperCase()}`);
+      error.rateLimit = { windows: result.windows, blocked: result.blocked };
+      throw error;
     }
     
-    return limits;
-  }
-  
-  /**
-   * Get window reset time
-   * @param {string} window - Time window (1min, 5min, 1hour, 1day)
-   * @returns {number} Reset timestamp
-   */
-  getWindowResetTime(window) {
-    const now = new Date();
-    
-    switch (window) {
-      case '1min':
-        return new Date(now.getFullYear(), now.getMonth(), now.getDate(), 
-                       now.getHours(), now.getMinutes() + 1, 0, 0).getTime();
-      case '5min':
-        return new Date(now.getFullYear(), now.getMonth(), now.getDate(),
-                       now.getHours(), Math.floor(now.getMinutes() / 5) * 5 + 5, 0, 0).getTime();
-      case '1hour':
-        return new Date(now.getFullYear(), now.getMonth(), now.getDate(), 
-                       now.getHours() + 1, 0, 0, 0).getTime();
-      case '1day':
-        return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 0, 0, 0, 0).getTime();
-      default:
-        return Date.now() + 60000; // 1 minute fallback
-    }
+    return result.windows;
   }
   
   /**
-   * Update rate limit counters
-   * @param {string} userId - User ID
+   * Get rate limits for time tier
    * @param {string} timeTier - Email time tier
+   * @param {string} userTier - User subscription tier
+   * @returns {Object|null} Rate limits (null when the tier is exempt)
    */
-  updateRateLimitCounters(userId, timeTier) {
-    const limits = this.getRateLimits(timeTier);
-    
-    for (const window of Object.keys(limits)) {
-      const key = `${userId}-${window}`;
-      const counter = this.rateLimitCounters.get(key) || { count: 0, resetAt: this.getWindowResetTime(window) };
-      
-      // Reset if window expired
-      if (Date.now() > counter.resetAt) {
-        counter.count = 0;
-        counter.resetAt = this.getWindowResetTime(window);
-      }
-      
-      counter.count++;
-      this.rateLimitCounters.set(key, counter);
-    }
+  getRateLimits(timeTier, userTier = 'free') {
+    return getPolicyLimits('email_creation', { userTier, timeTier });
   }
   
   // ==================== USAGE TRACKING ====================
@@ -164,8 +121,9 @@ class UsageTracker {
    * @param {string} userId - User ID
    * @param {string} timeTier - Email time tier
    * @param {number} creditCost - Credits charged
+   * @param {number} count - Number of emails created
    */
-  updateUsageCounters(userId, timeTier, creditCost) {
+  updateUsageCounters(userId, timeTier, creditCost, count = 1) {
     const today = new Date().toISOString().split('T')[0];
     const key = `${userId}-${today}`;
     
@@ -178,7 +136,7 @@ class UsageTracker {
     };
     
     // Update counters
-    usage[timeTier] = (usage[timeTier] || 0) + 1;
+    usage[timeTier] = (usage[timeTier] || 0) + count;
     usage.creditCost = (usage.creditCost || 0) + creditCost;
     usage.lastUpdate = Date.now();
     
@@ -192,7 +150,7 @@ class UsageTracker {
    * @param {string} userId - User ID
    * @returns {Object} Usage statistics
    */
-  getUserUsageStats(userId) {
+  async getUserUsageStats(userId) {
     const today = new Date().toISOString().split('T')[0];
     const key = `${userId}-${today}`;
     const usage = this.usageCounters.get(key) || { '10min': 0, '1hour': 0, '1day': 0, creditCost: 0 };
@@ -209,31 +167,26 @@ class UsageTracker {
         },
         creditsUsed: usage.creditCost
       },
-      rateLimits: this.getCurrentRateLimitStatus(userId)
+      rateLimits: await this.getCurrentRateLimitStatus(userId)
     };
   }
   
   /**
    * Get current rate limit status for user
    * @param {string} userId - User ID
+   * @param {string} timeTier - Email time tier the limits are computed for
+   * @param {string} userTier - User subscription tier
    * @returns {Object} Rate limit status
    */
-  getCurrentRateLimitStatus(userId) {
+  async getCurrentRateLimitStatus(userId, timeTier = '10min', userTier = 'free') {
     const status = {};
-    const windows = ['1min', '5min', '1hour', '1day'];
     
-    for (const window of windows) {
-      const key = `${userId}-${window}`;
-      const counter = this.rateLimitCounters.get(key) || { count: 0, resetAt: Date.now() + 60000 };
-      
-      // Get limits for average time tier
-      const limits = this.getRateLimits('10min');
-      
-      status[window] = {
-        used: counter.count,
-        limit: limits[window] || 100,
-        resetAt: counter.resetAt,
-        remaining: Math.max(0, (limits[window] || 100) - counter.count)
+    for (const state of await getRateLimitStatus('email_creation', userId, { userTier, timeTier })) {
+      status[state.window] = {
+        used: state.used,
+        limit: state.limit,
+        resetAt: state.resetAt,
+        remaining: state.remaining
       };
     }
     
@@ -352,26 +305,6 @@ class UsageTracker {
   
   // ==================== CLEANUP ====================
   
-  /**
-   * Cleanup old rate limit counters
-   */
-  cleanupRateLimitCounters() {
-    const now = Date.now();
-    const keysToRemove = [];
-    
-    for (const [key, counter] of this.rateLimitCounters.entries()) {
-      if (now > counter.resetAt + 3600000) { // Remove counters older than 1 hour past reset
-        keysToRemove.push(key);
-      }
-    }
-    
-    keysToRemove.forEach(key => this.rateLimitCounters.delete(key));
-    
-    if (keysToRemove.length > 0) {
-      console.log(`Cleaned up ${keysToRemove.length} expired rate limit counters`);
-    }
-  }
-  
   /**
    * Destroy and cleanup
    */
@@ -385,7 +318,6 @@ class UsageTracker {
     
     // Clear maps
     this.usageCounters.clear();
-    this.rateLimitCounters.clear();
     
     console.log('UsageTracker destroyed');
   }
@@ -0,0 +1,217 @@
+// catchAllService.js - Catch-all and wildcard addresses on verified custom domains
+// Opt-in per domain (custom_domains.catch_all_mode):
+// - off: only existing temp emails receive mail (default)
+// - auto_create: an inbox is created for the owner on the first email to a new address
+//   (within the custom domain creation limits)
+// - shared: every new address lands in one inbox of the owner (catch_all_inbox_id)
+// catch_all_patterns limits the addresses that are caught (e.g. ["qa-*"]), none means any address
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { cacheAddedEmail, removeCachedEmail } from '../guestSessionHandler.js';
+import { checkCustomDomainLimits, incrementCustomDomainUsage } from '../middleware/customDomainRateLimit.js';
+
+export const CATCH_ALL_MODES = ['off', 'auto_create', 'shared'];
+export const MAX_CATCH_ALL_PATTERNS = 20;
+
+// Auto-created inboxes live as long as manually created ones (60 days)
+const AUTO_CREATED_INBOX_DAYS = 60;
+
+// Local part with * wildcards, an optional trailing @ is accepted ("qa-*@")
+const PATTERN_REGEX = /^[a-z0-9._+*-]{1,64}$/;
+
+/**
+ * Normalize a pattern ("QA-*@" → "qa-*")
+ */
+const normalizePattern = (pattern) => String(pattern).trim().toLowerCase().replace(/@$/, '');
+
+/**
+ * Check if a local part matches one of the patterns (no patterns matches everything)
+ * @param {string} localPart - Local part of the recipient
+ * @param {Array} patterns - Normalized patterns
+ * @returns {boolean}
+ */
+export const matchesCatchAllPattern = (localPart, patterns) => {
+  if (!patterns || patterns.length === 0) return true;
+
+  return patterns.some(pattern => {
+    const source = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\-]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}$`).test(localPart.toLowerCase());
+  });
+};
+
+/**
+ * Validate catch-all settings from a request body
+ * @param {object} input - { catch_all_mode, catch_all_inbox_id, catch_all_patterns }
+ * @returns {object} - { settings } or { error }
+ */
+export const validateCatchAllSettings = (input) => {
+  const mode = input.catch_all_mode;
+  if (!CATCH_ALL_MODES.includes(mode)) {
+    return { error: `catch_all_mode must be one of: ${CATCH_ALL_MODES.join(', ')}` };
+  }
+
+  const rawPatterns = input.catch_all_patterns ?? [];
+  if (!Array.isArray(rawPatterns) || rawPatterns.length > MAX_CATCH_ALL_PATTERNS) {
+    return { error: `catch_all_patterns must be an array of up to ${MAX_CATCH_ALL_PATTERNS} patterns` };
+  }
+
+  const patterns = [...new Set(rawPatterns.map(normalizePattern))];
+  const invalid = patterns.find(pattern => !PATTERN_REGEX.test(pattern));
+  if (invalid !== undefined) {
+    return { error: `Invalid pattern "${invalid}", use letters, digits, . _ + - and * (e.g. qa-*)` };
+  }
+
+  if (mode === 'shared' && !input.catch_all_inbox_id) {
+    return { error: 'catch_all_inbox_id is required in shared mode' };
+  }
+
+  return {
+    settings: {
+      mode,
+      inboxId: mode === 'shared' ? input.catch_all_inbox_id : null,
+      patterns
+    }
+  };
+};
+
+/**
+ * Format the catch-all settings of a custom_domains row
+ */
+export const formatCatchAllSettings = (domain) => ({
+  catch_all_mode: domain.catch_all_mode || 'off',
+  catch_all_inbox_id: domain.catch_all_inbox_id || null,
+  catch_all_patterns: domain.catch_all_patterns || []
+});
+
+const insertInbox = async (id, domain, recipient) => {
+  await pool.query(
+    `INSERT INTO temp_emails (id, user_id, email, domain_id, custom_domain_id, expires_at)
+     VALUES (?, ?, ?, NULL, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [id, domain.user_id, recipient, domain.id, AUTO_CREATED_INBOX_DAYS]
+  );
+};
+
+const findActiveInbox = async (recipient, userId) => {
+  const [existing] = await pool.query(
+    'SELECT id FROM temp_emails WHERE email = ? AND user_id = ? AND expires_at > NOW()',
+    [recipient, userId]
+  );
+  return existing.length > 0 ? { id: existing[0].id, created: false } : null;
+};
+
+/**
+ * Take over an address whose temp email already exists
+ * An expired inbox of the owner is renewed, one of another user is replaced
+ * @returns {Promise<object|null>} - { id, created } or null if another user holds the address
+ */
+const claimExistingAddress = async (domain, recipient) => {
+  const [expired] = await pool.query(
+    'SELECT id, user_id FROM temp_emails WHERE email = ? AND expires_at <= NOW()',
+    [recipient]
+  );
+  if (expired.length === 0) {
+    return findActiveInbox(recipient, domain.user_id);
+  }
+
+  const holder = expired[0];
+  removeCachedEmail(holder.user_id, holder.id);
+
+  if (holder.user_id === domain.user_id) {
+    const [result] = await pool.query(
+      `UPDATE temp_emails SET custom_domain_id = ?, expires_at = DATE_ADD(NOW(), INTERVAL ? DAY)
+       WHERE id = ? AND expires_at <= NOW()`,
+      [domain.id, AUTO_CREATED_INBOX_DAYS, holder.id]
+    );
+    if (result.affectedRows > 0) return { id: holder.id, created: true };
+  } else {
+    await pool.query('DELETE FROM temp_emails WHERE id = ? AND expires_at <= NOW()', [holder.id]);
+
+    const id = uuidv4();
+    try {
+      await insertInbox(id, domain, recipient);
+      return { id, created: true };
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') throw error;
+    }
+  }
+
+  // Another delivery renewed or replaced it first
+  return findActiveInbox(recipient, domain.user_id);
+};
+
+/**
+ * Create (or find, when another delivery just created it) the inbox of an address
+ * Counts against the custom domain creation limits, like inboxes created by hand
+ * @returns {Promise<object|null>} - { id, created } or null when no inbox can be used
+ */
+const createCatchAllInbox = async (domain, recipient) => {
+  const limits = await checkCustomDomainLimits(domain.user_id);
+  if (!limits.canCreate) {
+    console.warn(`Catch-all of ${domain.domain} reached the custom domain limits, no inbox created for ${recipient}`);
+    return null;
+  }
+
+  let inbox = { id: uuidv4(), created: true };
+  try {
+    await insertInbox(inbox.id, domain, recipient);
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') throw error;
+
+    inbox = await claimExistingAddress(domain, recipient);
+    if (!inbox || !inbox.created) return inbox;
+  }
+
+  const [created] = await pool.query('SELECT * FROM temp_emails WHERE id = ?', [inbox.id]);
+  if (created.length > 0) {
+    cacheAddedEmail(domain.user_id, created[0]);
+  }
+  await incrementCustomDomainUsage(domain.id);
+
+  console.log(`Catch-all created inbox ${recipient} for user ${domain.user_id}`);
+  return inbox;
+};
+
+/**
+ * Find the inbox that catches mail for an address without a temp email
+ * Auto-created inboxes count against the custom domain creation limits
+ * @param {string} recipient - Recipient address
+ * @returns {Promise<object|null>} - { tempEmailId, userId, domain, mode, created } or null
+ */
+export const resolveCatchAllInbox = async (recipient) => {
+  const [localPart, recipientDomain] = recipient.toLowerCase().split('@');
+  if (!localPart || !recipientDomain) return null;
+
+  const [domains] = await pool.query(
+    `SELECT id, user_id, domain, catch_all_mode, catch_all_inbox_id, catch_all_patterns
+     FROM custom_domains
+     WHERE domain = ? AND status = 'verified' AND catch_all_mode IN ('auto_create', 'shared')`,
+    [recipientDomain]
+  );
+  if (domains.length === 0) return null;
+
+  const domain = domains[0];
+  if (!matchesCatchAllPattern(localPart, domain.catch_all_patterns)) {
+    return null;
+  }
+
+  if (domain.catch_all_mode === 'shared') {
+    const [inboxes] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ? AND expires_at > NOW()',
+      [domain.catch_all_inbox_id, domain.user_id]
+    );
+    if (inboxes.length === 0) {
+      console.warn(`Catch-all inbox of ${domain.domain} is missing or expired`);
+      return null;
+    }
+
+    return { tempEmailId: inboxes[0].id, userId: domain.user_id, domain: domain.domain, mode: 'shared', created: false };
+  }
+
+  const inbox = await createCatchAllInbox(domain, recipient.toLowerCase());
+  if (!inbox) return null;
+
+  return { tempEmailId: inbox.id, userId: domain.user_id, domain: domain.domain, mode: 'auto_create', created: inbox.created };
+};
@@ -0,0 +1,245 @@
+// domainVerification.js - Custom domain ownership and DNS health checks
+// Ownership is proven with a TXT record holding the token issued when the domain was added,
+// receiving needs MX records pointing to us. SPF, DKIM and DMARC are reported as advice.
+// The resolver can be replaced (setDnsResolver or the resolver option) to run the checks offline.
+import crypto from 'crypto';
+import dns from 'dns';
+
+// MX records must point to a host under this domain
+const MX_HOST_SUFFIX = 'boomlify.com';
+const MX_TARGET = 'custom.boomlify.com';
+
+// TXT record proving ownership: _boomlify-verification.<domain> = boomlify-verification=<token>
+const TXT_RECORD_PREFIX = '_boomlify-verification';
+const TXT_VALUE_PREFIX = 'boomlify-verification=';
+
+// DKIM selectors looked up for the report (DKIM_SELECTORS, comma separated)
+const DKIM_SELECTORS = (process.env.DKIM_SELECTORS || 'default,google,selector1,selector2')
+  .split(',')
+  .map(selector => selector.trim())
+  .filter(Boolean);
+
+const DNS_TIMEOUT = 10000; // 10 seconds per lookup
+
+// Lookups that mean "no record" rather than a failure
+const NO_RECORD_CODES = ['ENODATA', 'ENOTFOUND', 'NXDOMAIN'];
+
+let dnsResolver = dns.promises;
+
+/**
+ * Replace the DNS resolver (needs resolveMx and resolveTxt), null restores the system resolver
+ */
+export const setDnsResolver = (resolver) => {
+  dnsResolver = resolver || dns.promises;
+};
+
+/**
+ * Generate an ownership token for a new custom domain
+ */
+export const generateVerificationToken = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * DNS record the owner has to add to prove ownership
+ * @returns {object} - { type, host, value }
+ */
+export const getVerificationRecord = (domain, token) => ({
+  type: 'TXT',
+  host: `${TXT_RECORD_PREFIX}.${domain}`,
+  value: `${TXT_VALUE_PREFIX}${token}`
+});
+
+/**
+ * Run a lookup with a timeout
+ * @returns {Promise<object>} - { records } or { records: [], error } when the lookup failed
+ */
+const lookup = async (resolver, method, name) => {
+  let timer;
+  try {
+    const records = await Promise.race([
+      resolver[method](name),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error('DNS lookup timed out'), { code: 'ETIMEOUT' })), DNS_TIMEOUT);
+      })
+    ]);
+    return { records };
+  } catch (error) {
+    if (NO_RECORD_CODES.includes(error.code)) {
+      return { records: [] };
+    }
+    console.error(`DNS ${method} failed for ${name}:`, error.message);
+    return { records: [], error: error.code || error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * TXT lookup with the chunks of each record joined
+ */
+const lookupTxt = async (resolver, name) => {
+  const result = await lookup(resolver, 'resolveTxt', name);
+  return { ...result, records: result.records.map(chunks => [].concat(chunks).join('')) };
+};
+
+const isOurMxHost = (exchange) => {
+  const host = exchange.toLowerCase().replace(/\.$/, '');
+  return host === MX_HOST_SUFFIX || host.endsWith(`.${MX_HOST_SUFFIX}`);
+};
+
+/**
+ * MX check: every MX record must point to us (mail to other hosts never reaches us)
+ */
+const checkMx = async (resolver, domain) => {
+  const { records, error } = await lookup(resolver, 'resolveMx', domain);
+  const hosts = records.map(mx => ({ exchange: mx.exchange, priority: mx.priority }));
+  const ours = hosts.filter(mx => isOurMxHost(mx.exchange));
+
+  let status = 'pass';
+  let message = 'MX records point to our mail server';
+  if (error) {
+    status = 'fail';
+    message = `MX lookup failed (${error})`;
+  } else if (ours.length === 0) {
+    status = 'fail';
+    message = hosts.length === 0 ? 'No MX record found' : 'MX records point to another mail server';
+  } else if (ours.length < hosts.length) {
+    status = 'warn';
+    message = 'Some MX records point to other mail servers, part of the mail will not reach us';
+  }
+
+  return {
+    name: 'mx',
+    required: true,
+    status,
+    message,
+    records: hosts,
+    fix: status === 'pass' ? null : `Set a single MX record for ${domain} pointing to ${MX_TARGET} (priority 10)`
+  };
+};
+
+/**
+ * Ownership check: the TXT record holds the token of this domain
+ */
+const checkOwnership = async (resolver, domain, token) => {
+  const expected = getVerificationRecord(domain, token);
+  const { records, error } = await lookupTxt(resolver, expected.host);
+  const found = records.includes(expected.value);
+
+  let message = 'Ownership TXT record found';
+  if (error) {
+    message = `TXT lookup failed (${error})`;
+  } else if (!found) {
+    message = records.length > 0 ? 'TXT record found with a different token' : 'Ownership TXT record not found';
+  }
+
+  return {
+    name: 'ownership',
+    required: true,
+    status: found ? 'pass' : 'fail',
+    message,
+    records,
+    fix: found ? null : `Add a TXT record on ${expected.host} with the value ${expected.value}`
+  };
+};
+
+/**
+ * SPF check: at most one v=spf1 record on the domain (advice, receiving works without)
+ */
+const checkSpf = async (resolver, domain) => {
+  const { records, error } = await lookupTxt(resolver, domain);
+  const spf = records.filter(record => record.toLowerCase().startsWith('v=spf1'));
+
+  let status = 'pass';
+  let message = 'SPF record found';
+  let fix = null;
+  if (error) {
+    status = 'warn';
+    message = `TXT lookup failed (${error})`;
+  } else if (spf.length === 0) {
+    status = 'warn';
+    message = 'No SPF record, other servers can send mail as this domain';
+    fix = `Add a TXT record on ${domain} such as "v=spf1 -all" if the domain sends no mail`;
+  } else if (spf.length > 1) {
+    status = 'fail';
+    message = 'Several SPF records found, receivers treat this as an error';
+    fix = 'Merge the SPF records into a single v=spf1 record';
+  }
+
+  return { name: 'spf', required: false, status, message, records: spf, fix };
+};
+
+/**
+ * DKIM check: a key published on one of the known selectors (advice)
+ */
+const checkDkim = async (resolver, domain) => {
+  const found = [];
+  for (const selector of DKIM_SELECTORS) {
+    const { records } = await lookupTxt(resolver, `${selector}._domainkey.${domain}`);
+    const keys = records.filter(record => /(^|;)\s*(v=DKIM1|p=)/i.test(record));
+    if (keys.length > 0) {
+      found.push({ selector, records: keys });
+    }
+  }
+
+  return {
+    name: 'dkim',
+    required: false,
+    status: found.length > 0 ? 'pass' : 'warn',
+    message: found.length > 0
+      ? `DKIM key found for selector ${found.map(key => key.selector).join(', ')}`
+      : `No DKIM key found for the selectors ${DKIM_SELECTORS.join(', ')}`,
+    records: found,
+    fix: found.length > 0 ? null : 'Publish the DKIM key of the service that sends mail for this domain, if any'
+  };
+};
+
+/**
+ * DMARC check: one v=DMARC1 record on _dmarc.<domain> (advice)
+ */
+const checkDmarc = async (resolver, domain) => {
+  const { records, error } = await lookupTxt(resolver, `_dmarc.${domain}`);
+  const dmarc = records.filter(record => record.toUpperCase().startsWith('V=DMARC1'));
+  const policy = dmarc.length === 1 ? (dmarc[0].match(/(?:^|;)\s*p=([a-z]+)/i)?.[1] || null) : null;
+
+  let status = 'pass';
+  let message = `DMARC policy: ${policy || 'none'}`;
+  let fix = null;
+  if (error) {
+    status = 'warn';
+    message = `TXT lookup failed (${error})`;
+  } else if (dmarc.length === 0) {
+    status = 'warn';
+    message = 'No DMARC record';
+    fix = `Add a TXT record on _dmarc.${domain} such as "v=DMARC1; p=reject"`;
+  } else if (dmarc.length > 1) {
+    status = 'fail';
+    message = 'Several DMARC records found, receivers ignore all of them';
+    fix = 'Keep a single v=DMARC1 record';
+  }
+
+  return { name: 'dmarc', required: false, status, message, records: dmarc, policy, fix };
+};
+
+/**
+ * Build the DNS health report of a custom domain
+ * @param {string} domain - Domain name
+ * @param {string} token - Ownership token of the domain
+ * @param {object} options - { resolver } to override the DNS resolver for this report
+ * @returns {Promise<object>} - { domain, verifiable, checks: [{ name, required, status, message, records, fix }] }
+ */
+export const buildDnsReport = async (domain, token, { resolver = dnsResolver } = {}) => {
+  const checks = [
+    await checkOwnership(resolver, domain, token),
+    await checkMx(resolver, domain),
+    await checkSpf(resolver, domain),
+    await checkDkim(resolver, domain),
+    await checkDmarc(resolver, domain)
+  ];
+
+  return {
+    domain,
+    verifiable: checks.filter(check => check.required).every(check => check.status !== 'fail'),
+    checks,
+    checked_at: new Date().toISOString()
+  };
+};
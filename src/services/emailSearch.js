@@ -0,0 +1,277 @@
+// emailSearch.js - Full-text search across received emails
+// received_emails is partitioned and can't carry a FULLTEXT index, so a copy of the
+// searchable fields is kept in received_email_search (written next to every insert)
+import { pool } from '../db/init.js';
+import { htmlToText } from '../utils/codeExtractor.js';
+
+// Body text kept in the search table (MEDIUMTEXT column)
+const MAX_SEARCH_BODY_LENGTH = 60000;
+
+// Characters around a match shown in a snippet
+const SNIPPET_RADIUS = 60;
+
+// InnoDB ignores shorter words in FULLTEXT searches (innodb_ft_min_token_size)
+const MIN_FULLTEXT_TERM_LENGTH = 3;
+
+/**
+ * Split a query into search terms
+ * @param {string} query - Raw query
+ * @returns {Array<string>} - Lowercase terms without boolean operators
+ */
+export const parseSearchTerms = (query) => {
+  if (!query || typeof query !== 'string') return [];
+
+  return query
+    .toLowerCase()
+    .replace(/[+\-<>()~*"@]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 10);
+};
+
+/**
+ * Plain text used for searching and snippets
+ */
+const searchableBody = (email) =>
+  (email.body_text || htmlToText(email.body_html) || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Escape text before adding highlight markup
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Wrap matched terms in <mark> tags (text is HTML-escaped first)
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} terms - Search terms
+ * @returns {string} - Escaped text with <mark> around matches
+ */
+export const highlightTerms = (text, terms) => {
+  const escaped = escapeHtml(text || '');
+  if (terms.length === 0) return escaped;
+
+  const pattern = new RegExp(`(${terms.map(term => escapeRegExp(escapeHtml(term))).join('|')})`, 'gi');
+  return escaped.replace(pattern, '<mark>$1</mark>');
+};
+
+/**
+ * Build a highlighted snippet around the first match in a text
+ * @param {string} text - Full text
+ * @param {Array<string>} terms - Search terms
+ * @returns {string} - Highlighted snippet
+ */
+export const buildSnippet = (text, terms) => {
+  if (!text) return '';
+
+  const lower = text.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(index => index >= 0);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+
+  return (start > 0 ? '…' : '') +
+    highlightTerms(text.substring(start, end), terms) +
+    (end < text.length ? '…' : '');
+};
+
+/**
+ * Add a received email to the search table
+ * Never throws: the email is already stored, a missing index entry only hides it from search
+ * @param {string} tempEmailId - temp_emails.id
+ * @param {object} emailData - Received email data
+ * @param {boolean} hasAttachment - Whether the email has stored attachments
+ * @param {object} connection - Optional connection (for transactions)
+ */
+export const indexReceivedEmail = async (tempEmailId, emailData, hasAttachment, connection = pool) => {
+  try {
+    await connection.query(`
+      INSERT IGNORE INTO received_email_search
+        (email_id, temp_email_id, from_email, from_name, subject, body, has_attachment, received_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      emailData.id,
+      tempEmailId,
+      emailData.from_email || '',
+      emailData.from_name || '',
+      emailData.subject || '',
+      searchableBody(emailData).substring(0, MAX_SEARCH_BODY_LENGTH),
+      !!hasAttachment,
+      new Date(emailData.received_at || Date.now())
+    ]);
+  } catch (error) {
+    console.error(`Failed to index received email ${emailData.id} for search:`, error);
+  }
+};
+
+/**
+ * Search a registered user's received emails across all of their temp emails
+ * @param {string} userId - User ID
+ * @param {object} filters - { q, from, after, before, hasAttachment, limit, offset }
+ * @returns {Promise<object>} - { results, total }
+ */
+export const searchReceivedEmails = async (userId, filters) => {
+  const terms = parseSearchTerms(filters.q);
+  const fulltextTerms = terms.filter(term => term.length >= MIN_FULLTEXT_TERM_LENGTH);
+
+  const conditions = ['te.user_id = ?'];
+  const params = [userId];
+  let relevance = '0';
+  const relevanceParams = [];
+
+  if (fulltextTerms.length > 0) {
+    // Every term required, prefix matching
+    const booleanQuery = fulltextTerms.map(term => `+${term}*`).join(' ');
+    relevance = 'MATCH(s.subject, s.from_email, s.from_name, s.body) AGAINST (? IN BOOLEAN MODE)';
+    relevanceParams.push(booleanQuery);
+    conditions.push(relevance);
+    params.push(booleanQuery);
+  }
+
+  // Terms too short for the FULLTEXT index
+  for (const term of terms.filter(term => term.length < MIN_FULLTEXT_TERM_LENGTH)) {
+    conditions.push('(s.subject LIKE ? OR s.from_email LIKE ? OR s.from_name LIKE ? OR s.body LIKE ?)');
+    params.push(`%${term}%`, `%${term}%`, `%${term}%`, `%${term}%`);
+  }
+
+  if (filters.from) {
+    conditions.push('(s.from_email LIKE ? OR s.from_name LIKE ?)');
+    params.push(`%${filters.from}%`, `%${filters.from}%`);
+  }
+
+  if (filters.after) {
+    conditions.push('s.received_at >= ?');
+    params.push(filters.after);
+  }
+
+  if (filters.before) {
+    conditions.push('s.received_at < ?');
+    params.push(filters.before);
+  }
+
+  if (filters.hasAttachment !== null && filters.hasAttachment !== undefined) {
+    conditions.push('s.has_attachment = ?');
+    params.push(filters.hasAttachment);
+  }
+
+  // Join received_emails so deleted messages never show up
+  const fromClause = `
+    FROM received_email_search s
+    JOIN temp_emails te ON te.id = s.temp_email_id
+    JOIN received_emails re ON re.id = s.email_id
+    WHERE ${conditions.join(' AND ')}
+  `;
+
+  const [countResult] = await pool.query(`SELECT COUNT(*) as total ${fromClause}`, params);
+
+  const [rows] = await pool.query(`
+    SELECT s.email_id, s.temp_email_id, te.email as temp_email, s.from_email, s.from_name,
+           s.subject, s.body, s.has_attachment, s.received_at, ${relevance} as relevance
+    ${fromClause}
+    ORDER BY relevance DESC, s.received_at DESC
+    LIMIT ? OFFSET ?
+  `, [...relevanceParams, ...params, filters.limit, filters.offset]);
+
+  return {
+    total: countResult[0].total,
+    results: rows.map(row => ({
+      id: row.email_id,
+      temp_email_id: row.temp_email_id,
+      temp_email: row.temp_email,
+      from_email: row.from_email,
+      from_name: row.from_name,
+      subject: row.subject,
+      received_at: row.received_at,
+      has_attachment: !!row.has_attachment,
+      highlights: {
+        subject: highlightTerms(row.subject, terms),
+        snippet: buildSnippet(row.body, terms)
+      }
+    }))
+  };
+};
+
+/**
+ * Search messages of in-memory inboxes (API emails)
+ * @param {Array} emails - Email data objects with messages
+ * @param {object} filters - { q, from, after, before, hasAttachment }
+ * @returns {Array} - { email, message, highlights } newest first
+ */
+export const searchInboxMessages = (emails, filters) => {
+  const terms = parseSearchTerms(filters.q);
+  const from = filters.from ? filters.from.toLowerCase() : null;
+  const matches = [];
+
+  for (const email of emails) {
+    for (const message of email.messages || []) {
+      const receivedAt = new Date(message.received_at);
+      if (filters.after && receivedAt < filters.after) continue;
+      if (filters.before && receivedAt >= filters.before) continue;
+
+      const hasAttachment = (message.attachments || []).length > 0;
+      if (filters.hasAttachment !== null && filters.hasAttachment !== undefined &&
+          hasAttachment !== filters.hasAttachment) continue;
+
+      const sender = `${message.from_name || ''} ${message.from_email || ''}`.toLowerCase();
+      if (from && !sender.includes(from)) continue;
+
+      const body = searchableBody(message);
+      const haystack = `${message.subject || ''} ${sender} ${body}`.toLowerCase();
+      if (!terms.every(term => haystack.includes(term))) continue;
+
+      matches.push({
+        email,
+        message,
+        highlights: {
+          subject: highlightTerms(message.subject, terms),
+          snippet: buildSnippet(body, terms)
+        }
+      });
+    }
+  }
+
+  return matches.sort((a, b) => new Date(b.message.received_at) - new Date(a.message.received_at));
+};
+
+/**
+ * Parse the query parameters shared by the search endpoints
+ * @param {object} query - req.query
+ * @returns {object} - { filters } or { error }
+ */
+export const parseSearchQuery = (query) => {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  const from = typeof query.from === 'string' ? query.from.trim() : '';
+
+  if (!q && !from) {
+    return { error: 'Provide a search query (q) or a sender (from)' };
+  }
+
+  if (q.length > 200 || from.length > 255) {
+    return { error: 'Search query is too long' };
+  }
+
+  const filters = { q, from: from || null, after: null, before: null, hasAttachment: null };
+
+  for (const key of ['after', 'before']) {
+    if (query[key]) {
+      const date = new Date(query[key]);
+      if (isNaN(date.getTime())) {
+        return { error: `${key} must be a valid ISO 8601 date` };
+      }
+      filters[key] = date;
+    }
+  }
+
+  if (query.has_attachment === 'true' || query.has_attachment === 'false') {
+    filters.hasAttachment = query.has_attachment === 'true';
+  }
+
+  return { filters };
+};
@@ -141,10 +141,13 @@ function notifyClients(alias, email) {
   }
 }
 
+// Paths served by the other WebSocket servers (activity tracker, temp inbox updates)
+const OTHER_WEBSOCKET_PATHS = ['/activity-ws', '/inbox-ws'];
+
 // Setup WebSocket Server with reduced logging
 export function setupWebSocketServer(server) {
   const wss = new WebSocketServer({ 
-    server,
+    noServer: true,
     perMessageDeflate: {
       zlibDeflateOptions: { chunkSize: 1024, memLevel: 7, level: 3 },
       zlibInflateOptions: { chunkSize: 10 * 1024 },
@@ -159,6 +162,15 @@ export function setupWebSocketServer(server) {
   
   console.log('WebSocket server created for real-time email updates');
   
+  // Gmail alias clients connect on any path other than the ones above
+  server.on('upgrade', (request, socket, head) => {
+    if (OTHER_WEBSOCKET_PATHS.includes(request.url.split('?')[0])) return;
+    
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      wss.emit('connection', ws, request);
+    });
+  });
+  
   wss.on('connection', (ws, req) => {
     // Extract userId and alias from URL parameters
     const url = new URL(req.url, `http://${req.headers.host}`);
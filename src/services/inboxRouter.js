@@ -0,0 +1,155 @@
+// inboxRouter.js - Routes inbound mail to the instance holding an in-memory inbox
+// API inboxes live in the memory of the instance that created them, so every instance
+// records which addresses it holds in the shared state store (guest sessions are kept there).
+// Mail arriving on another instance is forwarded over pub/sub.
+import stateStore, { INSTANCE_ID } from './sharedState.js';
+
+const ROUTE_PREFIX = 'inbox-route:';
+const DELIVERY_CHANNEL_PREFIX = 'inbox-delivery:';
+const BROADCAST_CHANNEL = 'inbox-events';
+
+/**
+ * Create the router of one instance over a state store
+ * The exported functions use the configured store and this process' instance ID
+ * @param {object} store - State store (see sharedState.js)
+ * @param {string} instanceId - ID of the instance using the router
+ */
+export const createInboxRouter = (store, instanceId) => {
+  /**
+   * Record that this instance holds an inbox address
+   * @param {string} address - Email address
+   * @param {number} ttlMs - How long the inbox lives
+   */
+  const claimInboxAddress = (address, ttlMs) => {
+    if (!store.isShared || !address || ttlMs <= 0) return;
+
+    store.set(ROUTE_PREFIX + address.toLowerCase(), instanceId, ttlMs).catch(error =>
+      console.error(`Failed to claim inbox route for ${address}:`, error)
+    );
+  };
+
+  /**
+   * Remove the route of an inbox address held by this instance
+   * @param {string} address - Email address
+   */
+  const releaseInboxAddress = (address) => {
+    if (!store.isShared || !address) return;
+
+    store.delete(ROUTE_PREFIX + address.toLowerCase()).catch(error =>
+      console.error(`Failed to release inbox route for ${address}:`, error)
+    );
+  };
+
+  /**
+   * Find the instance holding an inbox address
+   * @param {string} address - Email address
+   * @returns {Promise<string|null>} - Instance ID or null if no instance holds it
+   */
+  const findInboxInstance = async (address) => {
+    if (!store.isShared || !address) return null;
+
+    try {
+      return await store.get(ROUTE_PREFIX + address.toLowerCase());
+    } catch (error) {
+      console.error(`Failed to look up inbox route for ${address}:`, error);
+      return null;
+    }
+  };
+
+  /**
+   * Check if another instance holds an inbox address (for collision checks)
+   * @param {string} address - Email address
+   * @returns {Promise<boolean>}
+   */
+  const isAddressHeldElsewhere = async (address) => {
+    const ownerId = await findInboxInstance(address);
+    return !!ownerId && ownerId !== instanceId;
+  };
+
+  /**
+   * Forward a delivery to the instance holding the inbox
+   * When nobody listens on the channel of that instance (it stopped without releasing
+   * its addresses), the stale route is dropped and the delivery is not forwarded
+   * @param {string} targetId - Target instance
+   * @param {object} delivery - { recipient, emailData } (metadata only, content goes through storage)
+   * @returns {Promise<boolean>} - True if the target instance received the delivery
+   */
+  const forwardDelivery = async (targetId, delivery) => {
+    const receivers = await store.publish(DELIVERY_CHANNEL_PREFIX + targetId, {
+      ...delivery,
+      origin: instanceId
+    });
+    if (receivers > 0) return true;
+
+    const routeKey = ROUTE_PREFIX + delivery.recipient.toLowerCase();
+    if ((await store.get(routeKey)) === targetId) {
+      await store.delete(routeKey);
+      console.warn(`Dropped stale inbox route of ${delivery.recipient} (instance ${targetId} is gone)`);
+    }
+    return false;
+  };
+
+  /**
+   * Handle deliveries forwarded to this instance
+   * @param {Function} handler - async ({ recipient, emailData }) => void
+   */
+  const onForwardedDelivery = (handler) => {
+    if (!store.isShared) return;
+
+    store.subscribe(DELIVERY_CHANNEL_PREFIX + instanceId, (delivery) => {
+      Promise.resolve(handler(delivery)).catch(error =>
+        console.error(`Failed to handle delivery forwarded from ${delivery.origin}:`, error)
+      );
+    });
+  };
+
+  /**
+   * Tell the other instances about an inbox event (e.g. to refresh their caches)
+   * @param {string} event - Event name
+   * @param {object} payload - Event data
+   */
+  const broadcastInboxEvent = (event, payload) => {
+    if (!store.isShared) return;
+
+    store.publish(BROADCAST_CHANNEL, { event, payload, origin: instanceId }).catch(error =>
+      console.error(`Failed to broadcast ${event}:`, error)
+    );
+  };
+
+  /**
+   * Handle inbox events broadcast by the other instances
+   * @param {string} event - Event name
+   * @param {Function} handler - (payload) => void
+   */
+  const onInboxEvent = (event, handler) => {
+    if (!store.isShared) return;
+
+    store.subscribe(BROADCAST_CHANNEL, (message) => {
+      if (message.event === event && message.origin !== instanceId) {
+        handler(message.payload);
+      }
+    });
+  };
+
+  return {
+    claimInboxAddress,
+    releaseInboxAddress,
+    findInboxInstance,
+    isAddressHeldElsewhere,
+    forwardDelivery,
+    onForwardedDelivery,
+    broadcastInboxEvent,
+    onInboxEvent
+  };
+};
+
+export const {
+  claimInboxAddress,
+  releaseInboxAddress,
+  findInboxInstance,
+  isAddressHeldElsewhere,
+  forwardDelivery,
+  onForwardedDelivery,
+  broadcastInboxEvent,
+  onInboxEvent
+} = createInboxRouter(stateStore, INSTANCE_ID);
@@ -0,0 +1,308 @@
+// inboxRules.js - Inbound filtering rules per temp email or API email
+// Evaluated by the webhook before a message is stored
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import stateStore from './sharedState.js';
+
+// Supported rule types
+// - block_sender: drop mail whose sender matches the value ("*" wildcards allowed)
+// - allow_domain: only accept mail from these sender domains (subdomains included)
+// - tag_subject: tag mail whose subject contains the value
+export const RULE_TYPES = ['block_sender', 'allow_domain', 'tag_subject'];
+
+// Owners a rule can be attached to
+export const OWNER_TYPES = ['temp_email', 'api_email'];
+
+// Maximum rules per inbox
+export const MAX_RULES_PER_INBOX = 20;
+
+// Smart caching for rules used by the webhook
+const rulesCache = new Map(); // { inboxId: { rules: [], expiresAt } }
+const RULES_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Rule changes are broadcast so every instance drops the inbox from its cache
+const RULES_CHANGED_CHANNEL = 'inbox-rules-changed';
+
+stateStore.subscribe(RULES_CHANGED_CHANNEL, ({ inboxId }) => {
+  rulesCache.delete(inboxId);
+});
+
+/**
+ * Drop the cached rules of an inbox on every instance
+ */
+const invalidateRules = (inboxId) => {
+  rulesCache.delete(inboxId);
+  stateStore.publish(RULES_CHANGED_CHANNEL, { inboxId }).catch(error =>
+    console.error('Failed to broadcast inbox rule change:', error)
+  );
+};
+
+/**
+ * Format a rule row for API responses
+ */
+export const formatRule = (rule) => ({
+  id: rule.id,
+  type: rule.type,
+  value: rule.value,
+  tag: rule.tag,
+  is_active: !!rule.is_active,
+  match_count: rule.match_count || 0,
+  created_at: rule.created_at
+});
+
+/**
+ * Validate rule input
+ * @param {object} input - { type, value, tag }
+ * @param {boolean} partial - Allow missing fields (updates)
+ * @returns {object} - { rule } or { error }
+ */
+export const validateRuleInput = (input = {}, partial = false) => {
+  const rule = {};
+
+  if (input.type !== undefined || !partial) {
+    if (!RULE_TYPES.includes(input.type)) {
+      return { error: `type must be one of: ${RULE_TYPES.join(', ')}` };
+    }
+    rule.type = input.type;
+  }
+
+  if (input.value !== undefined || !partial) {
+    if (typeof input.value !== 'string' || !input.value.trim() || input.value.length > 255) {
+      return { error: 'value must be a non-empty string of at most 255 characters' };
+    }
+    rule.value = input.value.trim().toLowerCase();
+  }
+
+  if (input.tag !== undefined && input.tag !== null) {
+    if (typeof input.tag !== 'string' || !/^[a-zA-Z0-9_.:-]{1,50}$/.test(input.tag)) {
+      return { error: 'tag must be 1-50 letters, digits or _ . : -' };
+    }
+    rule.tag = input.tag;
+  }
+
+  if (input.is_active !== undefined) {
+    rule.is_active = !!input.is_active;
+  }
+
+  return { rule };
+};
+
+/**
+ * List rules of an inbox
+ * @param {string} ownerType - 'temp_email' or 'api_email'
+ * @param {string} inboxId - temp_emails.id or API email ID
+ * @returns {Promise<Array>} - Rule rows
+ */
+export const listInboxRules = async (ownerType, inboxId) => {
+  const [rules] = await pool.query(
+    'SELECT * FROM inbox_rules WHERE owner_type = ? AND inbox_id = ? ORDER BY created_at ASC',
+    [ownerType, inboxId]
+  );
+  return rules;
+};
+
+/**
+ * Create a rule
+ * @returns {Promise<object>} - Created rule row
+ */
+export const createInboxRule = async (userId, ownerType, inboxId, { type, value, tag = null }) => {
+  const [countResult] = await pool.query(
+    'SELECT COUNT(*) as total FROM inbox_rules WHERE owner_type = ? AND inbox_id = ?',
+    [ownerType, inboxId]
+  );
+
+  if (countResult[0].total >= MAX_RULES_PER_INBOX) {
+    throw new Error('RULE_LIMIT_EXCEEDED');
+  }
+
+  const rule = {
+    id: uuidv4(),
+    owner_type: ownerType,
+    inbox_id: inboxId,
+    user_id: userId,
+    type,
+    value,
+    tag: type === 'tag_subject' ? (tag || value) : null,
+    is_active: true,
+    match_count: 0,
+    created_at: new Date()
+  };
+
+  await pool.query(`
+    INSERT INTO inbox_rules (id, owner_type, inbox_id, user_id, type, value, tag, is_active, match_count, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [rule.id, ownerType, inboxId, userId, type, value, rule.tag, true, 0, rule.created_at]);
+
+  invalidateRules(inboxId);
+  return rule;
+};
+
+/**
+ * Update a rule
+ * @returns {Promise<object|null>} - Updated rule row or null if not found
+ */
+export const updateInboxRule = async (ownerType, inboxId, ruleId, changes) => {
+  const fields = Object.keys(changes);
+  if (fields.length > 0) {
+    await pool.query(
+      `UPDATE inbox_rules SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ? AND owner_type = ? AND inbox_id = ?`,
+      [...fields.map(field => changes[field]), ruleId, ownerType, inboxId]
+    );
+  }
+
+  invalidateRules(inboxId);
+
+  const [rules] = await pool.query(
+    'SELECT * FROM inbox_rules WHERE id = ? AND owner_type = ? AND inbox_id = ?',
+    [ruleId, ownerType, inboxId]
+  );
+  return rules[0] || null;
+};
+
+/**
+ * Delete a rule
+ * @returns {Promise<boolean>} - True if deleted
+ */
+export const deleteInboxRule = async (ownerType, inboxId, ruleId) => {
+  const [result] = await pool.query(
+    'DELETE FROM inbox_rules WHERE id = ? AND owner_type = ? AND inbox_id = ?',
+    [ruleId, ownerType, inboxId]
+  );
+
+  invalidateRules(inboxId);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Delete every rule of an inbox (when the inbox is deleted or expires)
+ */
+export const deleteAllInboxRules = async (inboxId) => {
+  invalidateRules(inboxId);
+  await pool.query('DELETE FROM inbox_rules WHERE inbox_id = ?', [inboxId]);
+  await pool.query('DELETE FROM inbox_rule_stats WHERE inbox_id = ?', [inboxId]);
+};
+
+/**
+ * Get active rules of an inbox (cached, used by the webhook)
+ */
+const getActiveRules = async (inboxId) => {
+  const cached = rulesCache.get(inboxId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.rules;
+  }
+
+  const [rules] = await pool.query(
+    'SELECT id, type, value, tag FROM inbox_rules WHERE inbox_id = ? AND is_active = TRUE',
+    [inboxId]
+  );
+
+  rulesCache.set(inboxId, { rules, expiresAt: Date.now() + RULES_CACHE_TTL });
+  return rules;
+};
+
+/**
+ * Match a sender against a block_sender value
+ * Values with "*" are wildcards over the whole address, others match any part of it
+ */
+const senderMatches = (pattern, sender) => {
+  if (pattern.includes('*')) {
+    const regex = new RegExp('^' + pattern.split('*').map(part =>
+      part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    ).join('.*') + '$');
+    return regex.test(sender);
+  }
+  return sender.includes(pattern);
+};
+
+/**
+ * Check if a sender domain is (a subdomain of) an allowed domain
+ */
+const domainMatches = (allowed, senderDomain) => {
+  const domain = allowed.replace(/^@/, '');
+  return senderDomain === domain || senderDomain.endsWith(`.${domain}`);
+};
+
+/**
+ * Record that rules matched
+ */
+const countMatches = (ruleIds) => {
+  if (ruleIds.length === 0) return;
+
+  pool.query(
+    'UPDATE inbox_rules SET match_count = match_count + 1, last_matched_at = NOW() WHERE id IN (?)',
+    [ruleIds]
+  ).catch(error => console.error('Failed to count inbox rule matches:', error));
+};
+
+/**
+ * Count a rejected message for an inbox
+ */
+const countRejection = (inboxId) => {
+  pool.query(`
+    INSERT INTO inbox_rule_stats (inbox_id, rejected_count, last_rejected_at)
+    VALUES (?, 1, NOW())
+    ON DUPLICATE KEY UPDATE rejected_count = rejected_count + 1, last_rejected_at = NOW()
+  `, [inboxId]).catch(error => console.error('Failed to count rejected message:', error));
+};
+
+/**
+ * Get rejection statistics of an inbox
+ * @returns {Promise<object>} - { rejected_count, last_rejected_at }
+ */
+export const getInboxRuleStats = async (inboxId) => {
+  const [stats] = await pool.query(
+    'SELECT rejected_count, last_rejected_at FROM inbox_rule_stats WHERE inbox_id = ?',
+    [inboxId]
+  );
+  return stats[0] || { rejected_count: 0, last_rejected_at: null };
+};
+
+/**
+ * Evaluate the rules of an inbox against a received email
+ * Never throws: mail is accepted if the rules can't be loaded
+ * @param {string} inboxId - temp_emails.id or API email ID
+ * @param {object} emailData - { from_email, subject }
+ * @returns {Promise<object>} - { rejected, ruleId, tags }
+ */
+export const evaluateInboxRules = async (inboxId, emailData) => {
+  let rules;
+  try {
+    rules = await getActiveRules(inboxId);
+  } catch (error) {
+    console.error(`Failed to load inbox rules for ${inboxId}:`, error);
+    return { rejected: false, ruleId: null, tags: [] };
+  }
+
+  if (rules.length === 0) {
+    return { rejected: false, ruleId: null, tags: [] };
+  }
+
+  const sender = (emailData.from_email || '').toLowerCase();
+  const senderDomain = sender.split('@')[1] || '';
+  const subject = (emailData.subject || '').toLowerCase();
+
+  // Blocked senders
+  const blockRule = rules.find(rule => rule.type === 'block_sender' && senderMatches(rule.value, sender));
+  if (blockRule) {
+    countMatches([blockRule.id]);
+    countRejection(inboxId);
+    return { rejected: true, ruleId: blockRule.id, tags: [] };
+  }
+
+  // Allow-list of domains (only enforced when at least one exists)
+  const allowRules = rules.filter(rule => rule.type === 'allow_domain');
+  if (allowRules.length > 0 && !allowRules.some(rule => domainMatches(rule.value, senderDomain))) {
+    countRejection(inboxId);
+    return { rejected: true, ruleId: allowRules[0].id, tags: [] };
+  }
+
+  // Subject tags
+  const tagRules = rules.filter(rule => rule.type === 'tag_subject' && subject.includes(rule.value));
+  countMatches(tagRules.map(rule => rule.id));
+
+  return {
+    rejected: false,
+    ruleId: null,
+    tags: [...new Set(tagRules.map(rule => rule.tag || rule.value))]
+  };
+};
@@ -0,0 +1,191 @@
+// inboxSocket.js - Real-time WebSocket updates for temp inboxes (regular, custom domain and guest)
+// Dashboards connect to /inbox-ws with their JWT or guest token instead of polling
+// /emails/:id/received and /guest/emails/:id/received. The webhook publishes every
+// stored email to the owner's open connections, on every instance.
+import jwt from 'jsonwebtoken';
+import { WebSocketServer } from 'ws';
+import { isValidGuestToken } from '../guestSessionHandler.js';
+import { broadcastInboxEvent, onInboxEvent } from './inboxRouter.js';
+
+export const INBOX_SOCKET_PATH = '/inbox-ws';
+
+// Open connections per user or guest session
+const MAX_CONNECTIONS_PER_OWNER = 10;
+
+// Dead connections are dropped when they miss a ping
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+// Open connections by owner channel ('user:<id>' or 'guest:<id>')
+const connections = new Map(); // { channel: Set(ws) }
+
+let wss = null;
+
+const userChannel = (userId) => `user:${userId}`;
+const guestChannel = (guestId) => `guest:${guestId}`;
+
+/**
+ * Verify the token of an upgrade request (?token= or Authorization header)
+ * @returns {Promise<string|null>} - Owner channel or null if the token is invalid
+ */
+const authenticateUpgrade = async (request) => {
+  const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+  const authHeader = request.headers['authorization'];
+  const token = url.searchParams.get('token') || (authHeader && authHeader.split(' ')[1]);
+
+  if (!token) return null;
+
+  try {
+    const user = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (user.isGuest === true) {
+      return (await isValidGuestToken(token)) ? guestChannel(user.id) : null;
+    }
+
+    return userChannel(user.id);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Send a message to the open connections of an owner on this instance
+ */
+const sendToChannel = (channel, message) => {
+  const sockets = connections.get(channel);
+  if (!sockets) return;
+
+  const payload = JSON.stringify(message);
+  for (const ws of sockets) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(payload);
+    }
+  }
+};
+
+/**
+ * Push a stored email to its owner's connections on this and the other instances
+ */
+const publishEmail = (channel, tempEmailId, emailData) => {
+  const message = {
+    type: 'email_received',
+    temp_email_id: tempEmailId,
+    email: emailData,
+    timestamp: new Date().toISOString()
+  };
+
+  sendToChannel(channel, message);
+  broadcastInboxEvent('inbox-socket-email', { channel, message });
+};
+
+// Emails stored by other instances for owners connected here
+onInboxEvent('inbox-socket-email', ({ channel, message }) => {
+  sendToChannel(channel, message);
+});
+
+/**
+ * Notify a registered user about an email stored for one of their temp emails
+ * @param {string} userId - Owner of the temp email
+ * @param {string} tempEmailId - temp_emails.id
+ * @param {object} emailData - Stored email (same shape as the received listing)
+ */
+export const publishUserEmail = (userId, tempEmailId, emailData) => {
+  publishEmail(userChannel(userId), tempEmailId, emailData);
+};
+
+/**
+ * Notify a guest about an email stored in their session
+ * @param {string} token - Guest JWT token
+ * @param {string} tempEmailId - ID of the guest temp email
+ * @param {object} emailData - Stored email (same shape as the received listing)
+ */
+export const publishGuestEmail = (token, tempEmailId, emailData) => {
+  const guest = jwt.decode(token);
+  if (!guest?.id) return;
+
+  publishEmail(guestChannel(guest.id), tempEmailId, emailData);
+};
+
+/**
+ * Attach the inbox WebSocket server to the HTTP server (noServer mode, own path)
+ * Clients connect to /inbox-ws?token=<JWT or guest token> and receive
+ * { type: 'email_received', temp_email_id, email } for every new email
+ */
+export function setupInboxSocketServer(server) {
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (request, socket, head) => {
+    const pathname = request.url.split('?')[0];
+    if (pathname !== INBOX_SOCKET_PATH) return;
+
+    const channel = await authenticateUpgrade(request);
+    if (!channel) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      wss.emit('connection', ws, request, channel);
+    });
+  });
+
+  wss.on('connection', (ws, request, channel) => {
+    if (!connections.has(channel)) {
+      connections.set(channel, new Set());
+    }
+    const sockets = connections.get(channel);
+
+    if (sockets.size >= MAX_CONNECTIONS_PER_OWNER) {
+      ws.close(1008, 'Too many open connections');
+      return;
+    }
+    sockets.add(ws);
+
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+
+    ws.send(JSON.stringify({
+      type: 'connected',
+      message: 'Connected to real-time inbox updates',
+      timestamp: new Date().toISOString()
+    }));
+
+    ws.on('message', (message) => {
+      try {
+        const data = JSON.parse(message.toString());
+
+        // Handle ping message to keep connection alive
+        if (data.type === 'ping') {
+          ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+        }
+      } catch (error) {
+        // Ignore malformed client messages
+      }
+    });
+
+    ws.on('close', () => {
+      sockets.delete(ws);
+      if (sockets.size === 0) {
+        connections.delete(channel);
+      }
+    });
+
+    ws.on('error', (error) => {
+      console.error('Inbox WebSocket error:', error.message);
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+
+  console.log(`Inbox WebSocket server listening on ${INBOX_SOCKET_PATH}`);
+}
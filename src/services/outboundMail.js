@@ -0,0 +1,274 @@
+// outboundMail.js - Sending mail from temp addresses (new messages and replies)
+// Mail goes out through the rotating smtpManager pool, is charged through
+// creditManager and is limited by a daily per-tier quota
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import creditManager from './billing/creditManager.js';
+import { validateEmail, sanitizeText } from '../utils/inputValidation.js';
+
+// Emails a user can send per day, by subscription tier
+export const SEND_QUOTAS = {
+  free: 10,
+  premium: 100,
+  premium_plus: 500
+};
+
+// Size limits for outbound content
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_BODY_LENGTH = 100 * 1024; // 100KB
+
+/**
+ * Load the SMTP manager on first use
+ * It throws at construction when no SMTP account is configured, which must not
+ * prevent the server from starting
+ */
+const getSmtpManager = async () => (await import('./smtpManager.js')).default;
+
+/**
+ * Validate a send request
+ * @param {object} input - { to, subject, text, html }
+ * @param {boolean} isReply - Replies don't need a recipient or subject
+ * @returns {object} - { message } or { error }
+ */
+export const validateOutboundInput = (input = {}, isReply = false) => {
+  const message = {};
+
+  if (!isReply || input.to !== undefined) {
+    const { isValid, sanitized } = validateEmail(input.to);
+    if (!isValid) {
+      return { error: 'to must be a valid email address' };
+    }
+    message.to = sanitized;
+  }
+
+  if (!isReply || input.subject !== undefined) {
+    const subject = sanitizeText(input.subject || '');
+    if (!subject || subject.length > MAX_SUBJECT_LENGTH) {
+      return { error: `subject must be 1-${MAX_SUBJECT_LENGTH} characters` };
+    }
+    message.subject = subject;
+  }
+
+  const text = typeof input.text === 'string' ? input.text : '';
+  const html = typeof input.html === 'string' ? input.html : '';
+  if (!text.trim() && !html.trim()) {
+    return { error: 'Provide a text or html body' };
+  }
+  if (text.length > MAX_BODY_LENGTH || html.length > MAX_BODY_LENGTH) {
+    return { error: 'Message body is too large (max 100KB)' };
+  }
+
+  message.text = text || undefined;
+  message.html = html || undefined;
+  return { message };
+};
+
+/**
+ * Build threading headers for a reply
+ * @param {object} original - received_emails row
+ * @returns {object} - { inReplyTo, references }
+ */
+export const buildReplyHeaders = (original) => {
+  if (!original.message_id) {
+    return { inReplyTo: undefined, references: undefined };
+  }
+
+  const references = (original.references_header || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .filter(id => id !== original.message_id);
+
+  return {
+    inReplyTo: original.message_id,
+    references: [...references, original.message_id].join(' ')
+  };
+};
+
+/**
+ * Prefix a subject with "Re:" once
+ */
+export const replySubject = (subject) =>
+  /^re:/i.test(subject || '') ? subject : `Re: ${subject || ''}`.trim();
+
+/**
+ * Count the emails a user sent today, sends in progress included
+ */
+const countSentToday = async (userId) => {
+  const [rows] = await pool.query(`
+    SELECT COUNT(*) as total FROM outbound_emails
+    WHERE user_id = ? AND status IN ('pending', 'sent') AND created_at >= CURDATE()
+  `, [userId]);
+  return rows[0].total;
+};
+
+/**
+ * Get the send quota of a user for today
+ * @returns {Promise<object>} - { tier, limit, used, remaining }
+ */
+export const getSendQuota = async (userId) => {
+  const subscription = await creditManager.getUserSubscription(userId);
+  const tier = SEND_QUOTAS[subscription.tier] !== undefined ? subscription.tier : 'free';
+  const used = await countSentToday(userId);
+
+  return {
+    tier,
+    limit: SEND_QUOTAS[tier],
+    used,
+    remaining: Math.max(0, SEND_QUOTAS[tier] - used)
+  };
+};
+
+/**
+ * Record a send attempt
+ */
+const recordOutboundEmail = async (record) => {
+  await pool.query(`
+    INSERT INTO outbound_emails
+      (id, user_id, temp_email_id, reply_to_email_id, from_email, to_email, subject, message_id, status, error, credits_charged)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    record.id,
+    record.userId,
+    record.tempEmailId,
+    record.replyToEmailId || null,
+    record.from,
+    record.to,
+    record.subject,
+    record.messageId || null,
+    record.status,
+    record.error || null,
+    record.creditsCharged || 0
+  ]);
+};
+
+/**
+ * Update a send attempt once it is done
+ * @param {string} id - Outbound email ID
+ * @param {object} result - { status, messageId, error, creditsCharged }
+ */
+const completeOutboundEmail = async (id, result) => {
+  await pool.query(
+    'UPDATE outbound_emails SET status = ?, message_id = ?, error = ?, credits_charged = ? WHERE id = ?',
+    [result.status, result.messageId || null, result.error || null, result.creditsCharged || 0, id]
+  );
+};
+
+/**
+ * Remove the pending row of a send that didn't start
+ */
+const releaseSendSlot = async (id) => {
+  await pool.query("DELETE FROM outbound_emails WHERE id = ? AND status = 'pending'", [id]);
+};
+
+/**
+ * Reserve a slot of today's quota with a pending row
+ * The row is inserted before counting, so concurrent sends on any instance can't all pass
+ * @returns {Promise<number|null>} - Emails counted today with this one, null when over the limit
+ */
+const reserveSendSlot = async (outbound, limit) => {
+  await recordOutboundEmail({ ...outbound, status: 'pending' });
+
+  const used = await countSentToday(outbound.userId);
+  if (used > limit) {
+    await releaseSendSlot(outbound.id);
+    return null;
+  }
+  return used;
+};
+
+/**
+ * HTTP status and message for the errors thrown by sendFromTempAddress
+ */
+export const OUTBOUND_ERRORS = {
+  SEND_QUOTA_EXCEEDED: { status: 429, message: 'Daily send limit reached for your plan' },
+  INSUFFICIENT_CREDITS: { status: 402, message: 'Insufficient credits to send this email' },
+  SMTP_UNAVAILABLE: { status: 503, message: 'Sending email is not available right now' },
+  SEND_FAILED: { status: 502, message: 'Failed to send email' }
+};
+
+/**
+ * Send an email from a temp address
+ * Reserves a quota slot, charges credits, sends and refunds the charge if sending fails
+ * Throws SEND_QUOTA_EXCEEDED, SMTP_UNAVAILABLE, INSUFFICIENT_CREDITS or SEND_FAILED
+ * @param {object} options - { userId, tempEmail: { id, email }, message, replyTo: received_emails row }
+ * @returns {Promise<object>} - { id, message_id, credits_charged, remaining_balance, quota }
+ */
+export const sendFromTempAddress = async ({ userId, tempEmail, message, replyTo = null }) => {
+  const quota = await getSendQuota(userId);
+  if (quota.remaining <= 0) {
+    throw new Error('SEND_QUOTA_EXCEEDED');
+  }
+
+  let smtpManager;
+  try {
+    smtpManager = await getSmtpManager();
+  } catch (error) {
+    console.error('Outbound email unavailable:', error.message);
+    throw new Error('SMTP_UNAVAILABLE');
+  }
+
+  const threading = replyTo ? buildReplyHeaders(replyTo) : {};
+  const outbound = {
+    id: uuidv4(),
+    userId,
+    tempEmailId: tempEmail.id,
+    replyToEmailId: replyTo ? replyTo.id : null,
+    from: tempEmail.email,
+    to: message.to,
+    subject: message.subject
+  };
+
+  const used = await reserveSendSlot(outbound, quota.limit);
+  if (used === null) {
+    throw new Error('SEND_QUOTA_EXCEEDED');
+  }
+
+  // Throws INSUFFICIENT_CREDITS
+  let charge;
+  try {
+    charge = await creditManager.chargeCreditsForOutboundEmail(userId, quota.tier);
+  } catch (error) {
+    await releaseSendSlot(outbound.id);
+    throw error;
+  }
+
+  let result;
+  try {
+    result = await smtpManager.sendMessage({
+      from: tempEmail.email,
+      replyTo: tempEmail.email,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      inReplyTo: threading.inReplyTo,
+      references: threading.references
+    });
+  } catch (error) {
+    console.error(`Failed to send email from ${tempEmail.email}:`, error);
+
+    await creditManager.refundCharge(userId, charge);
+    await completeOutboundEmail(outbound.id, { status: 'failed', error: error.message }).catch(recordError =>
+      console.error('Failed to record outbound email:', recordError)
+    );
+
+    throw new Error('SEND_FAILED');
+  }
+
+  // The email is out, a failed update must not turn this into an error
+  await completeOutboundEmail(outbound.id, {
+    messageId: result.messageId,
+    status: 'sent',
+    creditsCharged: charge.totalCharged
+  }).catch(error => console.error('Failed to record outbound email:', error));
+
+  console.log(`Sent email from ${tempEmail.email} to ${message.to}`);
+
+  return {
+    id: outbound.id,
+    message_id: result.messageId,
+    credits_charged: charge.totalCharged,
+    remaining_balance: charge.remainingBalance,
+    quota: { ...quota, used, remaining: Math.max(0, quota.limit - used) }
+  };
+};
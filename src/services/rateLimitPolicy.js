@@ -0,0 +1,232 @@
+// rateLimitPolicy.js - Rate-limit policies shared by the API middleware and the usage tracker
+// A policy is a set of windows (1min, 5min, 1hour, 1day) with a limit each. Limits depend on
+// the user's subscription tier (some tiers are exempt) and, for inbox creation, on the time tier.
+// Windows are aligned to the clock: a 1min window resets at the next full minute.
+// Counters are shared between instances when the state store is (see sharedState.js).
+import stateStore from './sharedState.js';
+
+// Base limits per policy and window
+export const RATE_LIMIT_POLICIES = {
+  // Requests to /api/v1, per user
+  api_requests: {
+    windows: { '1min': 60 },
+    unlimitedTiers: ['unlimited', 'enterprise']
+  },
+  // Inboxes created through the API, per user (all time tiers share the counters)
+  email_creation: {
+    windows: { '1min': 10, '5min': 30, '1hour': 200, '1day': 2000 },
+    // Lower limits for longer-lived emails
+    timeTierMultipliers: { '10min': 1, '1hour': 0.8, '1day': 0.6 }
+  }
+};
+
+// Counters by policy, subject and window, used when the state store isn't shared (or fails)
+const counters = new Map(); // { `rate-limit:${policy}:${subjectId}:${window}:${resetAt}`: { count, resetAt } }
+
+// Drop counters of past windows every 10 minutes
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, counter] of counters.entries()) {
+    if (counter.resetAt <= now) {
+      counters.delete(key);
+    }
+  }
+}, 10 * 60 * 1000).unref();
+
+/**
+ * Get the end of the current window
+ * @param {string} window - 1min, 5min, 1hour or 1day
+ * @returns {number} Reset timestamp
+ */
+export const getWindowResetTime = (window) => {
+  const now = new Date();
+
+  switch (window) {
+    case '1min':
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate(),
+                     now.getHours(), now.getMinutes() + 1, 0, 0).getTime();
+    case '5min':
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate(),
+                     now.getHours(), Math.floor(now.getMinutes() / 5) * 5 + 5, 0, 0).getTime();
+    case '1hour':
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate(),
+                     now.getHours() + 1, 0, 0, 0).getTime();
+    case '1day':
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 0, 0, 0, 0).getTime();
+    default:
+      return Date.now() + 60000; // 1 minute fallback
+  }
+};
+
+/**
+ * Get the limits of a policy for a user
+ * @param {string} policyName - Key of RATE_LIMIT_POLICIES
+ * @param {object} context - { userTier, timeTier }
+ * @returns {object|null} - { window: limit } or null when the tier is unlimited
+ */
+export const getPolicyLimits = (policyName, { userTier = 'free', timeTier = null } = {}) => {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${policyName}`);
+  }
+
+  if (policy.unlimitedTiers?.includes(userTier)) {
+    return null;
+  }
+
+  const multiplier = (timeTier && policy.timeTierMultipliers?.[timeTier]) || 1;
+
+  const limits = {};
+  for (const [window, limit] of Object.entries(policy.windows)) {
+    limits[window] = Math.floor(limit * multiplier);
+  }
+  return limits;
+};
+
+/**
+ * Key of a counter, one per window period (the period ends at resetAt)
+ */
+const counterKey = (policyName, subjectId, window, resetAt) =>
+  `rate-limit:${policyName}:${subjectId}:${window}:${resetAt}`;
+
+/**
+ * Read a counter of the current window period
+ */
+const readCounter = async (key) => {
+  if (stateStore.isShared) {
+    try {
+      return (await stateStore.get(key)) || 0;
+    } catch (error) {
+      console.error('Shared rate limit counter failed, reading locally:', error);
+    }
+  }
+
+  const counter = counters.get(key);
+  return counter && counter.resetAt > Date.now() ? counter.count : 0;
+};
+
+/**
+ * Add to a counter of the current window period
+ * @returns {Promise<number>} - Count after adding
+ */
+const addToCounter = async (key, resetAt, cost) => {
+  if (stateStore.isShared) {
+    try {
+      const { count } = await stateStore.increment(key, Math.max(1, resetAt - Date.now()), cost);
+      return count;
+    } catch (error) {
+      console.error('Shared rate limit counter failed, counting locally:', error);
+    }
+  }
+
+  const counter = counters.get(key) || { count: 0, resetAt };
+  counter.count += cost;
+  counters.set(key, counter);
+  return counter.count;
+};
+
+const toWindowState = (window, limit, used, resetAt) => ({
+  window,
+  limit,
+  used,
+  remaining: Math.max(0, limit - used),
+  resetAt
+});
+
+/**
+ * Get the state of every window of a policy for a subject
+ * @param {string} policyName - Key of RATE_LIMIT_POLICIES
+ * @param {string} subjectId - Who is limited (user ID)
+ * @param {object} context - { userTier, timeTier }
+ * @returns {Promise<Array>} - [{ window, limit, used, remaining, resetAt }], empty when unlimited
+ */
+export const getRateLimitStatus = async (policyName, subjectId, context = {}) => {
+  const limits = getPolicyLimits(policyName, context);
+  if (!limits) return [];
+
+  return Promise.all(Object.entries(limits).map(async ([window, limit]) => {
+    const resetAt = getWindowResetTime(window);
+    const used = await readCounter(counterKey(policyName, subjectId, window, resetAt));
+    return toWindowState(window, limit, used, resetAt);
+  }));
+};
+
+/**
+ * Count usage of a policy in every window
+ * @returns {Promise<Array>} - Window states after counting
+ */
+export const consumeRateLimit = async (policyName, subjectId, context = {}, cost = 1) => {
+  const limits = getPolicyLimits(policyName, context);
+  if (!limits) return [];
+
+  return Promise.all(Object.entries(limits).map(async ([window, limit]) => {
+    const resetAt = getWindowResetTime(window);
+    const used = await addToCounter(counterKey(policyName, subjectId, window, resetAt), resetAt, cost);
+    return toWindowState(window, limit, used, resetAt);
+  }));
+};
+
+/**
+ * Give back units counted in a set of windows (the request was rejected or failed)
+ * @param {Array} windows - Window states returned when the units were counted
+ * @param {number} cost - Units to give back
+ */
+export const releaseRateLimit = async (policyName, subjectId, windows, cost = 1) => {
+  await Promise.all(windows.map(state =>
+    addToCounter(counterKey(policyName, subjectId, state.window, state.resetAt), state.resetAt, -cost)
+  ));
+};
+
+/**
+ * Count usage of a policy unless a window goes over its limit
+ * Units are counted first (atomic in the shared store), so concurrent requests on any
+ * instance can't all pass; a rejected reservation gives its units back
+ * @param {number} cost - Units about to be used (e.g. inboxes in a batch)
+ * @returns {Promise<object>} - { allowed, blocked: window state that is exceeded, windows }
+ */
+export const reserveRateLimit = async (policyName, subjectId, context = {}, cost = 1) => {
+  const counted = await consumeRateLimit(policyName, subjectId, context, cost);
+  if (counted.every(state => state.used <= state.limit)) {
+    return { allowed: true, blocked: null, windows: counted };
+  }
+
+  await releaseRateLimit(policyName, subjectId, counted, cost);
+
+  const windows = counted.map(state => toWindowState(state.window, state.limit, state.used - cost, state.resetAt));
+  const blocked = windows
+    .filter(state => state.used + cost > state.limit)
+    .sort((a, b) => b.resetAt - a.resetAt)[0];
+
+  return { allowed: false, blocked, windows };
+};
+
+/**
+ * Write rate limit headers for a set of window states
+ * X-RateLimit-Limit/Remaining/Reset describe the most constrained window (Reset in epoch seconds),
+ * X-RateLimit-*-<window> describe each window, Retry-After is set when a window is exceeded
+ * @param {object} res - Express response
+ * @param {Array} windows - From getRateLimitStatus / reserveRateLimit
+ * @param {object|null} blocked - Exceeded window state
+ */
+export const setRateLimitHeaders = (res, windows, blocked = null) => {
+  if (!windows || windows.length === 0) return;
+
+  const primary = blocked || [...windows].sort((a, b) =>
+    (a.remaining / a.limit) - (b.remaining / b.limit) || a.resetAt - b.resetAt
+  )[0];
+
+  res.setHeader('X-RateLimit-Limit', primary.limit);
+  res.setHeader('X-RateLimit-Remaining', primary.remaining);
+  res.setHeader('X-RateLimit-Reset', Math.ceil(primary.resetAt / 1000));
+  res.setHeader('X-RateLimit-Window', primary.window);
+
+  for (const state of windows) {
+    res.setHeader(`X-RateLimit-Limit-${state.window}`, state.limit);
+    res.setHeader(`X-RateLimit-Remaining-${state.window}`, state.remaining);
+    res.setHeader(`X-RateLimit-Reset-${state.window}`, Math.ceil(state.resetAt / 1000));
+  }
+
+  if (blocked) {
+    res.setHeader('Retry-After', Math.max(1, Math.ceil((blocked.resetAt - Date.now()) / 1000)));
+  }
+};
@@ -0,0 +1,117 @@
+// rawMessageService.js - Raw MIME source of received emails (.eml downloads and headers)
+// Shared by the webhook (storing) and the guest, dashboard and API routes (downloading)
+import { pool } from '../db/init.js';
+
+// Raw sources above this size are truncated to protect memory and the database
+export const MAX_RAW_MESSAGE_SIZE = parseInt(process.env.MAX_RAW_MESSAGE_SIZE || `${2 * 1024 * 1024}`); // 2 MB
+
+/**
+ * Convert the raw webhook body into a storable record, capped at MAX_RAW_MESSAGE_SIZE
+ * @param {string|Buffer} rawContent - Raw MIME source as received
+ * @returns {object|null} - { content (base64), size, truncated } or null if empty
+ */
+export const prepareRawMessage = (rawContent) => {
+  if (!rawContent) return null;
+
+  const buffer = Buffer.isBuffer(rawContent) ? rawContent : Buffer.from(String(rawContent), 'utf8');
+  const truncated = buffer.length > MAX_RAW_MESSAGE_SIZE;
+  if (truncated) {
+    console.warn(`Raw message of ${buffer.length} bytes truncated to ${MAX_RAW_MESSAGE_SIZE} bytes`);
+  }
+
+  return {
+    content: (truncated ? buffer.subarray(0, MAX_RAW_MESSAGE_SIZE) : buffer).toString('base64'),
+    size: buffer.length,
+    truncated
+  };
+};
+
+/**
+ * Persist the raw source of a received email stored in the database
+ * @param {string} emailId - received_emails.id
+ * @param {object|null} raw - Record from prepareRawMessage
+ * @param {object} connection - Optional connection (for transactions)
+ */
+export const saveRawMessage = async (emailId, raw, connection = pool) => {
+  if (!raw) return;
+
+  await connection.query(
+    'INSERT INTO received_email_raw (email_id, content, size, truncated) VALUES (?, ?, ?, ?)',
+    [emailId, Buffer.from(raw.content, 'base64'), raw.size, raw.truncated]
+  );
+};
+
+/**
+ * Load the raw source of a registered user's received email
+ * @param {string} userId - Owner of the temp email
+ * @param {string} tempEmailId - temp_emails.id
+ * @param {string} emailId - received_emails.id
+ * @returns {Promise<object|null>} - Raw record or null if not found
+ */
+export const getStoredRawMessage = async (userId, tempEmailId, emailId) => {
+  const [rows] = await pool.query(`
+    SELECT r.content, r.size, r.truncated
+    FROM received_email_raw r
+    JOIN received_emails re ON r.email_id = re.id
+    JOIN temp_emails te ON re.temp_email_id = te.id
+    WHERE re.id = ? AND te.id = ? AND te.user_id = ?
+  `, [emailId, tempEmailId, userId]);
+
+  if (rows.length === 0) return null;
+
+  return {
+    content: rows[0].content.toString('base64'),
+    size: rows[0].size,
+    truncated: !!rows[0].truncated
+  };
+};
+
+/**
+ * Parse the header block of a raw source
+ * Folded lines are unfolded, values are returned as sent (encoded words are not decoded)
+ * @param {object} raw - Raw record
+ * @returns {object} - { headers: { name: value | [values] }, lines: [{ name, value }], size, truncated }
+ */
+export const parseRawHeaders = (raw) => {
+  const source = Buffer.from(raw.content || '', 'base64').toString('utf8');
+  const headerEnd = source.search(/\r?\n\r?\n/);
+  const headerBlock = (headerEnd === -1 ? source : source.substring(0, headerEnd)).replace(/\r?\n[ \t]+/g, ' ');
+
+  const lines = [];
+  const headers = {};
+
+  for (const line of headerBlock.split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) continue;
+
+    const name = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+    lines.push({ name, value });
+
+    if (headers[name] === undefined) {
+      headers[name] = value;
+    } else {
+      headers[name] = [].concat(headers[name], value);
+    }
+  }
+
+  return { headers, lines, size: raw.size, truncated: !!raw.truncated };
+};
+
+/**
+ * Send a raw source as an .eml download
+ * @param {object} res - Express response
+ * @param {string} emailId - Received email ID, used as the file name
+ * @param {object} raw - Raw record
+ */
+export const sendRawMessage = (res, emailId, raw) => {
+  const buffer = Buffer.from(raw.content || '', 'base64');
+  const filename = `${String(emailId).replace(/[^a-zA-Z0-9_-]/g, '_')}.eml`;
+
+  res.setHeader('Content-Type', 'message/rfc822');
+  res.setHeader('Content-Length', buffer.length);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('X-Raw-Message-Size', raw.size);
+  res.setHeader('X-Raw-Message-Truncated', raw.truncated ? 'true' : 'false');
+  res.send(buffer);
+};
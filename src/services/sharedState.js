@@ -0,0 +1,252 @@
+// sharedState.js - Shared state layer for running several instances
+// Local implementation keeps everything in process (single instance, default)
+// Redis implementation shares keys, counters and pub/sub between instances
+// Selected with STATE_STORE ('local' or 'redis') and REDIS_URL
+import os from 'os';
+import { EventEmitter } from 'events';
+import Redis from 'ioredis';
+
+// Unique ID of this process, used to route deliveries to the instance holding an inbox
+export const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+
+// Prefix for every key and channel so the Redis database can be shared
+const KEY_PREFIX = process.env.STATE_STORE_PREFIX || 'boomlify:';
+
+// Atomic increment that starts the window on first hit
+const INCREMENT_SCRIPT = `
+  local count = redis.call('INCRBY', KEYS[1], ARGV[2])
+  if count == tonumber(ARGV[2]) then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  end
+  return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+/**
+ * In-process implementation (Maps and an EventEmitter)
+ */
+export class LocalStateStore {
+  constructor() {
+    this.name = 'local';
+    this.isShared = false;
+    this.values = new Map(); // { key: { value, expiresAt } }
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+
+    // Drop expired keys every minute
+    this.cleanupInterval = setInterval(() => this.cleanup(), 60 * 1000);
+    this.cleanupInterval.unref();
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.values.entries()) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.values.delete(key);
+      }
+    }
+  }
+
+  async get(key) {
+    const entry = this.values.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.values.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs = null) {
+    this.values.set(key, {
+      value,
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+
+  /**
+   * Set a key only if it doesn't exist yet
+   * @returns {Promise<boolean>} - True if the key was set
+   */
+  async setIfAbsent(key, value, ttlMs = null) {
+    if ((await this.get(key)) !== null) {
+      return false;
+    }
+    await this.set(key, value, ttlMs);
+    return true;
+  }
+
+  async delete(key) {
+    this.values.delete(key);
+  }
+
+  /**
+   * Increment a counter inside a fixed window
+   * @param {number} amount - Units to add (1 by default)
+   * @returns {Promise<object>} - { count, resetAt }
+   */
+  async increment(key, windowMs, amount = 1) {
+    const now = Date.now();
+    let entry = this.values.get(key);
+
+    if (!entry || (entry.expiresAt && entry.expiresAt <= now)) {
+      entry = { value: 0, expiresAt: now + windowMs };
+      this.values.set(key, entry);
+    }
+
+    entry.value += amount;
+    return { count: entry.value, resetAt: entry.expiresAt };
+  }
+
+  /**
+   * Append a value to a list, the list expires ttlMs after the last append
+   * @returns {Promise<number>} - Length of the list
+   */
+  async append(key, value, ttlMs = null) {
+    const list = (await this.get(key)) || [];
+    const updated = [...list, value];
+    await this.set(key, updated, ttlMs);
+    return updated.length;
+  }
+
+  /**
+   * Get the values of a list (empty when it doesn't exist)
+   */
+  async getList(key) {
+    return [...((await this.get(key)) || [])];
+  }
+
+  /**
+   * Publish a message to the handlers of a channel
+   * @returns {Promise<number>} - Number of handlers that received it
+   */
+  async publish(channel, message) {
+    const receivers = this.emitter.listenerCount(channel);
+    this.emitter.emit(channel, message);
+    return receivers;
+  }
+
+  subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+  }
+}
+
+/**
+ * Redis implementation (networked, shared by every instance)
+ */
+export class RedisStateStore {
+  constructor(url) {
+    this.name = 'redis';
+    this.isShared = true;
+    this.handlers = new Map(); // { channel: Set(handler) }
+
+    this.client = new Redis(url, { keyPrefix: KEY_PREFIX, maxRetriesPerRequest: 3 });
+    this.subscriber = new Redis(url);
+
+    this.client.on('error', (error) => console.error('State store error:', error.message));
+    this.subscriber.on('error', (error) => console.error('State store subscriber error:', error.message));
+
+    this.subscriber.on('message', (channel, payload) => {
+      const handlers = this.handlers.get(channel);
+      if (!handlers) return;
+
+      let message;
+      try {
+        message = JSON.parse(payload);
+      } catch (error) {
+        console.error(`Invalid message on ${channel}:`, error);
+        return;
+      }
+
+      for (const handler of handlers) {
+        handler(message);
+      }
+    });
+  }
+
+  async get(key) {
+    const value = await this.client.get(key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, ttlMs = null) {
+    if (ttlMs) {
+      await this.client.set(key, JSON.stringify(value), 'PX', Math.ceil(ttlMs));
+    } else {
+      await this.client.set(key, JSON.stringify(value));
+    }
+  }
+
+  async setIfAbsent(key, value, ttlMs = null) {
+    const result = ttlMs
+      ? await this.client.set(key, JSON.stringify(value), 'PX', Math.ceil(ttlMs), 'NX')
+      : await this.client.set(key, JSON.stringify(value), 'NX');
+    return result === 'OK';
+  }
+
+  async delete(key) {
+    await this.client.del(key);
+  }
+
+  async increment(key, windowMs, amount = 1) {
+    const [count, ttl] = await this.client.eval(INCREMENT_SCRIPT, 1, key, Math.ceil(windowMs), amount);
+    return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+  }
+
+  async append(key, value, ttlMs = null) {
+    const pipeline = this.client.multi().rpush(key, JSON.stringify(value));
+    if (ttlMs) {
+      pipeline.pexpire(key, Math.ceil(ttlMs));
+    }
+    const [[error, length]] = await pipeline.exec();
+    if (error) throw error;
+    return length;
+  }
+
+  async getList(key) {
+    const values = await this.client.lrange(key, 0, -1);
+    return values.map(value => JSON.parse(value));
+  }
+
+  async publish(channel, message) {
+    // Channels aren't covered by keyPrefix, the reply is the number of subscribed connections
+    return this.client.publish(KEY_PREFIX + channel, JSON.stringify(message));
+  }
+
+  subscribe(channel, handler) {
+    const prefixed = KEY_PREFIX + channel;
+
+    if (!this.handlers.has(prefixed)) {
+      this.handlers.set(prefixed, new Set());
+      this.subscriber.subscribe(prefixed).catch(error =>
+        console.error(`Failed to subscribe to ${channel}:`, error)
+      );
+    }
+    this.handlers.get(prefixed).add(handler);
+  }
+}
+
+/**
+ * Create the state store configured by STATE_STORE / REDIS_URL
+ */
+export const createStateStore = ({
+  type = process.env.STATE_STORE || 'local',
+  url = process.env.REDIS_URL
+} = {}) => {
+  if (type === 'redis') {
+    if (!url) {
+      console.warn('STATE_STORE=redis but REDIS_URL is not set, using local state store');
+      return new LocalStateStore();
+    }
+    return new RedisStateStore(url);
+  }
+
+  return new LocalStateStore();
+};
+
+// Export singleton instance
+const stateStore = createStateStore();
+console.log(`State store initialized (${stateStore.name}, instance ${INSTANCE_ID})`);
+
+export default stateStore;
@@ -199,6 +199,16 @@ class SMTPManager {
   }
 
   async sendEmail(to, subject, html) {
+    return this.sendMessage({ to, subject, html });
+  }
+
+  /**
+   * Send a message through the current SMTP server
+   * When `from` is set (e.g. a temp address) the SMTP account stays the envelope
+   * sender and the Sender header, so the relay accepts it
+   * @param {object} message - { to, subject, html, text, from, replyTo, inReplyTo, references }
+   */
+  async sendMessage({ to, subject, html, text, from, replyTo, inReplyTo, references }) {
     if (!this.transporter || !this.currentSMTP) {
       await this.initialize();
     }
@@ -221,12 +231,23 @@ class SMTPManager {
       }
 
       // Send email
-      const result = await this.transporter.sendMail({
-        from: `"${this.currentSMTP.from_name}" <${this.currentSMTP.from_email}>`,
+      const mail = {
+        from: from || `"${this.currentSMTP.from_name}" <${this.currentSMTP.from_email}>`,
         to,
         subject,
-        html
-      });
+        html,
+        text,
+        replyTo,
+        inReplyTo,
+        references
+      };
+
+      if (from) {
+        mail.sender = this.currentSMTP.from_email;
+        mail.envelope = { from: this.currentSMTP.from_email, to };
+      }
+
+      const result = await this.transporter.sendMail(mail);
 
       // Update counters
       await connection.query(`
@@ -0,0 +1,453 @@
+// spamScoring.js - Local spam and phishing scoring for inbound mail
+// Every check adds points to a score; the verdict depends on the total and on
+// whether phishing signals were found. Nothing here calls an external service.
+import { pool } from '../db/init.js';
+import { htmlToText } from '../utils/codeExtractor.js';
+
+// Verdict thresholds
+export const SUSPICIOUS_THRESHOLD = 3;
+export const SPAM_THRESHOLD = 5;
+
+// Verdicts stored with messages
+export const VERDICTS = ['clean', 'suspicious', 'spam', 'phishing'];
+
+// Keyword points are capped so a long newsletter can't score on keywords alone
+const MAX_KEYWORD_SCORE = 4;
+
+// Links checked per message
+const MAX_LINKS_CHECKED = 50;
+
+// Sender reputation needs a few messages before it counts
+const MIN_REPUTATION_MESSAGES = 5;
+
+// Smart caching for sender reputation
+const reputationCache = new Map(); // { domain: { message_count, spam_count, expiresAt } }
+const REPUTATION_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Authentication results are only trusted when added by our MX (MAIL_AUTHSERV_ID, comma-separated).
+// Senders can put any Authentication-Results header in a message before it reaches us.
+const TRUSTED_AUTHSERV_IDS = (process.env.MAIL_AUTHSERV_ID || 'custom.boomlify.com')
+  .split(',')
+  .map(id => id.trim().toLowerCase())
+  .filter(Boolean);
+
+// Brands commonly impersonated, with the domains they really send from
+const PROTECTED_BRANDS = {
+  paypal: ['paypal.com'],
+  apple: ['apple.com', 'icloud.com'],
+  microsoft: ['microsoft.com', 'outlook.com', 'live.com', 'office.com'],
+  google: ['google.com', 'gmail.com', 'youtube.com'],
+  amazon: ['amazon.com', 'amazonses.com'],
+  netflix: ['netflix.com'],
+  facebook: ['facebook.com', 'facebookmail.com', 'meta.com'],
+  instagram: ['instagram.com', 'facebookmail.com'],
+  coinbase: ['coinbase.com'],
+  binance: ['binance.com'],
+  dhl: ['dhl.com'],
+  fedex: ['fedex.com']
+};
+
+// Free mailbox providers (a "bank" writing from one of these is a red flag)
+const FREE_MAIL_DOMAINS = new Set([
+  'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'aol.com',
+  'mail.ru', 'yandex.ru', 'gmx.com', 'proton.me', 'protonmail.com'
+]);
+
+// TLDs seen mostly in abuse
+const SUSPICIOUS_TLDS = new Set([
+  'zip', 'mov', 'xyz', 'top', 'tk', 'ml', 'ga', 'cf', 'gq', 'click', 'country', 'work', 'rest', 'cam'
+]);
+
+const URL_SHORTENERS = new Set([
+  'bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly', 'cutt.ly', 'rb.gy', 'shorturl.at'
+]);
+
+// Body keyword rules: [pattern, points, category]
+const KEYWORD_RULES = [
+  [/verify your (account|identity|password)/i, 2, 'phishing'],
+  [/(account|access) (has been |was |will be )?(suspended|locked|disabled|limited)/i, 2.5, 'phishing'],
+  [/unusual (sign[- ]?in|login) activity/i, 1.5, 'phishing'],
+  [/confirm your (password|billing|payment) (details|information)/i, 2.5, 'phishing'],
+  [/update your (payment|billing) (method|details|information)/i, 2, 'phishing'],
+  [/(urgent|immediate) action required/i, 1.5, 'phishing'],
+  [/within 24 hours/i, 1, 'phishing'],
+  [/(wire|bank) transfer/i, 1, 'spam'],
+  [/(you have|you've) won|lottery|jackpot/i, 2, 'spam'],
+  [/(bitcoin|crypto) (investment|opportunity|giveaway)/i, 2, 'spam'],
+  [/100% (free|guaranteed)|risk[- ]free/i, 1, 'spam'],
+  [/act now|limited time offer|click here now/i, 1, 'spam'],
+  [/(cheap|buy) (viagra|cialis|meds)|online pharmacy/i, 3, 'spam'],
+  [/inheritance|beneficiary of (the )?(fund|estate)/i, 2, 'spam']
+];
+
+/**
+ * Lowercase domain of an email address
+ */
+const domainOf = (address) => ((address || '').split('@')[1] || '').toLowerCase().trim();
+
+/**
+ * Registrable part of a hostname (naive: last two labels)
+ */
+const baseDomain = (hostname) => hostname.split('.').slice(-2).join('.');
+
+/**
+ * Check if a hostname is (a subdomain of) one of the domains
+ */
+const belongsTo = (hostname, domains) =>
+  domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+
+/**
+ * Read header values from mailparser headers (Map) or a plain object
+ * @returns {Array<string>} - Header values as strings
+ */
+const headerValues = (headers, name) => {
+  if (!headers) return [];
+
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  if (value === undefined || value === null) return [];
+
+  return (Array.isArray(value) ? value : [value]).map(item =>
+    typeof item === 'string' ? item : (item.text || item.value || '')
+  ).filter(item => typeof item === 'string');
+};
+
+/**
+ * Check if an authentication header was added by our MX
+ * @param {string|undefined} authservId - authserv-id (Authentication-Results) or receiver (Received-SPF)
+ * @returns {boolean}
+ */
+const isTrustedAuthservId = (authservId) =>
+  !!authservId && TRUSTED_AUTHSERV_IDS.includes(authservId.toLowerCase());
+
+/**
+ * Parse SPF/DKIM/DMARC results from Authentication-Results headers
+ * Only headers added by our MX are read; the first result found for each method wins
+ * @param {object} headers - Parsed message headers
+ * @returns {object} - { spf, dkim, dmarc } with values like 'pass', 'fail', 'softfail' or null
+ */
+export const parseAuthenticationResults = (headers) => {
+  const results = { spf: null, dkim: null, dmarc: null };
+
+  for (const header of headerValues(headers, 'authentication-results')) {
+    // authserv-id [version] ; method=result ...
+    const authservId = header.split(';')[0].trim().split(/\s+/)[0];
+    if (!isTrustedAuthservId(authservId)) continue;
+
+    for (const method of Object.keys(results)) {
+      if (results[method]) continue;
+
+      const match = header.match(new RegExp(`\\b${method}\\s*=\\s*([a-z]+)`, 'i'));
+      if (match) {
+        results[method] = match[1].toLowerCase();
+      }
+    }
+  }
+
+  // Some MTAs only add Received-SPF (receiver= names the host that checked)
+  if (!results.spf) {
+    for (const receivedSpf of headerValues(headers, 'received-spf')) {
+      const receiver = receivedSpf.match(/\breceiver\s*=\s*([^;\s]+)/i);
+      if (!isTrustedAuthservId(receiver && receiver[1])) continue;
+
+      const match = receivedSpf.match(/^\s*([a-z]+)/i);
+      if (match) {
+        results.spf = match[1].toLowerCase();
+        break;
+      }
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Extract links (href and anchor text) from a message
+ * @returns {Array<object>} - { url, text } with text only for HTML anchors
+ */
+const extractLinks = (bodyHtml, bodyText) => {
+  const links = [];
+  const anchorPattern = /<a\s[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+  let match;
+
+  while ((match = anchorPattern.exec(bodyHtml || '')) && links.length < MAX_LINKS_CHECKED) {
+    links.push({ url: match[1].trim(), text: htmlToText(match[2]) });
+  }
+
+  for (const url of (bodyText || '').match(/https?:\/\/[^\s<>"')\]]+/gi) || []) {
+    if (links.length >= MAX_LINKS_CHECKED) break;
+    links.push({ url, text: null });
+  }
+
+  return links;
+};
+
+/**
+ * Parse a URL, ignoring anything that isn't http(s)
+ */
+const parseUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Find a protected brand named in a text or hostname
+ */
+const findBrand = (text) => {
+  const lower = (text || '').toLowerCase();
+  return Object.keys(PROTECTED_BRANDS).find(brand => new RegExp(`\\b${brand}\\b`).test(lower)) || null;
+};
+
+/**
+ * Score authentication results
+ */
+const scoreAuthentication = (auth, reasons) => {
+  if (auth.spf === 'fail') reasons.push({ rule: 'spf_fail', score: 2, category: 'spam' });
+  else if (auth.spf === 'softfail') reasons.push({ rule: 'spf_softfail', score: 1, category: 'spam' });
+
+  if (auth.dkim === 'fail') reasons.push({ rule: 'dkim_fail', score: 1.5, category: 'spam' });
+
+  if (auth.dmarc === 'fail') reasons.push({ rule: 'dmarc_fail', score: 3, category: 'phishing' });
+
+  if (auth.spf === 'pass' && auth.dkim === 'pass' && auth.dmarc === 'pass') {
+    reasons.push({ rule: 'auth_aligned', score: -1.5, category: 'ham' });
+  }
+};
+
+/**
+ * Score the sender: brand impersonation, reply-to mismatch and reputation
+ */
+const scoreSender = (emailData, headers, reputation, reasons) => {
+  const senderDomain = domainOf(emailData.from_email);
+
+  // Display name or domain names a brand the sender doesn't belong to
+  const brand = findBrand(emailData.from_name) || findBrand(senderDomain);
+  if (brand && !belongsTo(senderDomain, PROTECTED_BRANDS[brand])) {
+    reasons.push({
+      rule: 'brand_impersonation',
+      score: FREE_MAIL_DOMAINS.has(senderDomain) ? 3.5 : 3,
+      category: 'phishing',
+      detail: `${brand} from ${senderDomain || 'unknown domain'}`
+    });
+  }
+
+  // Replies go to a different domain than the sender
+  const replyTo = headerValues(headers, 'reply-to')[0];
+  const replyDomain = replyTo ? domainOf((replyTo.match(/<([^>]+)>/) || [null, replyTo])[1]) : '';
+  if (replyDomain && senderDomain && baseDomain(replyDomain) !== baseDomain(senderDomain)) {
+    reasons.push({ rule: 'reply_to_mismatch', score: 1, category: 'phishing', detail: replyDomain });
+  }
+
+  if (reputation && reputation.message_count >= MIN_REPUTATION_MESSAGES) {
+    const spamRatio = reputation.spam_count / reputation.message_count;
+    if (spamRatio >= 0.8) {
+      reasons.push({ rule: 'sender_reputation_bad', score: 3, category: 'spam', detail: senderDomain });
+    } else if (spamRatio >= 0.5) {
+      reasons.push({ rule: 'sender_reputation_poor', score: 1.5, category: 'spam', detail: senderDomain });
+    } else if (spamRatio < 0.05 && reputation.message_count >= 20) {
+      reasons.push({ rule: 'sender_reputation_good', score: -1, category: 'ham', detail: senderDomain });
+    }
+  }
+};
+
+/**
+ * Score links: raw IPs, shorteners, punycode, odd TLDs, brand lookalikes and
+ * anchors whose text shows a different domain than they point to
+ */
+const scoreLinks = (emailData, reasons) => {
+  const found = new Set();
+  const add = (rule, score, category, detail) => {
+    if (found.has(rule)) return;
+    found.add(rule);
+    reasons.push({ rule, score, category, detail });
+  };
+
+  for (const link of extractLinks(emailData.body_html, emailData.body_text)) {
+    const url = parseUrl(link.url);
+    if (!url) continue;
+
+    const hostname = url.hostname.toLowerCase();
+    const tld = hostname.split('.').pop();
+
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[')) {
+      add('url_ip_address', 2.5, 'phishing', hostname);
+    }
+    if (url.username || url.password) {
+      add('url_credentials', 2, 'phishing', hostname);
+    }
+    if (hostname.split('.').some(label => label.startsWith('xn--'))) {
+      add('url_punycode', 1.5, 'phishing', hostname);
+    }
+    if (SUSPICIOUS_TLDS.has(tld)) {
+      add('url_suspicious_tld', 1, 'spam', hostname);
+    }
+    if (URL_SHORTENERS.has(hostname)) {
+      add('url_shortener', 1, 'spam', hostname);
+    }
+
+    const brand = findBrand(hostname);
+    if (brand && !belongsTo(hostname, PROTECTED_BRANDS[brand])) {
+      add('url_brand_lookalike', 3, 'phishing', hostname);
+    }
+
+    // Anchor text shows a URL on another domain
+    const shown = link.text && link.text.match(/(?:https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})/i);
+    if (shown) {
+      const shownHost = shown[1].toLowerCase();
+      if (baseDomain(shownHost) !== baseDomain(hostname)) {
+        add('url_text_mismatch', 3, 'phishing', `${shownHost} -> ${hostname}`);
+      }
+    }
+  }
+};
+
+/**
+ * Score body and subject keywords
+ */
+const scoreKeywords = (emailData, reasons) => {
+  const text = `${emailData.subject || ''}\n${emailData.body_text || htmlToText(emailData.body_html) || ''}`;
+  let total = 0;
+
+  for (const [pattern, points, category] of KEYWORD_RULES) {
+    if (total >= MAX_KEYWORD_SCORE) break;
+
+    const match = text.match(pattern);
+    if (match) {
+      const score = Math.min(points, MAX_KEYWORD_SCORE - total);
+      total += score;
+      reasons.push({ rule: 'keyword', score, category, detail: match[0].toLowerCase() });
+    }
+  }
+
+  // Shouting subject
+  const letters = (emailData.subject || '').replace(/[^a-zA-Z]/g, '');
+  if (letters.length >= 10 && letters === letters.toUpperCase()) {
+    reasons.push({ rule: 'subject_all_caps', score: 0.5, category: 'spam' });
+  }
+};
+
+/**
+ * Get the reputation of a sender domain (cached)
+ * @returns {Promise<object|null>} - { message_count, spam_count } or null
+ */
+export const getSenderReputation = async (domain) => {
+  if (!domain) return null;
+
+  const cached = reputationCache.get(domain);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached;
+  }
+
+  try {
+    const [rows] = await pool.query(
+      'SELECT message_count, spam_count FROM sender_reputation WHERE sender_domain = ?',
+      [domain]
+    );
+
+    const reputation = {
+      message_count: rows[0]?.message_count || 0,
+      spam_count: rows[0]?.spam_count || 0,
+      expiresAt: Date.now() + REPUTATION_CACHE_TTL
+    };
+    reputationCache.set(domain, reputation);
+    return reputation;
+  } catch (error) {
+    console.error(`Failed to load sender reputation for ${domain}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Record a verdict for a sender domain
+ */
+export const recordSenderVerdict = (domain, isSpam) => {
+  if (!domain) return;
+
+  const cached = reputationCache.get(domain);
+  if (cached) {
+    cached.message_count++;
+    if (isSpam) cached.spam_count++;
+  }
+
+  pool.query(`
+    INSERT INTO sender_reputation (sender_domain, message_count, spam_count, last_seen_at)
+    VALUES (?, 1, ?, NOW())
+    ON DUPLICATE KEY UPDATE
+      message_count = message_count + 1,
+      spam_count = spam_count + VALUES(spam_count),
+      last_seen_at = NOW()
+  `, [domain, isSpam ? 1 : 0]).catch(error =>
+    console.error(`Failed to record sender reputation for ${domain}:`, error)
+  );
+};
+
+/**
+ * Score a message (pure, no I/O)
+ * @param {object} emailData - { from_email, from_name, subject, body_text, body_html }
+ * @param {object} headers - Parsed message headers
+ * @param {object} reputation - { message_count, spam_count } of the sender domain
+ * @returns {object} - { score, verdict, is_spam, auth, reasons }
+ */
+export const scoreMessage = (emailData, headers = null, reputation = null) => {
+  const reasons = [];
+  const auth = parseAuthenticationResults(headers);
+
+  scoreAuthentication(auth, reasons);
+  scoreSender(emailData, headers, reputation, reasons);
+  scoreLinks(emailData, reasons);
+  scoreKeywords(emailData, reasons);
+
+  const score = Math.round(reasons.reduce((total, reason) => total + reason.score, 0) * 10) / 10;
+  const phishingScore = reasons
+    .filter(reason => reason.category === 'phishing')
+    .reduce((total, reason) => total + reason.score, 0);
+
+  let verdict = 'clean';
+  if (score >= SPAM_THRESHOLD) {
+    verdict = phishingScore >= SUSPICIOUS_THRESHOLD ? 'phishing' : 'spam';
+  } else if (score >= SUSPICIOUS_THRESHOLD) {
+    verdict = 'suspicious';
+  }
+
+  return {
+    score,
+    verdict,
+    is_spam: verdict === 'spam' || verdict === 'phishing',
+    auth,
+    reasons
+  };
+};
+
+/**
+ * Score an inbound message and update the sender's reputation
+ * Never throws: mail is delivered unscored if something goes wrong
+ * @param {object} emailData - Cleaned email data
+ * @param {object} headers - Parsed message headers
+ * @returns {Promise<object>} - { score, verdict, is_spam, auth, reasons }
+ */
+export const scoreInboundEmail = async (emailData, headers) => {
+  try {
+    const domain = domainOf(emailData.from_email);
+    const reputation = await getSenderReputation(domain);
+    const result = scoreMessage(emailData, headers, reputation);
+
+    recordSenderVerdict(domain, result.is_spam);
+    return result;
+  } catch (error) {
+    console.error('Spam scoring failed:', error);
+    return { score: 0, verdict: 'clean', is_spam: false, auth: {}, reasons: [] };
+  }
+};
+
+/**
+ * Check the exclude_spam query parameter
+ */
+export const wantsSpamExcluded = (query) => query.exclude_spam === 'true';
+
+/**
+ * Drop spam and phishing messages from a list
+ */
+export const excludeSpam = (messages) => messages.filter(message => !message.is_spam);
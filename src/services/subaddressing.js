@@ -0,0 +1,38 @@
+// subaddressing.js - Plus-addressing for temp inboxes
+// Mail to name+tag@domain reaches the inbox name@domain, the tag is kept on the
+// message (subaddress) so one inbox can tell apart the flows that produced its mail
+
+/**
+ * Split a subaddressed recipient into the base address and the tag
+ * @param {string} recipient - Recipient address (lowercase)
+ * @returns {object} - { address, subaddress } (subaddress null when there is none)
+ */
+export const parseSubaddress = (recipient) => {
+  const separator = recipient.lastIndexOf('@');
+  const localPart = recipient.substring(0, separator);
+  const plus = localPart.indexOf('+');
+
+  if (separator <= 0 || plus <= 0) {
+    return { address: recipient, subaddress: null };
+  }
+
+  return {
+    address: `${localPart.substring(0, plus)}${recipient.substring(separator)}`,
+    subaddress: localPart.substring(plus + 1).substring(0, 64) || null
+  };
+};
+
+/**
+ * Read the ?subaddress= filter of an inbox listing
+ * @returns {string|null}
+ */
+export const getSubaddressFilter = (query) =>
+  typeof query.subaddress === 'string' && query.subaddress.trim()
+    ? query.subaddress.trim().toLowerCase()
+    : null;
+
+/**
+ * Keep the messages sent to one subaddress (no filter keeps everything)
+ */
+export const filterBySubaddress = (messages, subaddress) =>
+  subaddress ? messages.filter(message => message.subaddress === subaddress) : messages;
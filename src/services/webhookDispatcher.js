@@ -0,0 +1,482 @@
+// webhookDispatcher.js - Outbound webhooks for API users
+// Pushes new messages to callback URLs registered per API key owner or per API email
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { validateURL } from '../utils/inputValidation.js';
+
+// Retry configuration (exponential backoff: 5s, 10s, 20s, 40s, 80s)
+const MAX_DELIVERY_ATTEMPTS = 6;
+const BASE_RETRY_DELAY = 5000;
+const MAX_RETRY_DELAY = 30 * 60 * 1000; // 30 minutes
+const DELIVERY_TIMEOUT = 10000; // 10 seconds per attempt
+
+// Maximum webhooks a user can register
+export const MAX_WEBHOOKS_PER_USER = 10;
+
+// Smart caching for registered webhooks
+const webhooksCache = new Map(); // { userId: { webhooks: [], expiresAt } }
+const WEBHOOKS_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Signing secrets cache
+const secretsCache = new Map(); // { userId: secret }
+
+// Hostnames that must never receive webhooks (internal network)
+const PRIVATE_HOST_PATTERNS = [
+  /^localhost$/i,
+  /^127\./,
+  /^10\./,
+  /^192\.168\./,
+  /^172\.(1[6-9]|2\d|3[01])\./,
+  /^169\.254\./,
+  /^0\./,
+  /^\[?::1\]?$/,
+  /^\[?f[cd][0-9a-f]{2}:/i
+];
+
+// Address ranges webhooks must never connect to, whatever the hostname resolves to
+const PRIVATE_ADDRESS_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_ADDRESS_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  PRIVATE_ADDRESS_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+const allowPrivateWebhooks = () => process.env.ALLOW_PRIVATE_WEBHOOK_URLS === 'true';
+
+/**
+ * Check if an IP address is private, loopback, link-local or otherwise not routable
+ */
+const isPrivateAddress = (address) => {
+  const type = net.isIP(address);
+  if (!type) return false;
+  return PRIVATE_ADDRESS_RANGES.check(address, type === 6 ? 'ipv6' : 'ipv4');
+};
+
+const privateAddressError = (hostname) =>
+  Object.assign(new Error(`Webhook host ${hostname} resolves to a private address`), { code: 'EPRIVATEADDRESS' });
+
+/**
+ * DNS lookup for webhook sockets: refuses hosts resolving to a private address
+ * Runs when the connection is opened, so the checked address is the one connected to
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (!allowPrivateWebhooks() && addresses.some(isPrivateAddress)) {
+      return callback(privateAddressError(hostname));
+    }
+    callback(null, address, family);
+  });
+};
+
+const webhookHttpAgent = new http.Agent({ lookup: lookupPublicAddress });
+const webhookHttpsAgent = new https.Agent({ lookup: lookupPublicAddress });
+
+/**
+ * Validate a webhook callback URL
+ * @param {string} url - Callback URL
+ * @returns {object} - { isValid, sanitized, reason }
+ */
+export const validateWebhookUrl = (url) => {
+  const { isValid, sanitized } = validateURL(url);
+  if (!isValid) {
+    return { isValid: false, sanitized, reason: 'URL must be a valid http or https URL' };
+  }
+
+  const { hostname } = new URL(sanitized);
+  if (!allowPrivateWebhooks() &&
+      (PRIVATE_HOST_PATTERNS.some(pattern => pattern.test(hostname)) ||
+       isPrivateAddress(hostname.replace(/^\[|\]$/g, '')))) {
+    return { isValid: false, sanitized, reason: 'URL must not point to a private or local address' };
+  }
+
+  return { isValid: true, sanitized };
+};
+
+/**
+ * Get (or lazily create) the signing secret of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} - Signing secret
+ */
+export const getSigningSecret = async (userId) => {
+  if (secretsCache.has(userId)) {
+    return secretsCache.get(userId);
+  }
+
+  const [rows] = await pool.query(
+    'SELECT secret FROM api_webhook_secrets WHERE user_id = ?',
+    [userId]
+  );
+
+  if (rows.length > 0) {
+    secretsCache.set(userId, rows[0].secret);
+    return rows[0].secret;
+  }
+
+  return rotateSigningSecret(userId);
+};
+
+/**
+ * Generate a new signing secret for a user, replacing the old one
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} - New signing secret
+ */
+export const rotateSigningSecret = async (userId) => {
+  const secret = 'whsec_' + crypto.randomBytes(32).toString('hex');
+
+  await pool.query(`
+    INSERT INTO api_webhook_secrets (user_id, secret, created_at, updated_at)
+    VALUES (?, ?, NOW(), NOW())
+    ON DUPLICATE KEY UPDATE secret = VALUES(secret), updated_at = NOW()
+  `, [userId, secret]);
+
+  secretsCache.set(userId, secret);
+  return secret;
+};
+
+/**
+ * Sign a webhook payload
+ * Receivers verify HMAC-SHA256(secret, `${timestamp}.${body}`)
+ * @param {string} secret - User signing secret
+ * @param {string} body - Serialized JSON payload
+ * @param {number} timestamp - Unix timestamp (seconds)
+ * @returns {string} - Signature header value
+ */
+export const signPayload = (secret, body, timestamp) => {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Get active webhooks of a user (cached)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Webhook rows
+ */
+export const getUserWebhooks = async (userId) => {
+  const cached = webhooksCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.webhooks;
+  }
+
+  const [webhooks] = await pool.query(
+    'SELECT id, user_id, email_id, url, is_active, created_at FROM api_webhooks WHERE user_id = ? ORDER BY created_at DESC',
+    [userId]
+  );
+
+  webhooksCache.set(userId, {
+    webhooks,
+    expiresAt: Date.now() + WEBHOOKS_CACHE_TTL
+  });
+
+  return webhooks;
+};
+
+/**
+ * Register a webhook for a user
+ * @param {string} userId - User ID
+ * @param {string} url - Validated callback URL
+ * @param {string|null} emailId - API email ID (null for all emails of the user)
+ * @returns {Promise<object>} - Created webhook
+ */
+export const createWebhook = async (userId, url, emailId = null) => {
+  const [countResult] = await pool.query(
+    'SELECT COUNT(*) as total FROM api_webhooks WHERE user_id = ?',
+    [userId]
+  );
+
+  if (countResult[0].total >= MAX_WEBHOOKS_PER_USER) {
+    throw new Error('WEBHOOK_LIMIT_EXCEEDED');
+  }
+
+  const id = uuidv4();
+  await pool.query(
+    'INSERT INTO api_webhooks (id, user_id, email_id, url, is_active, created_at, updated_at) VALUES (?, ?, ?, ?, TRUE, NOW(), NOW())',
+    [id, userId, emailId, url]
+  );
+
+  webhooksCache.delete(userId);
+
+  // Make sure a signing secret exists before the first delivery
+  await getSigningSecret(userId);
+
+  return { id, user_id: userId, email_id: emailId, url, is_active: true, created_at: new Date() };
+};
+
+/**
+ * Delete a webhook
+ * @param {string} userId - User ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<boolean>} - True if deleted
+ */
+export const deleteWebhook = async (userId, webhookId) => {
+  const [result] = await pool.query(
+    'DELETE FROM api_webhooks WHERE id = ? AND user_id = ?',
+    [webhookId, userId]
+  );
+
+  webhooksCache.delete(userId);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Get recent deliveries of a user
+ * @param {string} userId - User ID
+ * @param {number} limit - Number of deliveries to return
+ * @returns {Promise<Array>} - Delivery rows
+ */
+export const getDeliveries = async (userId, limit = 50) => {
+  const [deliveries] = await pool.query(`
+    SELECT id, webhook_id, email_id, message_id, event, url, status, attempts,
+           response_status, last_error, created_at, updated_at, delivered_at
+    FROM api_webhook_deliveries
+    WHERE user_id = ?
+    ORDER BY created_at DESC
+    LIMIT ?
+  `, [userId, limit]);
+
+  return deliveries;
+};
+
+/**
+ * Perform a single HTTP delivery attempt
+ * The host is checked again here: DNS can change after registration
+ * @returns {Promise<object>} - { ok, status, error, durationMs }
+ */
+const sendWebhookRequest = async (url, body, headers) => {
+  const startedAt = Date.now();
+
+  try {
+    // IP literals skip the DNS lookup of the agents
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivateWebhooks() && isPrivateAddress(hostname)) {
+      throw privateAddressError(hostname);
+    }
+
+    const response = await axios.post(url, body, {
+      httpAgent: webhookHttpAgent,
+      httpsAgent: webhookHttpsAgent,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Boomlify-Webhooks/1.0',
+        ...headers
+      },
+      timeout: DELIVERY_TIMEOUT,
+      maxRedirects: 0,
+      validateStatus: () => true // Handle every status ourselves
+    });
+
+    const ok = response.status >= 200 && response.status < 300;
+    return {
+      ok,
+      status: response.status,
+      error: ok ? null : `HTTP ${response.status}`,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      status: null,
+      error: error.message,
+      durationMs: Date.now() - startedAt
+    };
+  }
+};
+
+/**
+ * Build signed request for a payload
+ */
+const buildSignedRequest = async (userId, deliveryId, event, payload) => {
+  const secret = await getSigningSecret(userId);
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  return {
+    body,
+    headers: {
+      'X-Webhook-Id': deliveryId,
+      'X-Webhook-Event': event,
+      'X-Webhook-Signature': signPayload(secret, body, timestamp)
+    }
+  };
+};
+
+/**
+ * Record a delivery attempt in the delivery log
+ */
+const logDeliveryAttempt = async (delivery, result) => {
+  try {
+    const status = result.ok
+      ? 'delivered'
+      : (delivery.attempts >= MAX_DELIVERY_ATTEMPTS ? 'failed' : 'pending');
+
+    await pool.query(`
+      INSERT INTO api_webhook_deliveries (
+        id, webhook_id, user_id, email_id, message_id, event, url,
+        status, attempts, response_status, last_error, created_at, updated_at, delivered_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW(), ?)
+      ON DUPLICATE KEY UPDATE
+        status = VALUES(status),
+        attempts = VALUES(attempts),
+        response_status = VALUES(response_status),
+        last_error = VALUES(last_error),
+        updated_at = NOW(),
+        delivered_at = VALUES(delivered_at)
+    `, [
+      delivery.id,
+      delivery.webhookId,
+      delivery.userId,
+      delivery.emailId,
+      delivery.messageId,
+      delivery.event,
+      delivery.url,
+      status,
+      delivery.attempts,
+      result.status,
+      result.error ? result.error.substring(0, 1000) : null,
+      result.ok ? new Date() : null
+    ]);
+  } catch (error) {
+    console.error(`Failed to log webhook delivery ${delivery.id}:`, error);
+  }
+};
+
+/**
+ * Attempt a delivery, scheduling retries with exponential backoff on failure
+ */
+const attemptDelivery = async (delivery) => {
+  delivery.attempts++;
+
+  try {
+    const { body, headers } = await buildSignedRequest(
+      delivery.userId,
+      delivery.id,
+      delivery.event,
+      delivery.payload
+    );
+    const result = await sendWebhookRequest(delivery.url, body, headers);
+
+    await logDeliveryAttempt(delivery, result);
+
+    if (result.ok) {
+      return;
+    }
+
+    if (delivery.attempts >= MAX_DELIVERY_ATTEMPTS) {
+      console.warn(`Webhook delivery ${delivery.id} to ${delivery.url} failed after ${delivery.attempts} attempts: ${result.error}`);
+      return;
+    }
+
+    const delay = Math.min(BASE_RETRY_DELAY * Math.pow(2, delivery.attempts - 1), MAX_RETRY_DELAY);
+    setTimeout(() => {
+      attemptDelivery(delivery).catch(err =>
+        console.error(`Webhook retry ${delivery.id} crashed:`, err)
+      );
+    }, delay);
+  } catch (error) {
+    console.error(`Webhook delivery ${delivery.id} failed:`, error);
+  }
+};
+
+/**
+ * Dispatch a new message to every matching webhook of the inbox owner
+ * Called by addApiEmailMessage, never throws
+ * @param {object} email - API email data (id, email, userId)
+ * @param {object} message - Formatted message
+ */
+export const dispatchMessageWebhooks = async (email, message) => {
+  try {
+    const webhooks = await getUserWebhooks(email.userId);
+    const targets = webhooks.filter(webhook =>
+      webhook.is_active && (!webhook.email_id || webhook.email_id === email.id)
+    );
+
+    for (const webhook of targets) {
+      const deliveryId = uuidv4();
+      const event = 'message.received';
+
+      attemptDelivery({
+        id: deliveryId,
+        webhookId: webhook.id,
+        userId: email.userId,
+        emailId: email.id,
+        messageId: message.id,
+        event,
+        url: webhook.url,
+        attempts: 0,
+        payload: {
+          id: deliveryId,
+          event,
+          created_at: new Date().toISOString(),
+          email: {
+            id: email.id,
+            address: email.email
+          },
+          message
+        }
+      });
+    }
+  } catch (error) {
+    console.error(`Failed to dispatch webhooks for API email ${email.email}:`, error);
+  }
+};
+
+/**
+ * Send a single test event to a URL (no retries)
+ * @param {string} userId - User ID
+ * @param {string} url - Callback URL
+ * @param {string} webhookId - Webhook ID (optional, for the delivery log)
+ * @returns {Promise<object>} - Delivery result
+ */
+export const sendTestWebhook = async (userId, url, webhookId = null) => {
+  const deliveryId = uuidv4();
+  const event = 'webhook.test';
+  const payload = {
+    id: deliveryId,
+    event,
+    created_at: new Date().toISOString(),
+    message: {
+      id: uuidv4(),
+      from_email: 'test@boomlify.com',
+      from_name: 'Boomlify Webhooks',
+      subject: 'Test webhook delivery',
+      body_text: 'This is a test delivery from your Boomlify API webhook settings.',
+      body_html: '<p>This is a test delivery from your Boomlify API webhook settings.</p>',
+      received_at: new Date().toISOString()
+    }
+  };
+
+  const { body, headers } = await buildSignedRequest(userId, deliveryId, event, payload);
+  const result = await sendWebhookRequest(url, body, headers);
+
+  if (webhookId) {
+    await logDeliveryAttempt({
+      id: deliveryId,
+      webhookId,
+      userId,
+      emailId: null,
+      messageId: payload.message.id,
+      event,
+      url,
+      attempts: 1
+    }, result);
+  }
+
+  return { delivery_id: deliveryId, ...result };
+};
@@ -21,6 +21,24 @@ export async function cleanupOldEmails() {
 
     console.log(`Cleaned up ${attachmentResult.affectedRows} orphaned attachments.`);
     
+    // Clean up orphaned search entries
+    const [searchResult] = await pool.query(`
+      DELETE s FROM received_email_search s
+      LEFT JOIN received_emails re ON s.email_id = re.id
+      WHERE re.id IS NULL
+    `);
+
+    console.log(`Cleaned up ${searchResult.affectedRows} orphaned search entries.`);
+    
+    // Clean up orphaned raw sources
+    const [rawResult] = await pool.query(`
+      DELETE r FROM received_email_raw r
+      LEFT JOIN received_emails re ON r.email_id = re.id
+      WHERE re.id IS NULL
+    `);
+
+    console.log(`Cleaned up ${rawResult.affectedRows} orphaned raw messages.`);
+    
     return {
       deletedEmails: result.affectedRows,
       deletedAttachments: attachmentResult.affectedRows
@@ -52,6 +70,24 @@ export async function manualCleanup(days = 10) {
 
     console.log(`Cleaned up ${attachmentResult.affectedRows} orphaned attachments.`);
     
+    // Clean up orphaned search entries
+    const [searchResult] = await pool.query(`
+      DELETE s FROM received_email_search s
+      LEFT JOIN received_emails re ON s.email_id = re.id
+      WHERE re.id IS NULL
+    `);
+
+    console.log(`Cleaned up ${searchResult.affectedRows} orphaned search entries.`);
+    
+    // Clean up orphaned raw sources
+    const [rawResult] = await pool.query(`
+      DELETE r FROM received_email_raw r
+      LEFT JOIN received_emails re ON r.email_id = re.id
+      WHERE re.id IS NULL
+    `);
+
+    console.log(`Cleaned up ${rawResult.affectedRows} orphaned raw messages.`);
+    
     return {
       deletedEmails: result.affectedRows,
       deletedAttachments: attachmentResult.affectedRows
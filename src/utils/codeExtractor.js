@@ -0,0 +1,167 @@
+// codeExtractor.js - Verification code and magic-link extraction for received emails
+// Runs on every stored message so clients don't have to scrape the HTML themselves
+
+// Words that usually sit next to a one-time code
+const CODE_KEYWORDS = /\b(code|codes|otp|passcode|pin|verify|verification|verifying|confirm|confirmation|one[- ]time|security|login|sign[- ]?in|2fa|two[- ]factor|token|c[oó]digo)\b/gi;
+
+// Candidate codes: 4-8 digits (or 3+3 split by a space or dash), or 4-8
+// alphanumerics of any case containing at least one digit and one letter
+const CODE_PATTERN = /\b(\d{3}[- ]\d{3}|\d{4,8}|(?=[A-Z0-9]*\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]{4,8})\b/gi;
+
+// How far (in characters) a code may be from a keyword
+const KEYWORD_DISTANCE = 40;
+
+// Years are only treated as codes right after a keyword ("code: 2024")
+const YEAR_PATTERN = /^(19|20)\d{2}$/;
+
+// Link text or URL fragments that identify confirmation and magic links
+const LINK_KEYWORDS = /(verify|verification|confirm|activate|activation|magic|log[-_ ]?in|sign[-_ ]?in|auth|token|reset|validate|one[-_ ]?time|otp|invite|accept)/i;
+
+// Links that are never what the user is looking for
+const IGNORED_LINKS = /(unsubscribe|optout|opt-out|preferences|privacy|terms|\.(png|jpe?g|gif|svg|webp|css|js)(\?|$))/i;
+
+const MAX_CODES = 5;
+const MAX_LINKS = 10;
+
+/**
+ * Convert an HTML body to plain text
+ * @param {string} html - HTML body
+ * @returns {string} - Text content
+ */
+export const htmlToText = (html) => {
+  if (!html) return '';
+
+  return html
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|tr|li|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;/gi, "'")
+    .replace(/[ \t]+/g, ' ');
+};
+
+/**
+ * Decode the HTML entities that commonly appear inside href attributes
+ */
+const decodeHref = (href) => href
+  .replace(/&amp;/gi, '&')
+  .replace(/&#x3D;|&#61;/gi, '=')
+  .trim();
+
+/**
+ * Find OTP codes near code-related keywords
+ * @param {string} text - Text to search
+ * @returns {Array<string>} - Codes, closest to a keyword first
+ */
+const extractCodes = (text) => {
+  if (!text) return [];
+
+  const keywordPositions = [];
+  for (const match of text.matchAll(CODE_KEYWORDS)) {
+    keywordPositions.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  if (keywordPositions.length === 0) return [];
+
+  const candidates = new Map(); // { code: distance }
+
+  for (const match of text.matchAll(CODE_PATTERN)) {
+    const start = match.index;
+    const end = start + match[0].length;
+
+    // Distance to the nearest keyword (either side)
+    let distance = Infinity;
+    for (const keyword of keywordPositions) {
+      const gap = keyword.end <= start ? start - keyword.end : keyword.start - end;
+      distance = Math.min(distance, Math.max(gap, 0));
+    }
+
+    if (distance > KEYWORD_DISTANCE) continue;
+
+    const code = match[0].replace(/[- ]/g, '');
+    if (YEAR_PATTERN.test(code) && distance > 3) continue;
+
+    if (!candidates.has(code) || candidates.get(code) > distance) {
+      candidates.set(code, distance);
+    }
+  }
+
+  return [...candidates.entries()]
+    .sort((a, b) => a[1] - b[1])
+    .slice(0, MAX_CODES)
+    .map(([code]) => code);
+};
+
+/**
+ * Find confirmation and magic-link URLs
+ * @param {string} html - HTML body
+ * @param {string} text - Plain text body
+ * @returns {Array<string>} - Links in the order they appear
+ */
+const extractLinks = (html, text) => {
+  const links = [];
+  const seen = new Set();
+
+  const addLink = (url, label = '') => {
+    if (!url || !/^https?:\/\//i.test(url) || seen.has(url)) return;
+    if (IGNORED_LINKS.test(url)) return;
+    if (!LINK_KEYWORDS.test(url) && !LINK_KEYWORDS.test(label)) return;
+
+    seen.add(url);
+    links.push(url);
+  };
+
+  // Anchors in the HTML body (anchor text counts as a keyword match)
+  if (html) {
+    const anchorPattern = /<a\b[^>]*?href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+    for (const match of html.matchAll(anchorPattern)) {
+      addLink(decodeHref(match[1]), htmlToText(match[2]));
+    }
+  }
+
+  // Bare URLs in the text body
+  if (text) {
+    for (const match of text.matchAll(/https?:\/\/[^\s<>"')\]]+/gi)) {
+      addLink(match[0].replace(/[.,;:!?]+$/, ''));
+    }
+  }
+
+  return links.slice(0, MAX_LINKS);
+};
+
+/**
+ * Extract verification codes and confirmation/magic links from an email
+ * @param {object} email - { subject, body_text, body_html }
+ * @returns {object} - { codes: [], links: [] }
+ */
+export const extractVerificationData = ({ subject = '', body_text = '', body_html = '' } = {}) => {
+  try {
+    const text = body_text || htmlToText(body_html);
+
+    return {
+      codes: extractCodes(`${subject || ''}\n${text}`),
+      links: extractLinks(body_html, text)
+    };
+  } catch (error) {
+    console.error('Failed to extract verification data:', error);
+    return { codes: [], links: [] };
+  }
+};
+
+/**
+ * Add extracted data to emails that don't have it yet (e.g. rows loaded from the database)
+ * @param {Array} emails - Received emails
+ * @returns {Array} - Same emails with an extracted object
+ */
+export const withExtractedData = (emails) => {
+  if (!emails) return emails;
+
+  return emails.map(email => email.extracted
+    ? email
+    : { ...email, extracted: extractVerificationData(email) }
+  );
+};
@@ -0,0 +1,82 @@
+// Local part generators and free address picking
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLocalPartGenerator, createAddressReserver } from '../src/services/addressGenerator.js';
+
+test('{rand} and {randN} expand to random characters', () => {
+  const random = buildLocalPartGenerator();
+  assert.match(random.generate(), /^[a-z0-9]{8}$/);
+  assert.equal(random.isRandom, true);
+
+  const sized = buildLocalPartGenerator({ pattern: 'qa-{rand4}-{rand12}' });
+  assert.match(sized.generate(), /^qa-[a-z0-9]{4}-[a-z0-9]{12}$/);
+
+  assert.match(buildLocalPartGenerator({ prefix: 'signup-' }).generate(), /^signup-[a-z0-9]{8}$/);
+});
+
+test('{run} and {date} expand to the run value and today', () => {
+  const generator = buildLocalPartGenerator({ pattern: 'ci-{run}-{date}', run: 'Build.42' });
+  const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+
+  assert.equal(generator.generate(), `ci-build.42-${today}`);
+  assert.equal(generator.isRandom, false);
+});
+
+test('a fixed local part is used as given', () => {
+  const generator = buildLocalPartGenerator({ local_part: 'Support' });
+
+  assert.equal(generator.generate(), 'support');
+  assert.equal(generator.isRandom, false);
+});
+
+test('invalid options are rejected', () => {
+  assert.ok(buildLocalPartGenerator({ prefix: 'a', pattern: '{rand}' }).error);
+  assert.ok(buildLocalPartGenerator({ pattern: 'qa-{run}' }).error);
+  assert.ok(buildLocalPartGenerator({ pattern: '{rand}', run: 'has space' }).error);
+  assert.ok(buildLocalPartGenerator({ pattern: '-{rand}' }).error);
+  assert.ok(buildLocalPartGenerator({ pattern: 'a..{rand}' }).error);
+  assert.ok(buildLocalPartGenerator({ pattern: '{unknown}' }).error);
+  assert.ok(buildLocalPartGenerator({ pattern: '{rand32}{rand32}{rand4}' }).error);
+});
+
+test('a taken address is retried with a new random local part', async () => {
+  const taken = new Set();
+  const reserver = createAddressReserver([async address => taken.has(address)]);
+
+  let calls = 0;
+  const generator = {
+    isRandom: true,
+    generate: () => (++calls <= 2 ? 'taken' : `free${calls}`)
+  };
+  taken.add('taken@boomlify.com');
+
+  assert.equal(await reserver.reserveAddress(generator, 'boomlify.com'), 'free3@boomlify.com');
+  assert.equal(calls, 3);
+});
+
+test('a fixed local part that is taken is not retried', async () => {
+  const reserver = createAddressReserver([async () => true]);
+  let calls = 0;
+  const generator = { isRandom: false, generate: () => { calls++; return 'support'; } };
+
+  await assert.rejects(reserver.reserveAddress(generator, 'boomlify.com'), { message: 'ADDRESS_IN_USE' });
+  assert.equal(calls, 1);
+});
+
+test('a reserved address stays taken until it is released', async () => {
+  const reserver = createAddressReserver([async () => false]);
+  const generator = buildLocalPartGenerator({ local_part: 'qa' });
+
+  assert.equal(await reserver.reserveAddress(generator, 'boomlify.com'), 'qa@boomlify.com');
+  assert.equal(await reserver.isAddressAvailable('qa@boomlify.com'), false);
+
+  reserver.releaseAddress('qa@boomlify.com');
+  assert.equal(await reserver.isAddressAvailable('qa@boomlify.com'), true);
+});
+
+test('an address held by any store is not available', async () => {
+  const reserver = createAddressReserver([async () => false, async address => address === 'x@boomlify.com']);
+
+  assert.equal(await reserver.isAddressAvailable('x@boomlify.com'), false);
+  assert.equal(await reserver.isAddressAvailable('y@boomlify.com'), true);
+});
@@ -0,0 +1,139 @@
+// API inbox lifetime pricing and expiry changes, charged through a stub
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateLifetimeCreditCost } from '../src/services/billing/creditPricing.js';
+import { createLifetimeManager, MAX_API_EMAIL_LIFETIME } from '../src/services/apiEmailLifetime.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Lifetime manager whose charges are recorded (or fail with failWith)
+ */
+const createManager = ({ failWith = null, delay = 0 } = {}) => {
+  const charges = [];
+  const persisted = [];
+  const manager = createLifetimeManager({
+    chargeExtension: async (userId, credits) => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      if (failWith) throw new Error(failWith);
+      charges.push(credits);
+      return { creditCharged: credits, remainingBalance: 100 - credits };
+    },
+    scheduleExpiry: () => {},
+    persistEmail: email => persisted.push({ ...email })
+  });
+  return { ...manager, charges, persisted };
+};
+
+const createEmail = (timeTier = '10min', lifetime = 10 * MINUTE, age = 0) => {
+  const createdAt = new Date(Date.now() - age);
+  return {
+    id: 'email-1',
+    userId: 'user-1',
+    email: 'qa@boomlify.com',
+    timeTier,
+    createdAt,
+    expiresAt: new Date(createdAt.getTime() + lifetime),
+    creditsPaid: timeTier === '10min' ? 1 : 5
+  };
+};
+
+const after = (email, lifetime) => new Date(email.createdAt.getTime() + lifetime);
+
+test('lifetimes are priced like the smallest tier that covers them', () => {
+  assert.equal(calculateLifetimeCreditCost(5 * MINUTE), 1);
+  assert.equal(calculateLifetimeCreditCost(10 * MINUTE), 1);
+  assert.equal(calculateLifetimeCreditCost(30 * MINUTE), 5);
+  assert.equal(calculateLifetimeCreditCost(HOUR), 5);
+  assert.equal(calculateLifetimeCreditCost(DAY), 25);
+  assert.equal(calculateLifetimeCreditCost(DAY + MINUTE), 50);
+  assert.equal(calculateLifetimeCreditCost(7 * DAY), 175);
+});
+
+test('an extension pays the difference with what was already paid', async () => {
+  const { setApiEmailExpiry, charges } = createManager();
+  const email = createEmail();
+
+  const billing = await setApiEmailExpiry(email, after(email, HOUR), 'free');
+
+  assert.deepEqual(billing, { creditCharged: 4, remainingBalance: 96 });
+  assert.deepEqual(charges, [4]);
+  assert.equal(email.creditsPaid, 5);
+  assert.equal(email.expiresAt.getTime(), after(email, HOUR).getTime());
+});
+
+test('shortening is free, refunds nothing and covers a later extension', async () => {
+  const { setApiEmailExpiry, charges } = createManager();
+  const email = createEmail('1hour', HOUR);
+
+  const shortened = await setApiEmailExpiry(email, after(email, 5 * MINUTE), 'free');
+  assert.equal(shortened.creditCharged, 0);
+  assert.equal(email.creditsPaid, 5);
+
+  const extended = await setApiEmailExpiry(email, after(email, 50 * MINUTE), 'free');
+  assert.equal(extended.creditCharged, 0);
+  assert.deepEqual(charges, []);
+});
+
+test('a lifetime over 7 days is refused', async () => {
+  const { setApiEmailExpiry, charges } = createManager();
+  const email = createEmail();
+  const expiresAt = email.expiresAt;
+
+  await assert.rejects(
+    setApiEmailExpiry(email, after(email, MAX_API_EMAIL_LIFETIME + MINUTE), 'free'),
+    { message: 'LIFETIME_TOO_LONG' }
+  );
+  assert.equal(email.expiresAt, expiresAt);
+
+  await setApiEmailExpiry(email, after(email, MAX_API_EMAIL_LIFETIME), 'free');
+  assert.deepEqual(charges, [174]);
+});
+
+test('concurrent extensions each pay only their own difference', async () => {
+  const { setApiEmailExpiry, charges } = createManager({ delay: 10 });
+  const email = createEmail();
+
+  await Promise.all([
+    setApiEmailExpiry(email, after(email, HOUR), 'free'),
+    setApiEmailExpiry(email, after(email, DAY), 'free')
+  ]);
+
+  assert.deepEqual(charges, [4, 20]);
+  assert.equal(email.creditsPaid, 25);
+});
+
+test('a failed charge leaves the expiry unchanged', async () => {
+  const { setApiEmailExpiry } = createManager({ failWith: 'INSUFFICIENT_CREDITS' });
+  const email = createEmail();
+  const expiresAt = email.expiresAt;
+
+  await assert.rejects(setApiEmailExpiry(email, after(email, HOUR), 'free'), { message: 'INSUFFICIENT_CREDITS' });
+  assert.equal(email.expiresAt, expiresAt);
+  assert.equal(email.creditsPaid, 1);
+});
+
+test('a failed auto-extend charge stops auto-extending', async () => {
+  const { autoExtendApiEmail, persisted } = createManager({ failWith: 'INSUFFICIENT_CREDITS' });
+  const email = { ...createEmail('10min', 10 * MINUTE, 5 * MINUTE), autoExtendOnMessage: true };
+  const expiresAt = email.expiresAt;
+
+  await autoExtendApiEmail(email);
+
+  assert.equal(email.autoExtendOnMessage, false);
+  assert.equal(email.expiresAt, expiresAt);
+  assert.equal(persisted.at(-1).autoExtendOnMessage, false);
+});
+
+test('auto-extend renews by one tier duration', async () => {
+  const { autoExtendApiEmail, charges } = createManager();
+  const email = { ...createEmail('10min', 10 * MINUTE, 5 * MINUTE), autoExtendOnMessage: true };
+
+  await autoExtendApiEmail(email);
+
+  assert.ok(email.expiresAt.getTime() >= Date.now() + 10 * MINUTE - 1000);
+  assert.equal(email.autoExtendOnMessage, true);
+  assert.deepEqual(charges, [4]);
+});
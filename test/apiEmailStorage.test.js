@@ -0,0 +1,63 @@
+// Message content in the process-only storage backend
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../src/db/init.js';
+import { createMemoryStorage, createMysqlStorage } from '../src/services/apiEmailStorage.js';
+
+// The MySQL pool is created on import (never connected here), close it so the run can end
+after(() => pool.end());
+
+const attachment = (id) => ({ id, filename: `${id}.txt`, content_type: 'text/plain', size: 5, content: 'aGVsbG8=' });
+const raw = { content: 'U3ViamVjdDogaGk=', size: 11, truncated: false };
+
+test('content is read back by message and attachment ID', async () => {
+  const storage = createMemoryStorage();
+  await storage.saveMessageContent('msg-1', { attachments: [attachment('att-1')], raw });
+
+  assert.deepEqual(await storage.getMessageAttachment('msg-1', 'att-1'), attachment('att-1'));
+  assert.equal(await storage.getMessageAttachment('msg-1', 'att-2'), null);
+  assert.equal(await storage.getMessageAttachment('msg-2', 'att-1'), null);
+  assert.deepEqual(await storage.getMessageRaw('msg-1'), raw);
+});
+
+test('content of an undelivered message is removed', async () => {
+  const storage = createMemoryStorage();
+  await storage.saveMessageContent('msg-1', { attachments: [attachment('att-1')], raw });
+
+  await storage.deleteMessageContent('msg-1');
+  assert.equal(await storage.getMessageRaw('msg-1'), null);
+});
+
+test('content goes with trimmed messages and deleted inboxes', async () => {
+  const storage = createMemoryStorage();
+  for (let i = 0; i <= 50; i++) {
+    await storage.saveMessageContent(`msg-${i}`, { raw });
+    await storage.saveMessage('email-1', { id: `msg-${i}` });
+  }
+
+  assert.equal(await storage.getMessageRaw('msg-0'), null);
+  assert.deepEqual(await storage.getMessageRaw('msg-1'), raw);
+
+  await storage.deleteEmail('email-1');
+  assert.equal(await storage.getMessageRaw('msg-50'), null);
+});
+
+test('mysql storage removes the content of trimmed messages with them', async () => {
+  const queries = [];
+  const db = {
+    query: async (sql, params) => {
+      queries.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+      return sql.includes('SELECT id FROM api_email_messages') ? [[{ id: 'msg-old' }]] : [{ affectedRows: 1 }];
+    }
+  };
+
+  await createMysqlStorage(db).saveMessage('email-1', { id: 'msg-new', received_at: new Date().toISOString() });
+
+  const deletes = queries.filter(query => query.sql.startsWith('DELETE'));
+  assert.deepEqual(deletes.map(query => query.sql), [
+    'DELETE c FROM api_email_attachments c WHERE c.message_id IN (?)',
+    'DELETE c FROM api_email_raw c WHERE c.message_id IN (?)',
+    'DELETE FROM api_email_messages WHERE id IN (?)'
+  ]);
+  deletes.forEach(query => assert.deepEqual(query.params, [['msg-old']]));
+});
@@ -0,0 +1,126 @@
+// Custom domain DNS checks, run against a stub resolver
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDnsReport, getVerificationRecord } from '../src/services/domainVerification.js';
+
+const DOMAIN = 'example.com';
+const TOKEN = 'token123';
+
+const noRecord = () => Promise.reject(Object.assign(new Error('no data'), { code: 'ENODATA' }));
+
+/**
+ * Resolver answering from fixed records, missing names have no record
+ * @param {object} mx - { name: [{ exchange, priority }] }
+ * @param {object} txt - { name: ['value'] }
+ */
+const createResolver = ({ mx = {}, txt = {} } = {}) => ({
+  resolveMx: (name) => mx[name] ? Promise.resolve(mx[name]) : noRecord(),
+  resolveTxt: (name) => txt[name] ? Promise.resolve(txt[name].map(value => [value])) : noRecord()
+});
+
+const ownershipTxt = (token = TOKEN) => {
+  const record = getVerificationRecord(DOMAIN, token);
+  return { [record.host]: [record.value] };
+};
+
+const ourMx = [{ exchange: 'custom.boomlify.com', priority: 10 }];
+
+const check = (report, name) => report.checks.find(item => item.name === name);
+
+test('a domain with our MX and the ownership token is verifiable', async () => {
+  const resolver = createResolver({ mx: { [DOMAIN]: ourMx }, txt: ownershipTxt() });
+
+  const report = await buildDnsReport(DOMAIN, TOKEN, { resolver });
+
+  assert.equal(report.verifiable, true);
+  assert.equal(check(report, 'ownership').status, 'pass');
+  assert.equal(check(report, 'mx').status, 'pass');
+});
+
+test('MX records partly pointing elsewhere warn but stay verifiable', async () => {
+  const resolver = createResolver({
+    mx: { [DOMAIN]: [...ourMx, { exchange: 'mx.other-host.net', priority: 20 }] },
+    txt: ownershipTxt()
+  });
+
+  const report = await buildDnsReport(DOMAIN, TOKEN, { resolver });
+
+  assert.equal(check(report, 'mx').status, 'warn');
+  assert.equal(report.verifiable, true);
+});
+
+test('MX records pointing to another server fail', async () => {
+  const resolver = createResolver({
+    mx: { [DOMAIN]: [{ exchange: 'mx.notboomlify.com', priority: 10 }] },
+    txt: ownershipTxt()
+  });
+
+  const report = await buildDnsReport(DOMAIN, TOKEN, { resolver });
+
+  assert.equal(check(report, 'mx').status, 'fail');
+  assert.equal(report.verifiable, false);
+});
+
+test('a TXT record with another token fails the ownership check', async () => {
+  const resolver = createResolver({ mx: { [DOMAIN]: ourMx }, txt: ownershipTxt('other-token') });
+
+  const report = await buildDnsReport(DOMAIN, TOKEN, { resolver });
+
+  const ownership = check(report, 'ownership');
+  assert.equal(ownership.status, 'fail');
+  assert.equal(ownership.message, 'TXT record found with a different token');
+  assert.equal(report.verifiable, false);
+});
+
+test('several SPF or DMARC records fail without blocking verification', async () => {
+  const resolver = createResolver({
+    mx: { [DOMAIN]: ourMx },
+    txt: {
+      ...ownershipTxt(),
+      [DOMAIN]: ['v=spf1 -all', 'v=spf1 include:other.net ~all'],
+      [`_dmarc.${DOMAIN}`]: ['v=DMARC1; p=reject', 'v=DMARC1; p=none']
+    }
+  });
+
+  const report = await buildDnsReport(DOMAIN, TOKEN, { resolver });
+
+  assert.equal(check(report, 'spf').status, 'fail');
+  assert.equal(check(report, 'dmarc').status, 'fail');
+  assert.equal(check(report, 'dmarc').policy, null);
+  assert.equal(report.verifiable, true);
+});
+
+test('a failed lookup fails the required check', async () => {
+  const resolver = {
+    ...createResolver({ txt: ownershipTxt() }),
+    resolveMx: () => Promise.reject(Object.assign(new Error('refused'), { code: 'EREFUSED' }))
+  };
+
+  const report = await buildDnsReport(DOMAIN, TOKEN, { resolver });
+
+  assert.equal(check(report, 'mx').status, 'fail');
+  assert.equal(check(report, 'mx').message, 'MX lookup failed (EREFUSED)');
+  assert.equal(report.verifiable, false);
+});
+
+test('a lookup that never answers times out', async () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  try {
+    const resolver = {
+      ...createResolver({ txt: ownershipTxt() }),
+      resolveMx: () => new Promise(() => {})
+    };
+
+    const pending = buildDnsReport(DOMAIN, TOKEN, { resolver });
+    // Let the ownership lookup finish and the MX lookup start its timer
+    await new Promise(resolve => setImmediate(resolve));
+    mock.timers.tick(10000);
+    const report = await pending;
+
+    assert.equal(check(report, 'mx').status, 'fail');
+    assert.equal(check(report, 'mx').message, 'MX lookup failed (ETIMEOUT)');
+    assert.equal(report.verifiable, false);
+  } finally {
+    mock.timers.reset();
+  }
+});
@@ -0,0 +1,97 @@
+// Idempotency-Key handling over a small Express app (records kept in the local state store)
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { apiIdempotency } from '../src/middleware/idempotency.js';
+
+let calls = 0;
+let onSlowRequest = () => {};
+let releaseSlowRequest = () => {};
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.apiUser = { id: 'user-1' };
+  next();
+});
+app.use(apiIdempotency);
+app.post('/emails', (req, res) => {
+  calls++;
+  res.status(201).json({ id: `email-${calls}`, name: req.body.name });
+});
+app.post('/slow', async (req, res) => {
+  onSlowRequest();
+  await new Promise(resolve => { releaseSlowRequest = resolve; });
+  res.json({ done: true });
+});
+app.post('/invalid', (req, res) => {
+  calls++;
+  res.status(400).json({ error: 'Invalid request' });
+});
+app.post('/text', (req, res) => {
+  calls++;
+  res.status(500).send('Failed');
+});
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+after(() => server.close());
+
+const post = (path, key, body = {}) => fetch(baseUrl + path, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+  body: JSON.stringify(body)
+});
+
+test('a retried request gets the stored response', async () => {
+  calls = 0;
+
+  const first = await post('/emails', 'key-replay', { name: 'a' });
+  const second = await post('/emails', 'key-replay', { name: 'a' });
+
+  assert.equal(first.status, 201);
+  assert.equal(second.status, 201);
+  assert.equal(second.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(await second.json(), await first.json());
+  assert.equal(calls, 1);
+});
+
+test('a key is refused while its first request is running', async () => {
+  const started = new Promise(resolve => { onSlowRequest = resolve; });
+  const first = post('/slow', 'key-running');
+  await started;
+
+  const second = await post('/slow', 'key-running');
+  assert.equal(second.status, 409);
+  assert.equal((await second.json()).code, 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+
+  releaseSlowRequest();
+  assert.equal((await first).status, 200);
+});
+
+test('a key reused with a different body is rejected', async () => {
+  await post('/emails', 'key-reused', { name: 'a' });
+  const second = await post('/emails', 'key-reused', { name: 'b' });
+
+  assert.equal(second.status, 422);
+  assert.equal((await second.json()).code, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('error responses are not stored', async () => {
+  calls = 0;
+
+  assert.equal((await post('/invalid', 'key-invalid')).status, 400);
+  const retry = await post('/invalid', 'key-invalid');
+
+  assert.equal(retry.status, 400);
+  assert.equal(retry.headers.get('idempotent-replayed'), null);
+  assert.equal(calls, 2);
+});
+
+test('responses sent without res.json release the key', async () => {
+  calls = 0;
+
+  assert.equal((await post('/text', 'key-text')).status, 500);
+  assert.equal((await post('/text', 'key-text')).status, 500);
+  assert.equal(calls, 2);
+});
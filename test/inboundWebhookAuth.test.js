@@ -0,0 +1,122 @@
+// Inbound mail authentication, called with fake requests
+// The allowlist and proxy settings are read at load time, so each configuration
+// imports its own copy of the module
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+const SECRET = 'test-secret';
+process.env.MAILSERVER_WEBHOOK_SECRET = SECRET;
+
+let copies = 0;
+const loadMiddleware = async (env = {}) => {
+  Object.assign(process.env, env);
+  try {
+    return await import(`../src/middleware/inboundWebhookAuth.js?copy=${++copies}`);
+  } finally {
+    Object.keys(env).forEach(name => delete process.env[name]);
+  }
+};
+
+const { verifyInboundWebhook, signInboundRequest } = await loadMiddleware();
+
+const nonce = () => crypto.randomBytes(16).toString('hex');
+const now = () => Math.floor(Date.now() / 1000);
+
+const createRequest = ({ body = 'recipient=a%40boomlify.com', signature, ip = '10.0.0.5', forwardedFor } = {}) => ({
+  headers: {
+    ...(signature ? { 'x-mailserver-signature': signature } : {}),
+    ...(forwardedFor ? { 'x-forwarded-for': forwardedFor } : {})
+  },
+  rawBody: Buffer.from(body),
+  socket: { remoteAddress: ip },
+  originalUrl: '/webhook/email/incoming'
+});
+
+/**
+ * Run the middleware, resolves with { passed } or { status, body }
+ */
+const run = (middleware, req) => new Promise((resolve, reject) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ passed: false, status: this.statusCode, body });
+      return this;
+    }
+  };
+  Promise.resolve(middleware(req, res, () => resolve({ passed: true }))).catch(reject);
+});
+
+const signed = (options = {}) => {
+  const body = options.body || 'recipient=a%40boomlify.com';
+  return createRequest({
+    ...options,
+    body,
+    signature: signInboundRequest(SECRET, body, options.timestamp || now(), options.nonce || nonce())
+  });
+};
+
+test('a request signed with the secret is accepted', async () => {
+  assert.deepEqual(await run(verifyInboundWebhook, signed()), { passed: true });
+});
+
+test('a signature made with another secret is rejected', async () => {
+  const req = createRequest({ signature: signInboundRequest('other-secret', 'recipient=a%40boomlify.com', now(), nonce()) });
+
+  const result = await run(verifyInboundWebhook, req);
+  assert.equal(result.status, 401);
+  assert.equal(result.body.reason, 'invalid_signature');
+});
+
+test('a signature over another body is rejected', async () => {
+  const req = signed();
+  req.rawBody = Buffer.from('recipient=b%40boomlify.com');
+
+  assert.equal((await run(verifyInboundWebhook, req)).body.reason, 'invalid_signature');
+});
+
+test('an old timestamp is rejected', async () => {
+  const result = await run(verifyInboundWebhook, signed({ timestamp: now() - 10 * 60 }));
+
+  assert.equal(result.status, 401);
+  assert.equal(result.body.reason, 'stale_timestamp');
+});
+
+test('a replayed nonce is rejected', async () => {
+  const options = { nonce: nonce(), timestamp: now() };
+
+  assert.deepEqual(await run(verifyInboundWebhook, signed(options)), { passed: true });
+  const replay = await run(verifyInboundWebhook, signed(options));
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.reason, 'replayed_nonce');
+});
+
+test('the allowlist checks the socket address without trusted proxies', async () => {
+  const { verifyInboundWebhook: verify } = await loadMiddleware({ MAILSERVER_ALLOWED_IPS: '10.0.0.0/24' });
+
+  assert.deepEqual(await run(verify, signed({ ip: '::ffff:10.0.0.5' })), { passed: true });
+
+  // X-Forwarded-For is set by the client and ignored
+  const spoofed = await run(verify, signed({ ip: '203.0.113.9', forwardedFor: '10.0.0.5' }));
+  assert.equal(spoofed.status, 403);
+  assert.equal(spoofed.body.reason, 'ip_not_allowed');
+});
+
+test('the allowlist checks the entry added by the trusted proxy', async () => {
+  const { verifyInboundWebhook: verify } = await loadMiddleware({
+    MAILSERVER_ALLOWED_IPS: '10.0.0.0/24',
+    MAILSERVER_TRUSTED_PROXY_HOPS: '1'
+  });
+
+  const allowed = signed({ ip: '172.16.0.1', forwardedFor: '203.0.113.9, 10.0.0.5' });
+  assert.deepEqual(await run(verify, allowed), { passed: true });
+
+  // A client can only prepend entries, the proxy appends the real source
+  const spoofed = signed({ ip: '172.16.0.1', forwardedFor: '10.0.0.5, 203.0.113.9' });
+  assert.equal((await run(verify, spoofed)).status, 403);
+
+  assert.equal((await run(verify, signed({ ip: '172.16.0.1' }))).status, 403);
+});
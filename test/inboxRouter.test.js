@@ -0,0 +1,102 @@
+// Inbox routing between instances, run over one local store shared by two routers
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LocalStateStore } from '../src/services/sharedState.js';
+import { createInboxRouter } from '../src/services/inboxRouter.js';
+
+const createCluster = () => {
+  const store = new LocalStateStore();
+  store.isShared = true; // Both routers see the same keys and channels, like instances on one Redis
+  return {
+    store,
+    a: createInboxRouter(store, 'instance-a'),
+    b: createInboxRouter(store, 'instance-b')
+  };
+};
+
+// Claims and releases don't return their store writes
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('an instance finds the instance holding an address', async () => {
+  const { a, b } = createCluster();
+
+  a.claimInboxAddress('Guest@Boomlify.com', 60000);
+  await settle();
+
+  assert.equal(await b.findInboxInstance('guest@boomlify.com'), 'instance-a');
+  assert.equal(await b.isAddressHeldElsewhere('guest@boomlify.com'), true);
+  assert.equal(await a.isAddressHeldElsewhere('guest@boomlify.com'), false);
+
+  a.releaseInboxAddress('guest@boomlify.com');
+  await settle();
+  assert.equal(await b.findInboxInstance('guest@boomlify.com'), null);
+});
+
+test('deliveries are forwarded to the instance holding the inbox', async () => {
+  const { a, b } = createCluster();
+  const received = [];
+  a.onForwardedDelivery(async delivery => { received.push(delivery); });
+
+  a.claimInboxAddress('guest@boomlify.com', 60000);
+  await settle();
+
+  const forwarded = await b.forwardDelivery('instance-a', {
+    recipient: 'guest@boomlify.com',
+    emailData: { id: 'email-1' },
+    attachments: []
+  });
+
+  assert.equal(forwarded, true);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].emailData.id, 'email-1');
+  assert.equal(received[0].origin, 'instance-b');
+});
+
+test('forwarding to a stopped instance drops its route', async () => {
+  const { store, b } = createCluster();
+
+  // instance-a claimed the address and stopped without releasing it
+  await store.set('inbox-route:guest@boomlify.com', 'instance-a', 60000);
+
+  const forwarded = await b.forwardDelivery('instance-a', {
+    recipient: 'guest@boomlify.com',
+    emailData: { id: 'email-1' },
+    attachments: []
+  });
+
+  assert.equal(forwarded, false);
+  assert.equal(await b.findInboxInstance('guest@boomlify.com'), null);
+});
+
+test('a route claimed again by another instance is kept', async () => {
+  const { store, b } = createCluster();
+
+  await store.set('inbox-route:guest@boomlify.com', 'instance-c', 60000);
+
+  assert.equal(await b.forwardDelivery('instance-a', { recipient: 'guest@boomlify.com', emailData: {}, attachments: [] }), false);
+  assert.equal(await b.findInboxInstance('guest@boomlify.com'), 'instance-c');
+});
+
+test('broadcast events reach the other instances only', async () => {
+  const { a, b } = createCluster();
+  const seenByA = [];
+  const seenByB = [];
+  a.onInboxEvent('email-added', payload => seenByA.push(payload));
+  b.onInboxEvent('email-added', payload => seenByB.push(payload));
+  b.onInboxEvent('other-event', () => assert.fail('wrong event delivered'));
+
+  a.broadcastInboxEvent('email-added', { id: 'email-1' });
+  await settle();
+
+  assert.deepEqual(seenByA, []);
+  assert.deepEqual(seenByB, [{ id: 'email-1' }]);
+});
+
+test('nothing is routed with a store that is not shared', async () => {
+  const router = createInboxRouter(new LocalStateStore(), 'instance-a');
+
+  router.claimInboxAddress('guest@boomlify.com', 60000);
+  await settle();
+
+  assert.equal(await router.findInboxInstance('guest@boomlify.com'), null);
+});
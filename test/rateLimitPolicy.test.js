@@ -0,0 +1,40 @@
+// Rate limit reservations (counters kept in process, the state store isn't shared in tests)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reserveRateLimit, releaseRateLimit, getRateLimitStatus } from '../src/services/rateLimitPolicy.js';
+
+const used = async (subject, context) =>
+  Object.fromEntries((await getRateLimitStatus('email_creation', subject, context)).map(state => [state.window, state.used]));
+
+test('a reservation over the limit is rejected and not counted', async () => {
+  const context = { userTier: 'free', timeTier: '10min' };
+
+  const first = await reserveRateLimit('email_creation', 'user-reserve', context, 8);
+  assert.equal(first.allowed, true);
+
+  const second = await reserveRateLimit('email_creation', 'user-reserve', context, 3);
+  assert.equal(second.allowed, false);
+  assert.equal(second.blocked.window, '1min');
+  assert.equal(second.blocked.used, 8);
+  assert.equal((await used('user-reserve', context))['1min'], 8);
+
+  assert.equal((await reserveRateLimit('email_creation', 'user-reserve', context, 2)).allowed, true);
+  assert.equal((await used('user-reserve', context))['1min'], 10);
+});
+
+test('released units can be reserved again', async () => {
+  const context = { userTier: 'free', timeTier: '10min' };
+
+  const reservation = await reserveRateLimit('email_creation', 'user-release', context, 10);
+  assert.equal(reservation.allowed, true);
+
+  await releaseRateLimit('email_creation', 'user-release', reservation.windows, 10);
+  assert.equal((await used('user-release', context))['1min'], 0);
+  assert.equal((await reserveRateLimit('email_creation', 'user-release', context, 10)).allowed, true);
+});
+
+test('exempt tiers are never limited', async () => {
+  const result = await reserveRateLimit('api_requests', 'user-exempt', { userTier: 'enterprise' }, 1000);
+
+  assert.deepEqual(result, { allowed: true, blocked: null, windows: [] });
+});
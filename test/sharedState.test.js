@@ -0,0 +1,59 @@
+// Local state store: the in-process stand-in for Redis
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LocalStateStore } from '../src/services/sharedState.js';
+
+test('setIfAbsent only sets missing or expired keys', async () => {
+  const store = new LocalStateStore();
+
+  assert.equal(await store.setIfAbsent('nonce', 1, 20), true);
+  assert.equal(await store.setIfAbsent('nonce', 2, 20), false);
+  assert.equal(await store.get('nonce'), 1);
+
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(await store.get('nonce'), null);
+  assert.equal(await store.setIfAbsent('nonce', 3, 20), true);
+});
+
+test('increment counts inside a fixed window', async () => {
+  const store = new LocalStateStore();
+
+  const first = await store.increment('counter', 20);
+  const second = await store.increment('counter', 20);
+  assert.equal(first.count, 1);
+  assert.equal(second.count, 2);
+  assert.equal(second.resetAt, first.resetAt);
+
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal((await store.increment('counter', 20)).count, 1);
+});
+
+test('increment adds the given amount', async () => {
+  const store = new LocalStateStore();
+
+  assert.equal((await store.increment('batch', 1000, 5)).count, 5);
+  assert.equal((await store.increment('batch', 1000)).count, 6);
+});
+
+test('publish reports how many handlers received the message', async () => {
+  const store = new LocalStateStore();
+  const received = [];
+
+  assert.equal(await store.publish('channel', { n: 1 }), 0);
+
+  store.subscribe('channel', message => received.push(message));
+  assert.equal(await store.publish('channel', { n: 2 }), 1);
+  assert.deepEqual(received, [{ n: 2 }]);
+});
+
+test('append adds values to a list that expires', async () => {
+  const store = new LocalStateStore();
+
+  assert.deepEqual(await store.getList('inbox'), []);
+  assert.equal(await store.append('inbox', { n: 1 }, 20), 1);
+  assert.equal(await store.append('inbox', { n: 2 }, 20), 2);
+  assert.deepEqual(await store.getList('inbox'), [{ n: 1 }, { n: 2 }]);
+
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.deepEqual(await store.getList('inbox'), []);
+});